@@ -0,0 +1,40 @@
+// config/banks.js
+// Nigerian bank directory. `code` is the bank code used by payment providers for resolution
+// and transfers; `nubanCode` is the CBN institution code the NUBAN check digit is computed with.
+const banks = [
+  { code: '044', nubanCode: '044', name: 'Access Bank' },
+  { code: '023', nubanCode: '023', name: 'Citibank Nigeria' },
+  { code: '050', nubanCode: '050', name: 'Ecobank Nigeria' },
+  { code: '070', nubanCode: '070', name: 'Fidelity Bank' },
+  { code: '011', nubanCode: '011', name: 'First Bank of Nigeria' },
+  { code: '214', nubanCode: '214', name: 'First City Monument Bank' },
+  { code: '00103', nubanCode: '103', name: 'Globus Bank' },
+  { code: '058', nubanCode: '058', name: 'Guaranty Trust Bank' },
+  { code: '030', nubanCode: '030', name: 'Heritage Bank' },
+  { code: '301', nubanCode: '301', name: 'Jaiz Bank' },
+  { code: '082', nubanCode: '082', name: 'Keystone Bank' },
+  { code: '50211', nubanCode: '090267', name: 'Kuda Microfinance Bank' },
+  { code: '50515', nubanCode: '090405', name: 'Moniepoint Microfinance Bank' },
+  { code: '999992', nubanCode: '100004', name: 'OPay' },
+  { code: '999991', nubanCode: '100033', name: 'PalmPay' },
+  { code: '076', nubanCode: '076', name: 'Polaris Bank' },
+  { code: '101', nubanCode: '101', name: 'Providus Bank' },
+  { code: '221', nubanCode: '221', name: 'Stanbic IBTC Bank' },
+  { code: '068', nubanCode: '068', name: 'Standard Chartered Bank' },
+  { code: '232', nubanCode: '232', name: 'Sterling Bank' },
+  { code: '100', nubanCode: '100', name: 'SunTrust Bank' },
+  { code: '102', nubanCode: '102', name: 'Titan Trust Bank' },
+  { code: '032', nubanCode: '032', name: 'Union Bank of Nigeria' },
+  { code: '033', nubanCode: '033', name: 'United Bank for Africa' },
+  { code: '215', nubanCode: '215', name: 'Unity Bank' },
+  { code: '035', nubanCode: '035', name: 'Wema Bank' },
+  { code: '057', nubanCode: '057', name: 'Zenith Bank' },
+];
+
+const findBank = codeOrName => {
+  if (!codeOrName) return null;
+  const needle = String(codeOrName).trim().toLowerCase();
+  return banks.find(b => b.code === needle || b.name.toLowerCase() === needle) || null;
+};
+
+module.exports = { banks, findBank };
@@ -0,0 +1,15 @@
+// config/fees.js
+// Account fees per level. Registration at level N costs 15,000 × 2^(N-1);
+// upgrading pays the difference between the two levels' registration fees.
+const BASE_REGISTRATION_FEE = 15000;
+
+// Highest level an account can register at or upgrade to
+const MAX_LEVEL = Number(process.env.MAX_LEVEL) || 6;
+
+const isLevel = level => Number.isInteger(level) && level >= 1 && level <= MAX_LEVEL;
+
+const registrationFee = level => BASE_REGISTRATION_FEE * Math.pow(2, level - 1);
+
+const upgradeFee = (fromLevel, toLevel) => registrationFee(toLevel) - registrationFee(fromLevel);
+
+module.exports = { MAX_LEVEL, isLevel, registrationFee, upgradeFee };
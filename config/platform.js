@@ -0,0 +1,5 @@
+// config/platform.js
+module.exports = {
+  // Day boundaries, withdrawal windows and schedules are computed in this timezone
+  TIMEZONE: process.env.PLATFORM_TIMEZONE || 'Africa/Lagos',
+};
@@ -0,0 +1,43 @@
+// config/referrals.js
+// Referral rewards. Commission rates are percentages per tier, starting with the direct
+// referrer (tier 1), then their referrer (tier 2), and so on, e.g. "10,5,2".
+const rates = value => String(value || '')
+  .split(',')
+  .filter(rate => rate.trim())
+  .map(Number)
+  .map(rate => (Number.isFinite(rate) && rate > 0 ? rate : 0));
+
+// Flat bonus for the direct referrer when someone signs up with their code. It is held as
+// pending and only credited once the referee's registration payment activates their account.
+const REFERRAL_SIGNUP_BONUS = Number(process.env.REFERRAL_SIGNUP_BONUS ?? 1000) || 0;
+
+// Share of the referee's registration fee, paid when their account is activated
+const ACTIVATION_COMMISSIONS = rates(process.env.REFERRAL_ACTIVATION_COMMISSIONS ?? '10,5,2');
+
+// Share of every task reward the referee is credited; off unless configured
+const TASK_COMMISSIONS = rates(process.env.REFERRAL_TASK_COMMISSIONS);
+
+// How far up the chain relationships are recorded
+const MAX_TIERS = Math.max(1, ACTIVATION_COMMISSIONS.length, TASK_COMMISSIONS.length);
+
+// Days after activation during which bonuses are reversed if the referee is suspended or
+// deleted. Bonuses still inside the window cannot be transferred to the available balance.
+const CLAWBACK_DAYS = Number(process.env.REFERRAL_CLAWBACK_DAYS ?? 30) || 0;
+
+// Rules for moving referral earnings into the withdrawable balance
+const TRANSFER_MIN_AMOUNT = Number(process.env.REFERRAL_TRANSFER_MIN_AMOUNT) || 1000;
+const TRANSFER_MIN_ACTIVE_REFERRALS = Number(process.env.REFERRAL_TRANSFER_MIN_ACTIVE_REFERRALS) || 0;
+
+// Referrers shown on a public leaderboard unless a smaller limit is asked for
+const LEADERBOARD_SIZE = Number(process.env.REFERRAL_LEADERBOARD_SIZE) || 10;
+
+module.exports = {
+  REFERRAL_SIGNUP_BONUS,
+  ACTIVATION_COMMISSIONS,
+  TASK_COMMISSIONS,
+  MAX_TIERS,
+  CLAWBACK_DAYS,
+  TRANSFER_MIN_AMOUNT,
+  TRANSFER_MIN_ACTIVE_REFERRALS,
+  LEADERBOARD_SIZE,
+};
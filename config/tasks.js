@@ -0,0 +1,47 @@
+// config/tasks.js
+// How many tasks a user may complete per platform day, by level. Defaults to the level
+// number (level 1: 1 task, level 3: 3 tasks); TASK_DAILY_QUOTAS overrides it as a
+// comma-separated list starting at level 1, e.g. "1,2,4,6,8,10". Levels past the end
+// of the list use its last value.
+const QUOTAS = (process.env.TASK_DAILY_QUOTAS || '')
+  .split(',')
+  .map(q => parseInt(q, 10))
+  .filter(q => Number.isInteger(q) && q >= 0);
+
+const dailyTaskQuota = level => {
+  if (!QUOTAS.length) return Math.max(1, level || 1);
+  return QUOTAS[Math.min(Math.max(1, level || 1), QUOTAS.length) - 1];
+};
+
+// Reward for tasks created without one
+const DEFAULT_TASK_REWARD = Number(process.env.DEFAULT_TASK_REWARD) || 300;
+
+// Share of a video's duration that must pass between starting a watch session and completing it
+const MIN_WATCH_FRACTION = Math.min(1, Number(process.env.MIN_WATCH_FRACTION) || 0.8);
+
+// How long a watch session stays usable after it starts, on top of the video's duration
+const WATCH_SESSION_GRACE_MINUTES = Number(process.env.WATCH_SESSION_GRACE_MINUTES) || 120;
+
+// Bonus paid when a streak of days with the full quota done reaches a milestone.
+// STREAK_BONUSES overrides the defaults as "days:amount" pairs, e.g. "7:500,30:2500,90:10000".
+const STREAK_BONUSES = (process.env.STREAK_BONUSES || '7:500,30:2500,90:10000')
+  .split(',')
+  .map(pair => pair.split(':').map(Number))
+  .filter(([days, amount]) => Number.isInteger(days) && days > 0 && amount > 0)
+  .map(([days, amount]) => ({ days, amount }))
+  .sort((a, b) => a.days - b.days);
+
+// Missed days a streak can survive. Users start with the maximum and win one back every
+// STREAK_FREEZE_EVERY days of streak, never holding more than the maximum.
+const STREAK_MAX_FREEZES = Math.max(0, parseInt(process.env.STREAK_MAX_FREEZES ?? '2', 10) || 0);
+const STREAK_FREEZE_EVERY = Number(process.env.STREAK_FREEZE_EVERY) || 7;
+
+module.exports = {
+  dailyTaskQuota,
+  DEFAULT_TASK_REWARD,
+  MIN_WATCH_FRACTION,
+  WATCH_SESSION_GRACE_MINUTES,
+  STREAK_BONUSES,
+  STREAK_MAX_FREEZES,
+  STREAK_FREEZE_EVERY,
+};
@@ -7,6 +7,11 @@ const Withdrawal = require('../models/Withdrawal');
 const Referral = require('../models/Referral');
 const Upgrade = require('../models/Upgrade');
 const EmailLog = require('../models/EmailLog');
+const withdrawalService = require('../services/withdrawals');
+const payouts = require('../services/payouts');
+const payments = require('../services/payments');
+const referrals = require('../services/referrals');
+const referralLeaderboards = require('../services/referralLeaderboards');
 
 // Configure Nodemailer
 //console.log('EMAIL_HOST:', process.env.EMAIL_HOST);
@@ -195,6 +200,12 @@ const updateUserStatus = async (req, res) => {
     if (!user) return res.status(404).json({ message: 'User not found' });
     user.status = status;
     await user.save();
+    if (status === 'suspended') {
+      await referrals.voidForReferee(user._id, 'suspended');
+      // Voided bonuses and a suspended referrer both drop off the referral leaderboards
+      referralLeaderboards.publishChanges(req.app.get('io'))
+        .catch(err => console.error('Referral leaderboard update error:', err.message));
+    }
     res.json({ message: 'User status updated' });
   } catch (error) {
     console.error('Update user status error:', error.message, error.stack);
@@ -207,7 +218,10 @@ const deleteUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
+    await referrals.voidForReferee(user._id, 'deleted');
     await user.deleteOne();
+    referralLeaderboards.publishChanges(req.app.get('io'))
+      .catch(err => console.error('Referral leaderboard update error:', err.message));
     res.json({ message: 'User deleted' });
   } catch (error) {
     console.error('Delete user error:', error.message, error.stack);
@@ -413,10 +427,9 @@ const getWithdrawals = async (req, res) => {
 // Approve Withdrawal
 const approveWithdrawal = async (req, res) => {
   try {
-    const withdrawal = await Withdrawal.findById(req.params.id).populate('user');
-    if (!withdrawal) return res.status(404).json({ message: 'Withdrawal not found' });
-    withdrawal.status = 'approved';
-    await withdrawal.save();
+    const result = await payouts.approve(req.params.id, req.user.id);
+    await payouts.announce(req.app.get('io'), result);
+    const withdrawal = await result.withdrawal.populate('user');
 
     const mailOptions = {
       from: process.env.EMAIL_USER,
@@ -430,6 +443,7 @@ const approveWithdrawal = async (req, res) => {
     await emitDashboardUpdate(req);
     res.json({ message: 'Withdrawal approved' });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message, code: error.code });
     console.error('Approve withdrawal error:', error.message, error.stack);
     res.status(500).json({ message: 'Server error', details: error.message });
   }
@@ -438,14 +452,8 @@ const approveWithdrawal = async (req, res) => {
 // Decline Withdrawal
 const declineWithdrawal = async (req, res) => {
   try {
-    const withdrawal = await Withdrawal.findById(req.params.id).populate('user');
-    if (!withdrawal) return res.status(404).json({ message: 'Withdrawal not found' });
-    withdrawal.status = 'declined';
-    const user = await User.findById(withdrawal.user._id);
-    user.balance.available += withdrawal.amount;
-    user.balance.pending -= withdrawal.amount;
-    await user.save();
-    await withdrawal.save();
+    const { withdrawal } = await withdrawalService.decline(req.params.id, req.user.id);
+    await withdrawal.populate('user');
 
     const mailOptions = {
       from: process.env.EMAIL_USER,
@@ -459,6 +467,7 @@ const declineWithdrawal = async (req, res) => {
     await emitDashboardUpdate(req);
     res.json({ message: 'Withdrawal declined' });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message, code: error.code });
     console.error('Decline withdrawal error:', error.message, error.stack);
     res.status(500).json({ message: 'Server error', details: error.message });
   }
@@ -467,10 +476,8 @@ const declineWithdrawal = async (req, res) => {
 // Mark Withdrawal as Paid
 const markWithdrawalAsPaid = async (req, res) => {
   try {
-    const withdrawal = await Withdrawal.findById(req.params.id).populate('user');
-    if (!withdrawal) return res.status(404).json({ message: 'Withdrawal not found' });
-    withdrawal.status = 'paid';
-    await withdrawal.save();
+    const { withdrawal } = await withdrawalService.markPaid(req.params.id, req.user.id);
+    await withdrawal.populate('user');
 
     const mailOptions = {
       from: process.env.EMAIL_USER,
@@ -484,6 +491,7 @@ const markWithdrawalAsPaid = async (req, res) => {
     await emitDashboardUpdate(req);
     res.json({ message: 'Withdrawal marked as paid' });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message, code: error.code });
     console.error('Mark withdrawal as paid error:', error.message, error.stack);
     res.status(500).json({ message: 'Server error', details: error.message });
   }
@@ -525,14 +533,9 @@ const getUpgrades = async (req, res) => {
 // Approve Upgrade
 const approveUpgrade = async (req, res) => {
   try {
-    const upgrade = await Upgrade.findById(req.params.id).populate('user');
-    if (!upgrade) return res.status(404).json({ message: 'Upgrade not found' });
-    upgrade.status = 'approved';
-    const user = await User.findById(upgrade.user._id);
-    user.level = upgrade.level;
-    user.status = 'active';
-    await user.save();
-    await upgrade.save();
+    // Only an upgrade whose payment has been confirmed can be approved; see payments.approveUpgrade
+    const { upgrade } = await payments.approveUpgrade(req.params.id);
+    await upgrade.populate('user');
 
     const mailOptions = {
       from: process.env.EMAIL_USER,
@@ -545,6 +548,7 @@ const approveUpgrade = async (req, res) => {
     await EmailLog.create({ type: 'notification', recipient: upgrade.user.email });
     res.json({ message: 'Upgrade approved' });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message, code: error.code });
     console.error('Approve upgrade error:', error.message, error.stack);
     res.status(500).json({ message: 'Server error', details: error.message });
   }
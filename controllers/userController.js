@@ -1,22 +1,19 @@
 const User = require('../models/User');
 const PaymentMethod = require('../models/PaymentMethod');
+const Withdrawal = require('../models/Withdrawal');
+const Referral = require('../models/Referral');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const sendEmail = require('../utils/sendEmail');
 const Sentry = require('@sentry/node');
 const crypto = require('crypto');
-
-// Retry Logic for Database Operations
-async function withRetry(fn, retries = 3, delay = 1000) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      if (i === retries - 1) throw err;
-      await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i))); // Exponential backoff
-    }
-  }
-}
+const referrals = require('../services/referrals');
+const fraud = require('../services/fraud');
+const referralTracking = require('../services/referralTracking');
+const { verifyBankAccount, flagSharedAccount } = require('../services/bankAccounts');
+const streaks = require('../services/streaks');
+const ServiceError = require('../utils/ServiceError');
+const withRetry = require('../utils/withRetry');
 
 // @desc    Login user
 // @route   POST /api/users/login
@@ -83,13 +80,17 @@ const registerUser = async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
+    // A referral link click (cookie or clickToken) refers the signup when no code was entered
+    const click = await referralTracking.findAttribution(req);
     let referredBy = null;
     if (referralCode && referralCode !== 'undefined') {
-      const referrer = await withRetry(() => User.findOne({ $or: [{ referralCode }, { username: referralCode }] }));
+      const referrer = await withRetry(() => referrals.findReferrer(referralCode));
       if (!referrer) {
         return res.status(400).json({ message: 'Invalid referral code' });
       }
       referredBy = referrer._id;
+    } else if (click && await User.exists({ _id: click.referrer })) {
+      referredBy = click.referrer;
     }
 
     const newUser = new User({
@@ -99,9 +100,10 @@ const registerUser = async (req, res) => {
       password: hashedPassword,
       referredBy,
       referralCode: username,
+      ...fraud.signupContext(req),
     });
 
-    await withRetry(() => newUser.save());
+    await newUser.save();
 
     await sendEmail(
       email,
@@ -109,16 +111,20 @@ const registerUser = async (req, res) => {
       `<p>Hello ${fullName},</p><p>Welcome to DailyTask Academy! Your account has been successfully created.</p>`
     );
 
+    if (click) res.clearCookie(referralTracking.ATTRIBUTION_COOKIE);
+
     if (referredBy) {
-      const referrer = await withRetry(() => User.findById(referredBy));
+      const attributed = click && click.referrer.equals(referredBy) ? click : null;
+      const referrer = await referrals.record(newUser, { click: attributed });
+      await fraud.assessReferee(newUser._id).catch(err => {
+        Sentry.captureException(err);
+        console.error('Referral risk check error:', err.message);
+      });
       if (referrer) {
-        referrer.referralBonus += 1000;
-        referrer.invites += 1;
-        await withRetry(() => referrer.save());
         await sendEmail(
           referrer.email,
           'You Referred a New User!',
-          `<p>Great news! Someone just registered using your referral.</p><p>Keep referring to earn more!</p>`
+          `<p>Great news! Someone just registered using your referral.</p><p>Your referral bonus will be credited once they activate their account.</p><p>Keep referring to earn more!</p>`
         );
       }
     }
@@ -179,6 +185,7 @@ const updateUserProfile = async (req, res) => {
       status: user.status,
       profileSet: user.profileSet,
       referralCode: user.referralCode || user.username,
+      streak: streaks.view(user),
     };
     console.log('Profile response:', response); // Debug log
     res.json(response);
@@ -189,30 +196,69 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+// Shape a payment method for the client
+const formatPaymentMethod = method => ({
+  id: method._id,
+  type: method.type,
+  ...method.details,
+  verificationStatus: method.verification?.status || 'unverified',
+  isDefault: method.isDefault,
+  flagged: method.flagged,
+});
+
+// A method attached to a pending or approved withdrawal must not change under the payout
+const hasWithdrawalInFlight = methodId =>
+  Withdrawal.exists({ paymentMethod: methodId, status: { $in: ['pending', 'approved'] } });
+
+// Resolve and name-check bank details; PayPal is stored as given
+const buildPaymentDetails = async (user, { type, bank, accountNumber, accountName, email }) => {
+  if (type === 'Bank Account') {
+    return verifyBankAccount({ bank, accountNumber, accountName, fullName: user.fullName });
+  }
+  return { details: { email }, verification: { status: 'unverified' } };
+};
+
 // @desc    Add payment method
 // @route   POST /api/users/payment-methods
 // @access  Private
 const addPaymentMethod = async (req, res) => {
-  const { type, bank, accountNumber, email } = req.body;
+  const { type } = req.body;
 
   try {
-    const details = type === 'Bank Account' ? { bank, accountNumber } : { email };
+    if (!['Bank Account', 'PayPal'].includes(type)) {
+      return res.status(400).json({ message: 'Invalid payment method type' });
+    }
+
+    const user = await withRetry(() => User.findById(req.user.id));
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const { details, verification } = await buildPaymentDetails(user, req.body);
+    const hasDefault = await withRetry(() => PaymentMethod.exists({ user: req.user.id, isDefault: true }));
     const paymentMethod = new PaymentMethod({
       user: req.user.id,
       type,
       details,
+      verification,
+      isDefault: !hasDefault, // the first method becomes the default
     });
 
-    await withRetry(() => paymentMethod.save());
+    await paymentMethod.save();
+    if (type === 'Bank Account') {
+      paymentMethod.flagged = await flagSharedAccount(details) || paymentMethod.flagged;
+      await fraud.assessReferee(req.user.id).catch(err => {
+        Sentry.captureException(err);
+        console.error('Referral risk check error:', err.message);
+      });
+    }
+
     res.status(201).json({
-      message: 'Payment method added',
-      method: {
-        id: paymentMethod._id,
-        type: paymentMethod.type,
-        ...paymentMethod.details,
-      },
+      message: verification.status === 'name_mismatch'
+        ? 'Payment method added, but the account name does not match your profile name'
+        : 'Payment method added',
+      method: formatPaymentMethod(paymentMethod),
     });
   } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
     console.error('Add payment method error:', err);
     Sentry.captureException(err);
     res.status(500).json({ message: 'Server error' });
@@ -225,12 +271,7 @@ const addPaymentMethod = async (req, res) => {
 const getPaymentMethods = async (req, res) => {
   try {
     const methods = await withRetry(() => PaymentMethod.find({ user: req.user.id }));
-    const formattedMethods = methods.map(method => ({
-      id: method._id,
-      type: method.type,
-      ...method.details,
-    }));
-    res.json(formattedMethods);
+    res.json(methods.map(formatPaymentMethod));
   } catch (err) {
     console.error('Get payment methods error:', err);
     Sentry.captureException(err);
@@ -242,27 +283,41 @@ const getPaymentMethods = async (req, res) => {
 // @route   PUT /api/users/payment-methods/:id
 // @access  Private
 const updatePaymentMethod = async (req, res) => {
-  const { type, bank, accountNumber, email } = req.body;
-
   try {
     const method = await withRetry(() => PaymentMethod.findById(req.params.id));
     if (!method || method.user.toString() !== req.user.id) {
       return res.status(404).json({ message: 'Payment method not found' });
     }
 
-    method.type = type || method.type;
-    method.details = type === 'Bank Account' ? { bank, accountNumber } : { email } || method.details;
+    if (await withRetry(() => hasWithdrawalInFlight(method._id))) {
+      return res.status(409).json({ message: 'Payment method is in use by a pending withdrawal', code: 'METHOD_IN_USE' });
+    }
+
+    const user = await withRetry(() => User.findById(req.user.id));
+    const type = req.body.type || method.type;
+    const { details, verification } = await buildPaymentDetails(user, { ...method.toObject().details, ...req.body, type });
+
+    method.type = type;
+    method.details = details;
+    method.verification = verification;
+    method.flagged = false;
+    method.flagReason = undefined;
 
     await withRetry(() => method.save());
+    if (type === 'Bank Account') {
+      method.flagged = await flagSharedAccount(details);
+      await fraud.assessReferee(req.user.id).catch(err => {
+        Sentry.captureException(err);
+        console.error('Referral risk check error:', err.message);
+      });
+    }
+
     res.json({
       message: 'Payment method updated',
-      method: {
-        id: method._id,
-        type: method.type,
-        ...method.details,
-      },
+      method: formatPaymentMethod(method),
     });
   } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
     console.error('Update payment method error:', err);
     Sentry.captureException(err);
     res.status(500).json({ message: 'Server error' });
@@ -279,7 +334,20 @@ const deletePaymentMethod = async (req, res) => {
       return res.status(404).json({ message: 'Payment method not found' });
     }
 
+    if (await withRetry(() => hasWithdrawalInFlight(method._id))) {
+      return res.status(409).json({ message: 'Payment method is in use by a pending withdrawal', code: 'METHOD_IN_USE' });
+    }
+
     await withRetry(() => method.deleteOne());
+
+    // Hand the default over to the most recently added remaining method
+    if (method.isDefault) {
+      await withRetry(() => PaymentMethod.findOneAndUpdate(
+        { user: req.user.id },
+        { $set: { isDefault: true } },
+        { sort: { createdAt: -1 } }
+      ));
+    }
     res.json({ message: 'Payment method deleted successfully' });
   } catch (err) {
     console.error('Delete payment method error:', err);
@@ -288,6 +356,29 @@ const deletePaymentMethod = async (req, res) => {
   }
 };
 
+// @desc    Set default payment method
+// @route   POST /api/users/payment-methods/:id/default
+// @access  Private
+const setDefaultPaymentMethod = async (req, res) => {
+  try {
+    const method = await withRetry(() => PaymentMethod.findOne({ _id: req.params.id, user: req.user.id }));
+    if (!method) return res.status(404).json({ message: 'Payment method not found' });
+
+    await withRetry(() => PaymentMethod.updateMany(
+      { user: req.user.id, _id: { $ne: method._id } },
+      { $set: { isDefault: false } }
+    ));
+    method.isDefault = true;
+    await withRetry(() => method.save());
+
+    res.json({ message: 'Default payment method updated', method: formatPaymentMethod(method) });
+  } catch (err) {
+    console.error('Set default payment method error:', err);
+    Sentry.captureException(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Get referral statistics
 // @route   GET /api/users/referrals/stats
 // @access  Private
@@ -298,12 +389,21 @@ const getReferralStats = async (req, res) => {
 
     const referralCount = await withRetry(() => User.countDocuments({ referredBy: req.user.id }));
     const referralEarnings = user.referralBonus || 0;
+    const tiers = await withRetry(() => Referral.aggregate([
+      { $match: { referrer: user._id } },
+      { $group: { _id: '$tier', count: { $sum: 1 }, bonus: { $sum: '$bonus' }, earnings: { $sum: '$earnings' } } },
+      { $sort: { _id: 1 } },
+    ]));
+    const links = await referralTracking.statsForUser(user._id, req.query);
 
     res.json({
       count: referralCount,
       earnings: referralEarnings,
+      tiers: tiers.map(t => ({ tier: t._id, count: t.count, bonus: t.bonus, taskCommission: t.earnings })),
+      links,
     });
   } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
     console.error('Referral stats fetch error:', err);
     Sentry.captureException(err);
     res.status(500).json({ message: 'Server error' });
@@ -433,6 +533,7 @@ module.exports = {
   getPaymentMethods,
   updatePaymentMethod,
   deletePaymentMethod,
+  setDefaultPaymentMethod,
   getReferralStats,
   forgotPassword,
   resetPassword,
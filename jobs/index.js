@@ -0,0 +1,13 @@
+// jobs/index.js
+// Background jobs, started once the database connection is up.
+const payoutRetry = require('./payoutRetry');
+const monthlyStatements = require('./monthlyStatements');
+const taskScheduler = require('./taskScheduler');
+
+function startJobs(app) {
+  payoutRetry.start(app);
+  monthlyStatements.start(app);
+  taskScheduler.start(app);
+}
+
+module.exports = { startJobs };
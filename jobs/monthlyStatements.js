@@ -0,0 +1,38 @@
+// jobs/monthlyStatements.js
+// Emails last month's statement to every active user once the new month has started.
+// Checks hourly so a restart or a failed send is picked up on the next run.
+const Sentry = require('@sentry/node');
+const statements = require('../services/statements');
+
+const INTERVAL_MS = 60 * 60 * 1000;
+
+function start() {
+  if (process.env.STATEMENT_EMAILS === 'off') return null;
+
+  let running = false;
+  let completedPeriod = null;
+
+  const run = async () => {
+    const period = statements.previousPeriod();
+    if (running || completedPeriod === period) return;
+    running = true;
+    try {
+      const result = await statements.emailAll(period);
+      if (result.sent || result.failed) console.log(`📄 Statements for ${period}:`, result);
+      if (!result.failed) completedPeriod = period;
+    } catch (err) {
+      console.error('Statement job error:', err.message);
+      Sentry.captureException(err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  setTimeout(run, 60 * 1000).unref();
+  console.log('⏱️ Monthly statement job started');
+  return timer;
+}
+
+module.exports = { start };
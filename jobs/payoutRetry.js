@@ -0,0 +1,33 @@
+// jobs/payoutRetry.js
+// Re-sends automated payouts whose previous attempt hit a transient provider error, and
+// checks transfers stuck in processing against the provider.
+const Sentry = require('@sentry/node');
+const payouts = require('../services/payouts');
+
+const INTERVAL_MS = 60 * 1000;
+
+function start(app) {
+  if (!payouts.getProvider()) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const results = [...await payouts.retryDue(), ...await payouts.recoverStuck()];
+      for (const result of results) {
+        await payouts.announce(app.get('io'), result);
+      }
+    } catch (err) {
+      console.error('Payout retry job error:', err.message);
+      Sentry.captureException(err);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+  timer.unref();
+  console.log('⏱️ Payout retry job started');
+  return timer;
+}
+
+module.exports = { start };
@@ -0,0 +1,31 @@
+// jobs/taskScheduler.js
+// Publishes scheduled tasks and expires old ones every minute.
+const Sentry = require('@sentry/node');
+const taskScheduler = require('../services/taskScheduler');
+
+const INTERVAL_MS = 60 * 1000;
+
+function start(app) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const now = new Date();
+      for (const task of await taskScheduler.publishDue(now)) {
+        await taskScheduler.announce(app.get('io'), task);
+      }
+      await taskScheduler.expireDue(now);
+    } catch (err) {
+      console.error('Task scheduler job error:', err.message);
+      Sentry.captureException(err);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MS);
+  timer.unref();
+  console.log('⏱️ Task scheduler job started');
+  return timer;
+}
+
+module.exports = { start };
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const WINDOW_HOURS = Number(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24;
+
+const hashRequest = req => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body ?? null]))
+  .digest('hex');
+
+// Outcomes worth retrying (server errors, write conflicts, rate limits) release the key
+// instead of being stored, so the client can try again with the same key.
+const isFinal = statusCode => statusCode < 500 && ![409, 429].includes(statusCode);
+
+// Honors an optional Idempotency-Key header. Must run after authMiddleware: keys are per user.
+// The first response for a key is stored and replayed for repeats of the same request;
+// reusing a key for a different request is rejected.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters', code: 'INVALID_IDEMPOTENCY_KEY' });
+  }
+
+  const requestHash = hashRequest(req);
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user.id,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        requestHash,
+        expiresAt: new Date(Date.now() + WINDOW_HOURS * 60 * 60 * 1000),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      const existing = await IdempotencyKey.findOne({ user: req.user.id, key });
+      if (!existing) {
+        return res.status(409).json({ message: 'Request is being processed, retry shortly', code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          message: 'Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+        });
+      }
+      if (existing.status !== 'completed') {
+        return res.status(409).json({ message: 'Request is being processed, retry shortly', code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Settle the key when the handler ends the response, however it does so (res.json,
+    // res.send, res.end or the error handler) and even if the client has gone away.
+    // Only JSON bodies can be replayed; anything else releases the key.
+    let body;
+    const json = res.json.bind(res);
+    res.json = payload => {
+      body = payload;
+      return json(payload);
+    };
+
+    const end = res.end.bind(res);
+    let settled = false;
+    res.end = (...args) => {
+      if (settled) return end(...args);
+      settled = true;
+
+      const statusCode = res.statusCode;
+      const saved = isFinal(statusCode) && body !== undefined
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', response: { statusCode, body } } }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      saved
+        .catch(err => console.error('Idempotency store error:', err.message))
+        .finally(() => end(...args));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { idempotency };
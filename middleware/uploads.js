@@ -0,0 +1,20 @@
+const multer = require('multer');
+
+const MAX_PROOF_BYTES = 2 * 1024 * 1024;
+
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PROOF_BYTES, files: 1 },
+}).single('screenshot');
+
+// Optional `screenshot` file on multipart task submissions; JSON requests pass straight through.
+// The file type is checked by the task service, which knows what the task asks for.
+const proofScreenshot = (req, res, next) => {
+  proofUpload(req, res, err => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'Screenshot must be 2 MB or smaller' : err.message;
+    res.status(400).json({ message, code: 'INVALID_PROOF' });
+  });
+};
+
+module.exports = { proofScreenshot };
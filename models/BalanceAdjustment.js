@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A manual credit (positive amount) or debit (negative amount) to a user's available balance.
+// Proposed by one admin and only applied once a different admin approves it.
+const balanceAdjustmentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  amount: {
+    type: Number,
+    required: true,
+    validate: { validator: v => v !== 0, message: 'Adjustment amount cannot be zero' },
+  },
+  reason: { type: String, required: true, trim: true },
+  // Ticket, receipt or document backing the adjustment
+  attachment: { type: String, required: true, trim: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+}, { timestamps: true });
+
+balanceAdjustmentSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BalanceAdjustment', balanceAdjustmentSchema);
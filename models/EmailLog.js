@@ -1,7 +1,7 @@
 const mongoose = require('mongoose');
 
 const emailLogSchema = new mongoose.Schema({
-  type: { type: String, enum: ['verification', 'reset-password', 'notification'], required: true },
+  type: { type: String, enum: ['verification', 'verification-complete', 'reset-password', 'password-update', 'withdrawal-request', 'notification'], required: true },
   recipient: { type: String, required: true },
   timestamp: { type: Date, default: Date.now },
 }, { timestamps: true });
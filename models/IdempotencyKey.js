@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// First response sent for an Idempotency-Key, replayed when the same request is repeated
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  response: {
+    statusCode: { type: Number },
+    body: { type: mongoose.Schema.Types.Mixed },
+  },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// An incoming payment collected through a payment provider (registration or upgrade fee)
+const paymentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['registration', 'upgrade'], required: true },
+  level: { type: Number, required: true },
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'NGN' },
+  provider: { type: String, required: true },
+  reference: { type: String, required: true, unique: true },
+  authorizationUrl: { type: String },
+  upgrade: { type: mongoose.Schema.Types.ObjectId, ref: 'Upgrade' },
+  status: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' },
+  verifiedAt: { type: Date },
+  failureReason: { type: String },
+  // Set when a successful payment could not be applied (e.g. the upgrade was rejected first)
+  refund: {
+    status: { type: String, enum: ['due', 'refunded'] },
+    reason: { type: String },
+  },
+}, { timestamps: true });
+
+paymentSchema.index({ user: 1, purpose: 1, status: 1 });
+paymentSchema.index({ 'refund.status': 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
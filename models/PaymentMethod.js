@@ -5,10 +5,22 @@ const paymentMethodSchema = new mongoose.Schema({
   type: { type: String, enum: ['Bank Account', 'PayPal'], required: true },
   details: {
     bank: String,
+    bankCode: String,
     accountNumber: String,
-    accountName: String,
+    accountName: String, // as resolved from the bank, not as typed by the user
     email: String // For PayPal
-  }
+  },
+  // Bank accounts must resolve to a name matching the user's before they can be withdrawn to
+  verification: {
+    status: { type: String, enum: ['unverified', 'verified', 'name_mismatch'], default: 'unverified' },
+    score: Number,
+    checkedAt: Date,
+  },
+  isDefault: { type: Boolean, default: false },
+  flagged: { type: Boolean, default: false },
+  flagReason: String,
 }, { timestamps: true });
 
+paymentMethodSchema.index({ 'details.bankCode': 1, 'details.accountNumber': 1 });
+
 module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A group of withdrawals approved together and paid through one bank bulk-transfer file
+const payoutBatchSchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true },
+  status: { type: String, enum: ['draft', 'approved', 'settled'], default: 'draft' },
+  items: [{
+    _id: false,
+    withdrawal: { type: mongoose.Schema.Types.ObjectId, ref: 'Withdrawal', required: true },
+    amount: { type: Number, required: true },
+    netAmount: { type: Number, required: true },
+    status: { type: String, enum: ['pending', 'approved', 'paid', 'failed', 'removed'], default: 'pending' },
+    note: { type: String },
+  }],
+  filters: { type: Object },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  exportedAt: { type: Date },
+  settledAt: { type: Date },
+}, { timestamps: true });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
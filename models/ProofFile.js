@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Uploaded screenshot for a task submission, kept out of TaskSubmission so listings stay small
+const proofFileSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  filename: { type: String },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  data: { type: Buffer, required: true },
+}, { timestamps: true });
+
+module.exports = mongoose.model('ProofFile', proofFileSchema);
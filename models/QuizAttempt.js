@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One scored attempt at a quiz task
+const quizAttemptSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  attempt: { type: Number, required: true }, // 1-based
+  answers: [{
+    _id: false,
+    question: { type: mongoose.Schema.Types.ObjectId, required: true },
+    choices: [{ type: Number }],
+  }],
+  correctCount: { type: Number, required: true },
+  score: { type: Number, required: true }, // percent
+  passed: { type: Boolean, required: true },
+}, { timestamps: true });
+
+// Also stops two concurrent submissions from both using the last attempt
+quizAttemptSchema.index({ task: 1, user: 1, attempt: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -3,11 +3,38 @@ const mongoose = require('mongoose');
 const referralSchema = new mongoose.Schema({
   referrer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   referredUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // renamed
-  bonus: { type: Number, default: 0 }, // added
-  earnings: { type: Number, default: 0 },
+  tier: { type: Number, default: 1 }, // 1 = direct referral, 2 = referrer's referrer, ...
+  click: { type: mongoose.Schema.Types.ObjectId, ref: 'ReferralClick' }, // link click the signup came from
+  // referral campaigns the activation counted towards (tier 1 only); the bonus includes their multiplier
+  campaigns: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ReferralCampaign' }],
+  bonus: { type: Number, default: 0 }, // signup bonus and activation commission paid to the referrer
+  // pending until the referee activates, then credited (or held while suspicious); void if reversed
+  bonusStatus: { type: String, enum: ['pending', 'held', 'credited', 'void'] },
+  activatedAt: { type: Date }, // referee's registration payment confirmed
+  creditedAt: { type: Date },
+  clawbackUntil: { type: Date },
+  voidedAt: { type: Date },
+  voidReason: { type: String },
+  earnings: { type: Number, default: 0 }, // commission on the referee's task rewards
   joined: { type: Date, default: Date.now },
   verified: { type: Boolean, default: false },
-  suspicious: { type: Boolean, default: false } // added based on your code
+  suspicious: { type: Boolean, default: false }, // added based on your code
+  // Set by services/fraud.js; reasons are signal names such as 'shared_ip_with_referrer'
+  riskScore: { type: Number, default: 0 },
+  riskReasons: [{ type: String }],
+  review: {
+    status: { type: String, enum: ['pending', 'cleared', 'confirmed'] },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date },
+    note: { type: String },
+  },
 }, { timestamps: true });
 
+referralSchema.index({ referredUser: 1, tier: 1 }, { unique: true });
+referralSchema.index({ referrer: 1, tier: 1 });
+referralSchema.index({ referrer: 1, bonusStatus: 1, clawbackUntil: 1 });
+referralSchema.index({ suspicious: 1, 'review.status': 1 });
+referralSchema.index({ tier: 1, activatedAt: 1 });
+referralSchema.index({ campaigns: 1 });
+
 module.exports = mongoose.model('Referral', referralSchema);
\ No newline at end of file
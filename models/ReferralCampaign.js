@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A time-limited referral push. Activations by eligible referrers between startsAt and endsAt
+// earn the multiplied bonus and count towards the campaign leaderboard; the top ranks win the
+// fixed prizes once the campaign is over (see services/referralCampaigns.js).
+const referralCampaignSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  multiplier: { type: Number, default: 1, min: 1 }, // applied to the direct referrer's activation bonus
+  prizes: [{
+    _id: false,
+    rank: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true, min: 0 },
+  }],
+  levels: [{ type: Number }], // referrer levels that may take part; empty means all
+  prizesAwardedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+referralCampaignSchema.index({ startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('ReferralCampaign', referralCampaignSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One hit on a referral link. The token goes into the attribution cookie (and the signup
+// page URL) so the signup that follows can be credited to the click.
+const referralClickSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  token: { type: String, required: true, unique: true },
+  ipHash: { type: String }, // keyed SHA-256 of the IP, when REFERRAL_IP_SALT is set; the IP itself is not stored
+  userAgent: { type: String },
+  refererUrl: { type: String },
+  utm: {
+    source: { type: String },
+    medium: { type: String },
+    campaign: { type: String },
+    term: { type: String },
+    content: { type: String },
+  },
+  expiresAt: { type: Date, required: true }, // attribution ends here
+  signedUpUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  signedUpAt: { type: Date },
+}, { timestamps: true });
+
+referralClickSchema.index({ referrer: 1, createdAt: 1 });
+referralClickSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('ReferralClick', referralClickSchema);
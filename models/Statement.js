@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Delivery record for a user's monthly statement email, one per user and month.
+// The statement itself is always rebuilt from the ledger.
+const statementSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  period: { type: String, required: true, match: /^\d{4}-\d{2}$/ },
+  status: { type: String, enum: ['sending', 'sent', 'failed'], default: 'sending' },
+  attempts: { type: Number, default: 1 },
+  sentAt: { type: Date },
+  lastError: { type: String },
+}, { timestamps: true });
+
+statementSchema.index({ user: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Statement', statementSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A user's answers to a survey task
+const surveyResponseSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  answers: [{
+    _id: false,
+    question: { type: mongoose.Schema.Types.ObjectId, required: true },
+    choices: [{ type: Number }],
+    text: { type: String },
+  }],
+}, { timestamps: true });
+
+surveyResponseSchema.index({ task: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('SurveyResponse', surveyResponseSchema);
@@ -1,11 +1,53 @@
 const mongoose = require('mongoose');
 
+// Every completion posts its reward to the ledger, which refuses empty postings
+const positiveReward = { validator: v => v > 0, message: 'Reward must be more than zero' };
+
 const taskSchema = new mongoose.Schema({
   title: { type: String, required: true },
-  link: { type: String, required: true },
-  reward: { type: Number, required: true },
-  status: { type: String, enum: ['active', 'archived'], default: 'active' },
+  // Quizzes and surveys are answered in the app and need no link
+  link: { type: String, required() { return !['quiz', 'survey'].includes(this.type); } },
+  type: { type: String, enum: ['link', 'video', 'proof', 'quiz', 'survey'], default: 'link' },
+  // YouTube video behind a `video` task, looked up when the task is saved
+  video: {
+    id: { type: String },
+    title: { type: String },
+    durationSeconds: { type: Number },
+  },
+  // What a `proof` task asks the user to submit; proofs are checked by an admin
+  proof: {
+    kind: { type: String, enum: ['text', 'url', 'screenshot'] },
+    instructions: { type: String },
+  },
+  // Quiz and survey questions. `correct` is the quiz answer key and never leaves the server.
+  questions: [{
+    prompt: { type: String, required: true },
+    kind: { type: String, enum: ['choice', 'text'], default: 'choice' },
+    options: [{ type: String }],
+    multiple: { type: Boolean, default: false },
+    correct: [{ type: Number }],
+    required: { type: Boolean, default: true },
+  }],
+  passMark: { type: Number, min: 0, max: 100 }, // quiz score (percent) needed for the reward
+  maxAttempts: { type: Number, min: 1 }, // quiz attempts per user
+  reward: { type: Number, required: true, validate: positiveReward }, // base reward, for levels without an override
+  rewardByLevel: [{
+    _id: false,
+    level: { type: Number, required: true, min: 1 },
+    reward: { type: Number, required: true, validate: positiveReward },
+  }],
+  // scheduled -> active -> expired; archived is set by hand and taken out of the schedule
+  status: { type: String, enum: ['scheduled', 'active', 'expired', 'archived'], default: 'active' },
+  levels: [{ type: Number }], // levels the task is shown to; empty means every level
+  publishAt: { type: Date },
+  expireAt: { type: Date },
+  maxCompletions: { type: Number, min: 1 }, // unset means unlimited
+  priority: { type: Number, default: 0 }, // higher shows first
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'TaskTemplate' }, // template it was created from
   completions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
 }, { timestamps: true });
 
-module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
+taskSchema.index({ status: 1, publishAt: 1 });
+taskSchema.index({ status: 1, expireAt: 1 });
+
+module.exports = mongoose.model('Task', taskSchema);
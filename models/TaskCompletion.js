@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// User-side record of a completed task; the Task keeps the matching entry in `completions`
+const taskCompletionSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reward: { type: Number, required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD the completion counts towards
+  // Proof tasks stay pending_review, with the reward in balance.pending, until an admin approves
+  status: { type: String, enum: ['credited', 'pending_review'], default: 'credited' },
+  completedAt: { type: Date, default: Date.now },
+  level: { type: Number }, // the user's level when they completed it
+  ip: { type: String },
+}, { timestamps: true });
+
+taskCompletionSchema.index({ task: 1, user: 1 }, { unique: true });
+taskCompletionSchema.index({ user: 1, day: 1 });
+taskCompletionSchema.index({ task: 1, day: 1 });
+taskCompletionSchema.index({ ip: 1, day: 1 });
+
+module.exports = mongoose.model('TaskCompletion', taskCompletionSchema);
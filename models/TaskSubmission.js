@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Proof a user submitted for a `proof` task, waiting for or after admin review
+const taskSubmissionSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: ['text', 'url', 'screenshot'], required: true },
+  text: { type: String },
+  url: { type: String },
+  screenshot: { type: mongoose.Schema.Types.ObjectId, ref: 'ProofFile' },
+  reward: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reason: { type: String },
+}, { timestamps: true });
+
+taskSubmissionSchema.index({ status: 1, createdAt: 1 });
+taskSubmissionSchema.index({ task: 1, user: 1 });
+
+module.exports = mongoose.model('TaskSubmission', taskSubmissionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Reusable task settings. Instantiating a template with a list of links creates one task
+// per link (see services/taskTemplates.js); the schedule is relative to when that happens.
+const positiveReward = { validator: v => v > 0, message: 'Reward must be more than zero' };
+
+const taskTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  title: { type: String }, // default title; video tasks fall back to the video's title
+  type: { type: String, enum: ['link', 'video', 'proof', 'quiz', 'survey'] },
+  reward: { type: Number, validate: positiveReward },
+  rewardByLevel: [{
+    _id: false,
+    level: { type: Number, required: true, min: 1 },
+    reward: { type: Number, required: true, validate: positiveReward },
+  }],
+  levels: [{ type: Number }],
+  proof: {
+    kind: { type: String, enum: ['text', 'url', 'screenshot'] },
+    instructions: { type: String },
+  },
+  questions: [{
+    _id: false,
+    prompt: { type: String, required: true },
+    kind: { type: String, enum: ['choice', 'text'], default: 'choice' },
+    options: [{ type: String }],
+    multiple: { type: Boolean, default: false },
+    correct: [{ type: Number }],
+    required: { type: Boolean, default: true },
+  }],
+  passMark: { type: Number, min: 0, max: 100 },
+  maxAttempts: { type: Number, min: 1 },
+  maxCompletions: { type: Number, min: 1 },
+  priority: { type: Number },
+  schedule: {
+    publishDelayMinutes: { type: Number, min: 0 }, // publish this long after instantiating; unset means at once
+    activeHours: { type: Number, min: 0 }, // expire this long after publishing; unset means never
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
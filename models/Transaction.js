@@ -1,24 +1,66 @@
 const mongoose = require('mongoose');
 
+// A Transaction is one immutable ledger entry. Its postings always sum to zero:
+// user accounts ('user:available', 'user:pending', 'user:referralBonus') on one side,
+// platform/external accounts (e.g. 'platform:rewards', 'external:payouts') on the other.
+const postingSchema = new mongoose.Schema({
+  account: { type: String, required: true },
+  amount: { type: Number, required: true },
+}, { _id: false });
+
 const transactionSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      'task_reward',
+      'referral_bonus',
+      'deposit',
+      'withdrawal_hold',
+      'withdrawal_release',
+      'reward_release',
+      'reward_reversal',
+      'payout',
+      'adjustment',
+      'streak_bonus',
+      'referral_commission',
+      'referral_clawback',
+      'referral_transfer',
+      'referral_prize',
+      'account_fee',
+    ],
+    required: true,
   },
   amount: {
     type: Number,
     required: true,
+    min: 0,
   },
-  type: {
-    type: String,
-    enum: ['Withdrawal', 'Deposit'],
-    required: true,
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: postings => postings.length > 0
+        && Math.round(postings.reduce((sum, p) => sum + p.amount, 0) * 100) === 0,
+      message: 'Ledger postings must balance to zero',
+    },
   },
-  status: {
+  // Running balances of the user's accounts right after this entry was applied
+  balanceAfter: {
+    available: { type: Number, required: true },
+    pending: { type: Number, required: true },
+    referralBonus: { type: Number, required: true },
+  },
+  reference: {
+    kind: { type: String, enum: ['Withdrawal', 'Task', 'User', 'Upgrade', 'Payment', 'BalanceAdjustment', 'TaskSubmission', 'ReferralCampaign'] },
+    id: { type: mongoose.Schema.Types.ObjectId, refPath: 'reference.kind' },
+  },
+  description: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
-    default: 'pending',
   },
   date: {
     type: Date,
@@ -26,5 +68,22 @@ const transactionSchema = new mongoose.Schema({
   },
 });
 
+transactionSchema.index({ user: 1, date: 1 });
+transactionSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+
+// Ledger entries are append-only
+transactionSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Ledger entries are immutable'));
+  next();
+});
+
+const rejectMutation = function (next) {
+  next(new Error('Ledger entries are immutable'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  transactionSchema.pre(op, rejectMutation);
+});
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 module.exports = Transaction;
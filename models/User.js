@@ -29,9 +29,25 @@ const userSchema = new mongoose.Schema(
     contact: { type: String },
     transactions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Withdrawal' }],
     paymentMethods: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PaymentMethod' }],
+    referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    // Signup context for referral fraud checks (services/fraud.js)
+    signupIP: { type: String, index: true },
+    signupUserAgent: { type: String },
+    deviceFingerprint: { type: String, index: true },
+    riskScore: { type: Number, default: 0 }, // highest score of this user's own referral
+    referralsOnHold: { type: Boolean, default: false }, // new referral bonuses are held for review
     referrals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     upgrades: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Upgrade' }],
-    lastTaskDate: { type: String },
+    lastTaskDate: { type: String }, // platform-local YYYY-MM-DD of the latest completion
+    tasksToday: { type: Number }, // completions on lastTaskDate
+    // Consecutive platform days on which the full daily quota was completed
+    streak: {
+      current: { type: Number, default: 0 },
+      longest: { type: Number, default: 0 },
+      lastDay: { type: String }, // latest YYYY-MM-DD that counted
+      freezes: { type: Number }, // missed days the streak can still survive; unset means the maximum
+      freezesUsed: { type: Number, default: 0 },
+    },
   },
   { timestamps: true }
 );
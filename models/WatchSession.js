@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a user starting a video task. A completion must present an
+// unused session that has been open for at least `minWatchSeconds`.
+const watchSessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  videoId: { type: String, required: true },
+  startedAt: { type: Date, default: Date.now },
+  minWatchSeconds: { type: Number, required: true },
+  expiresAt: { type: Date, required: true },
+  completedAt: { type: Date },
+});
+
+watchSessionSchema.index({ user: 1, task: 1, startedAt: -1 });
+// Sessions are only needed until they expire; keep them a day longer for support queries
+watchSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('WatchSession', watchSessionSchema);
@@ -3,9 +3,31 @@ const mongoose = require('mongoose');
 const withdrawalSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   amount: { type: Number, required: true },
+  fee: { type: Number, default: 0 }, // processing fee kept by the platform, see WithdrawalPolicy
+  netAmount: { type: Number }, // amount actually sent to the user's account
   paymentMethod: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentMethod' },
-  status: { type: String, enum: ['pending', 'approved', 'declined', 'paid'], default: 'pending' },
+  status: { type: String, enum: ['pending', 'approved', 'declined', 'paid', 'failed'], default: 'pending' },
+  // Automated bank transfer for approved withdrawals (see services/payouts)
+  transfer: {
+    provider: { type: String },
+    reference: { type: String },
+    status: { type: String, enum: ['queued', 'processing', 'success', 'failed'] },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date },
+    processingSince: { type: Date }, // when the current attempt was sent
+    lastError: { type: String },
+  },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch' },
+  history: [{
+    _id: false,
+    status: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+  }],
   createdAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model('Withdrawal', withdrawalSchema);
\ No newline at end of file
+withdrawalSchema.index({ 'transfer.reference': 1 }, { sparse: true });
+withdrawalSchema.index({ status: 1, 'transfer.status': 1, 'transfer.nextAttemptAt': 1 });
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Admin-configurable withdrawal rules for one user level. Unset limits mean "no limit".
+const withdrawalPolicySchema = new mongoose.Schema({
+  level: { type: Number, required: true, unique: true },
+  minAmount: { type: Number, default: 0 },
+  maxAmount: { type: Number },
+  dailyAmountLimit: { type: Number },
+  weeklyAmountLimit: { type: Number },
+  dailyCountLimit: { type: Number },
+  weeklyCountLimit: { type: Number },
+  cooldownMinutes: { type: Number, default: 0 },
+  // Fee brackets, applied by the first bracket whose `upTo` covers the amount (no `upTo` = no ceiling)
+  feeSchedule: [{
+    _id: false,
+    upTo: { type: Number },
+    flat: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 },
+  }],
+  // Withdrawals may only be requested on these weekdays (0 = Sunday) between these local hours
+  window: {
+    days: { type: [Number], default: [0, 1, 2, 3, 4, 5, 6] },
+    startHour: { type: Number, default: 0, min: 0, max: 23 },
+    endHour: { type: Number, default: 24, min: 1, max: 24 },
+  },
+  requireActive: { type: Boolean, default: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+module.exports = mongoose.model('WithdrawalPolicy', withdrawalPolicySchema);
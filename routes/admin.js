@@ -2,15 +2,44 @@ const express = require('express');
 const router = express.Router();
 
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const adminController = require('../controllers/adminController');
 
 // Models
 const Withdrawal = require('../models/Withdrawal');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
 const Notification = require('../models/Notification');
 const Task = require('../models/Task');
 const Referral = require('../models/Referral');
+const Transaction = require('../models/Transaction');
+const PaymentMethod = require('../models/PaymentMethod');
+const Payment = require('../models/Payment');
+const WithdrawalPolicy = require('../models/WithdrawalPolicy');
+const ledger = require('../services/ledger');
+const { describeDestination } = require('../utils/destination');
+const withdrawalService = require('../services/withdrawals');
+const payouts = require('../services/payouts');
+const adjustments = require('../services/adjustments');
+const taskService = require('../services/tasks');
+const taskScheduler = require('../services/taskScheduler');
+const taskReviews = require('../services/taskReviews');
+const quizzes = require('../services/quizzes');
+const taskAnalytics = require('../services/taskAnalytics');
+const taskImport = require('../services/taskImport');
+const taskTemplates = require('../services/taskTemplates');
+const fraud = require('../services/fraud');
+const referralTracking = require('../services/referralTracking');
+const referralCampaigns = require('../services/referralCampaigns');
+const referralLeaderboards = require('../services/referralLeaderboards');
+const ReferralCampaign = require('../models/ReferralCampaign');
+const TaskTemplate = require('../models/TaskTemplate');
+const TaskSubmission = require('../models/TaskSubmission');
+const ProofFile = require('../models/ProofFile');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const { notifyUser } = require('../services/notifications');
+const payoutBatches = require('../services/payoutBatches');
+const PayoutBatch = require('../models/PayoutBatch');
+const { parseCsv } = require('../utils/csv');
 
 // ==============================
 // 📌 Admin Authentication & Profile
@@ -36,6 +65,95 @@ router.post('/users/:id/reset-password', [authMiddleware, adminMiddleware], admi
 router.post('/users/:id/confirm-email', [authMiddleware, adminMiddleware], adminController.confirmUserEmail);
 router.post('/users/:id/resend-confirmation', [authMiddleware, adminMiddleware], adminController.resendConfirmation);
 
+router.get('/users/:id/ledger', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const entries = await Transaction.find({ user: req.params.id }).sort({ date: 1 }).lean();
+    const { ledger: projected, stored, inSync } = await ledger.reconcile(req.params.id);
+    res.json({ entries, balances: projected, stored, inSync });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Manual balance adjustments (maker-checker): proposed by one admin, approved by another
+const formatAdjustment = a => ({
+  _id: a._id.toString(),
+  userId: a.user?._id?.toString() || a.user?.toString(),
+  user: a.user?.fullName,
+  amount: a.amount,
+  reason: a.reason,
+  attachment: a.attachment,
+  status: a.status,
+  proposedBy: a.proposedBy?.fullName,
+  reviewedBy: a.reviewedBy?.fullName,
+  reviewedAt: a.reviewedAt,
+  reviewNote: a.reviewNote,
+  createdAt: a.createdAt,
+});
+
+router.get('/users/:id/adjustments', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const history = await BalanceAdjustment.find({ user: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('proposedBy reviewedBy', 'fullName')
+      .lean();
+    res.json(history.map(formatAdjustment));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post('/users/:id/adjustments', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { amount, reason, attachment } = req.body;
+    const adjustment = await adjustments.propose({ adminId: req.user.id, userId: req.params.id, amount, reason, attachment });
+    res.status(201).json({ message: 'Adjustment proposed, awaiting approval by another admin', adjustmentId: adjustment._id });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+router.get('/adjustments', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const adjustmentList = await BalanceAdjustment.find({ status: req.query.status || 'pending' })
+      .sort({ createdAt: 1 })
+      .populate('user proposedBy reviewedBy', 'fullName')
+      .lean();
+    res.json(adjustmentList.map(formatAdjustment));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post('/adjustments/:id/approve', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { adjustment, balance } = await adjustments.approve(req.params.id, req.user.id, req.body.note);
+
+    // The adjustment is committed: notifications are best-effort from here on
+    const verb = adjustment.amount > 0 ? 'credited to' : 'debited from';
+    await notifyUser(
+      req.app.get('io'),
+      adjustment.user,
+      `₦${Math.abs(adjustment.amount).toLocaleString()} was ${verb} your balance: ${adjustment.reason}`,
+      { 'balance-update': { balance } }
+    ).catch(err => console.error('Adjustment notification error:', err.message));
+
+    await emitDashboardUpdate(req.app);
+    res.json({ message: 'Adjustment applied', balance });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+router.post('/adjustments/:id/reject', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    await adjustments.reject(req.params.id, req.user.id, req.body.note);
+    res.json({ message: 'Adjustment rejected' });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
 // ==============================
 // 💸 Withdrawals
 // ==============================
@@ -45,99 +163,250 @@ router.get('/withdrawals', [authMiddleware, adminMiddleware], async (req, res) =
     res.json(withdrawals.map(w => ({
       _id: w._id.toString(),
       userId: w.user._id.toString(),
+      user: w.user.fullName,
       amount: w.amount,
+      fee: w.fee,
       date: w.createdAt,
-      status: w.status
+      status: w.status,
+      destination: describeDestination(w.paymentMethod),
+      payout: w.transfer?.status,
     })));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-router.post('/withdrawals/:id/approve', [authMiddleware, adminMiddleware], async (req, res) => {
+router.post('/withdrawals/:id/approve', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
   try {
-    const withdrawal = await Withdrawal.findById(req.params.id);
-    if (!withdrawal) return res.status(404).json({ error: 'Withdrawal not found' });
+    const result = await payouts.approve(req.params.id, req.user.id);
+    await payouts.announce(req.app.get('io'), result)
+      .catch(err => console.error('Payout notification error:', err.message));
 
-    withdrawal.status = 'approved';
-    await withdrawal.save();
+    await emitDashboardUpdate(req.app);
+    res.json({ message: 'Withdrawal approved', payout: result.outcome });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
 
-    const transaction = await Transaction.findOne({
+router.post('/withdrawals/:id/decline', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { withdrawal, balance } = await withdrawalService.decline(req.params.id, req.user.id);
+
+    const notification = new Notification({
       user: withdrawal.user,
-      amount: -withdrawal.amount,
-      type: 'Withdrawal',
-      status: 'pending',
+      message: `Withdrawal request of ₦${withdrawal.amount.toLocaleString()} declined`,
     });
-    if (transaction) {
-      transaction.status = 'completed';
-      await transaction.save();
-    }
+    await notification.save()
+      .catch(err => console.error('Withdrawal notification error:', err.message));
 
+    req.app.get('io').to(withdrawal.user.toString()).emit('balance-update', { balance });
     await emitDashboardUpdate(req.app);
-    res.json({ message: 'Withdrawal approved' });
+    res.json({ message: 'Withdrawal declined' });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
   }
 });
 
-router.post('/withdrawals/:id/decline', [authMiddleware, adminMiddleware], async (req, res) => {
+router.post('/withdrawals/:id/paid', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
   try {
-    const withdrawal = await Withdrawal.findById(req.params.id).populate('user');
-    if (!withdrawal) return res.status(404).json({ error: 'Withdrawal not found' });
+    const { withdrawal, balance } = await withdrawalService.markPaid(req.params.id, req.user.id);
 
-    const user = await User.findById(withdrawal.user._id);
-    user.balance.available += withdrawal.amount;
-    user.balance.pending -= withdrawal.amount;
-    await user.save();
+    const notification = new Notification({
+      user: withdrawal.user,
+      message: `Withdrawal of ₦${withdrawal.amount.toLocaleString()} marked as paid`,
+    });
+    await notification.save()
+      .catch(err => console.error('Withdrawal notification error:', err.message));
 
-    withdrawal.status = 'declined';
-    await withdrawal.save();
+    req.app.get('io').to(withdrawal.user.toString()).emit('balance-update', { balance });
+    await emitDashboardUpdate(req.app);
+    res.json({ message: 'Withdrawal marked as paid' });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
 
-    const transaction = await Transaction.findOne({
-      user: withdrawal.user,
-      amount: -withdrawal.amount,
-      type: 'Withdrawal',
-      status: 'pending',
+// Payout batches: approve many withdrawals at once and pay them with a bank bulk-transfer file
+router.post('/payout-batches', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { withdrawalIds, from, to, minAmount, maxAmount } = req.body;
+    const batch = await payoutBatches.create({
+      adminId: req.user.id,
+      withdrawalIds,
+      filters: { from, to, minAmount, maxAmount },
     });
-    if (transaction) {
-      transaction.status = 'failed';
-      await transaction.save();
-    }
+    res.status(201).json(batch);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
 
-    const notification = new Notification({
-      user: withdrawal.user._id,
-      message: `Withdrawal request of ₦${withdrawal.amount.toLocaleString()} declined`,
+router.get('/payout-batches', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const batches = await PayoutBatch.find().sort({ createdAt: -1 }).populate('createdBy approvedBy', 'fullName').lean();
+    res.json(batches.map(b => ({
+      _id: b._id.toString(),
+      reference: b.reference,
+      status: b.status,
+      count: b.items.filter(i => i.status !== 'removed').length,
+      total: b.items.filter(i => i.status !== 'removed').reduce((sum, i) => sum + i.netAmount, 0),
+      createdBy: b.createdBy?.fullName,
+      approvedBy: b.approvedBy?.fullName,
+      createdAt: b.createdAt,
+      exportedAt: b.exportedAt,
+      settledAt: b.settledAt,
+    })));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/payout-batches/:id', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate({ path: 'items.withdrawal', populate: { path: 'user paymentMethod', select: 'fullName type details' } })
+      .lean();
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+    res.json({
+      ...batch,
+      items: batch.items.map(i => ({
+        withdrawal: i.withdrawal._id.toString(),
+        user: i.withdrawal.user?.fullName,
+        amount: i.amount,
+        netAmount: i.netAmount,
+        destination: describeDestination(i.withdrawal.paymentMethod),
+        status: i.status,
+        note: i.note,
+      })),
     });
-    await notification.save();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
+router.post('/payout-batches/:id/approve', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const batch = await payoutBatches.approve(req.params.id, req.user.id);
     await emitDashboardUpdate(req.app);
-    res.json({ message: 'Withdrawal declined' });
+    res.json(batch);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
   }
 });
 
-router.post('/withdrawals/:id/paid', [authMiddleware, adminMiddleware], async (req, res) => {
+router.get('/payout-batches/:id/export', [authMiddleware, adminMiddleware], async (req, res) => {
   try {
-    const withdrawal = await Withdrawal.findById(req.params.id).populate('user');
-    if (!withdrawal) return res.status(404).json({ error: 'Withdrawal not found' });
-    if (withdrawal.status !== 'approved') return res.status(400).json({ error: 'Must be approved first' });
+    const file = await payoutBatches.exportFile(req.params.id, req.query.format || 'csv');
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+// Settlement result from the bank: CSV text (reference,status,reason) or JSON { rows: [...] }
+router.post(
+  '/payout-batches/:id/settlement',
+  [authMiddleware, adminMiddleware, express.text({ type: ['text/csv', 'text/plain'] }), idempotency],
+  async (req, res) => {
+    try {
+      const rows = typeof req.body === 'string' ? parseCsv(req.body) : req.body.rows;
+      if (!Array.isArray(rows) || !rows.length) return res.status(400).json({ error: 'No settlement rows supplied' });
+
+      const { batch, results } = await payoutBatches.settle(req.params.id, req.user.id, rows);
+
+      const io = req.app.get('io');
+      for (const result of results) {
+        await payouts.announce(io, result)
+          .catch(err => console.error('Payout notification error:', err.message));
+      }
 
-    withdrawal.status = 'paid';
-    await withdrawal.save();
+      await emitDashboardUpdate(req.app);
+      res.json({
+        status: batch.status,
+        results: results.map(({ reference, outcome, error }) => ({ reference, outcome, error })),
+      });
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message, code: error.code });
+    }
+  }
+);
 
-    const user = await User.findById(withdrawal.user._id);
-    user.balance.pending -= withdrawal.amount;
-    await user.save();
+// Withdrawal policies per level
+const POLICY_FIELDS = [
+  'minAmount', 'maxAmount', 'dailyAmountLimit', 'weeklyAmountLimit', 'dailyCountLimit',
+  'weeklyCountLimit', 'cooldownMinutes', 'feeSchedule', 'window', 'requireActive',
+];
 
-    const notification = new Notification({
-      user: withdrawal.user._id,
-      message: `Withdrawal of ₦${withdrawal.amount.toLocaleString()} marked as paid`,
+router.get('/withdrawal-policies', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.json(await WithdrawalPolicy.find().sort({ level: 1 }).lean());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.put('/withdrawal-policies/:level', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const level = Number(req.params.level);
+    if (!Number.isInteger(level) || level < 1) return res.status(400).json({ error: 'Invalid level' });
+
+    const update = { updatedBy: req.user.id };
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
     });
-    await notification.save();
 
-    await emitDashboardUpdate(req.app);
-    res.json({ message: 'Withdrawal marked as paid' });
+    const policy = await WithdrawalPolicy.findOneAndUpdate(
+      { level },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json(policy);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/withdrawal-policies/:level', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const policy = await WithdrawalPolicy.findOneAndDelete({ level: Number(req.params.level) });
+    if (!policy) return res.status(404).json({ error: 'Policy not found' });
+    res.json({ message: 'Policy removed, level uses the default policy' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Successful payments that bought nothing (e.g. for an upgrade already rejected) and must be refunded
+router.get('/payments/refunds', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const due = await Payment.find({ 'refund.status': req.query.status || 'due' })
+      .sort({ createdAt: 1 })
+      .populate('user', 'fullName email')
+      .lean();
+    res.json(due);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Payment methods on bank accounts shared by several users
+router.get('/payment-methods/flagged', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const methods = await PaymentMethod.find({ flagged: true }).populate('user', 'fullName username email').lean();
+    res.json(methods.map(m => ({
+      _id: m._id.toString(),
+      user: m.user?.fullName,
+      username: m.user?.username,
+      bank: m.details?.bank,
+      accountNumber: m.details?.accountNumber,
+      accountName: m.details?.accountName,
+      verificationStatus: m.verification?.status || 'unverified',
+      flagReason: m.flagReason,
+    })));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -146,49 +415,94 @@ router.post('/withdrawals/:id/paid', [authMiddleware, adminMiddleware], async (r
 // ==============================
 // ✅ Task Management
 // ==============================
+const formatTask = t => ({
+  _id: t._id.toString(),
+  title: t.title,
+  link: t.link,
+  type: t.type || 'link',
+  video: t.type === 'video' ? t.video : undefined,
+  proof: t.type === 'proof' ? t.proof : undefined,
+  questions: ['quiz', 'survey'].includes(t.type) ? t.questions : undefined,
+  passMark: t.passMark,
+  maxAttempts: t.maxAttempts,
+  reward: t.reward,
+  rewardByLevel: t.rewardByLevel,
+  levels: t.levels,
+  publishAt: t.publishAt,
+  expireAt: t.expireAt,
+  maxCompletions: t.maxCompletions,
+  priority: t.priority,
+  completions: t.completions.length,
+  status: t.status,
+});
+
 router.get('/tasks', [authMiddleware, adminMiddleware], async (req, res) => {
   try {
-    const tasks = await Task.find().lean();
-    res.json(tasks.map(t => ({
-      _id: t._id.toString(),
-      title: t.title,
-      link: t.link,
-      completions: t.completions.length,
-      status: t.status
-    })));
+    const tasks = await Task.find().sort({ priority: -1, createdAt: -1 }).lean();
+    res.json(tasks.map(formatTask));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Analytics for every task; ?from=&to= are platform-local days, ?format=csv downloads it
+router.get('/tasks/analytics', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const report = await taskAnalytics.overview({ from: req.query.from, to: req.query.to });
+    if (req.query.format !== 'csv') return res.json(report);
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="task-analytics-${report.from || 'start'}-${report.to || 'now'}.csv"`);
+    res.send(taskAnalytics.overviewCsv(report));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+router.get('/tasks/:id/analytics', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const report = await taskAnalytics.forTask(req.params.id, { from: req.query.from, to: req.query.to });
+    if (req.query.format !== 'csv') return res.json(report);
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="task-${report.taskId}-daily.csv"`);
+    res.send(taskAnalytics.taskCsv(report));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+// Tasks with a future publishAt are created as scheduled and announced by the scheduler job
 router.post('/tasks', [authMiddleware, adminMiddleware], async (req, res) => {
   try {
-    const { title, link, status } = req.body;
-    if (!title || !link || !status) return res.status(400).json({ error: 'Missing required fields' });
+    const task = await taskService.createTask(req.body);
+    await taskScheduler.announce(req.app.get('io'), task);
+    res.status(201).json(formatTask(task));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
 
-    const task = new Task({ title, link, status, reward: 300 });
-    await task.save();
+router.put('/tasks/:id', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const { task, published } = await taskService.updateTask(req.params.id, req.body);
+    if (published) await taskScheduler.announce(req.app.get('io'), task);
+    res.json(formatTask(task));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
 
-    // Emit event to users on level 1–6
-    const io = req.app.get('io');
-    const users = await User.find({ level: { $gte: 1, $lte: 6 } });
-
-    users.forEach(user => {
-      io.to(user._id.toString()).emit('new-task', {
-        _id: task._id.toString(),
-        title: task.title,
-        link: task.link,
-        status: task.status
-      });
-    });
+// Survey answers, one row per respondent
+router.get('/tasks/:id/survey-responses', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('type title questions');
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (task.type !== 'survey') return res.status(400).json({ error: 'Task is not a survey' });
 
-    res.status(201).json({
-      _id: task._id.toString(),
-      title: task.title,
-      link: task.link,
-      completions: task.completions.length,
-      status: task.status,
-    });
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="survey-${task._id}.csv"`);
+    res.send(await quizzes.surveyCsv(task));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -196,21 +510,20 @@ router.post('/tasks', [authMiddleware, adminMiddleware], async (req, res) => {
 
 router.post('/tasks/:id/archive', [authMiddleware, adminMiddleware], async (req, res) => {
   try {
-    const task = await Task.findByIdAndUpdate(req.params.id, { status: 'archived' }, { new: true });
-    if (!task) return res.status(404).json({ error: 'Task not found' });
+    await taskService.setArchived(req.params.id, true);
     res.json({ message: 'Task archived' });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
   }
 });
 
 router.post('/tasks/:id/unarchive', [authMiddleware, adminMiddleware], async (req, res) => {
   try {
-    const task = await Task.findByIdAndUpdate(req.params.id, { status: 'active' }, { new: true });
-    if (!task) return res.status(404).json({ error: 'Task not found' });
-    res.json({ message: 'Task unarchived' });
+    const { task, published } = await taskService.setArchived(req.params.id, false);
+    if (published) await taskScheduler.announce(req.app.get('io'), task);
+    res.json({ message: `Task unarchived (${task.status})` });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
   }
 });
 
@@ -224,6 +537,153 @@ router.delete('/tasks/:id', [authMiddleware, adminMiddleware], async (req, res)
   }
 });
 
+// Bulk import: a CSV upload (see services/taskImport.js for the columns) or JSON { tasks: [...] }.
+// Nothing is created unless every row is valid; ?dryRun=true only validates.
+const announceAll = async (app, created) => {
+  for (const task of created) {
+    await taskScheduler.announce(app.get('io'), task);
+  }
+};
+
+const importError = (res, error) => res.status(error.status || 400).json({
+  error: error.message,
+  code: error.code,
+  ...(error.code === 'IMPORT_INVALID' && { errors: error.details }),
+});
+
+router.post(
+  '/tasks/import',
+  [authMiddleware, adminMiddleware, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), idempotency],
+  async (req, res) => {
+    try {
+      const rows = typeof req.body === 'string' ? taskImport.fromCsv(parseCsv(req.body)) : req.body.tasks;
+      const dryRun = req.query.dryRun === 'true';
+      const created = await taskImport.importTasks(rows, { dryRun });
+      if (!dryRun) await announceAll(req.app, created);
+      res.status(dryRun ? 200 : 201).json({ dryRun, count: created.length, tasks: created.map(formatTask) });
+    } catch (error) {
+      importError(res, error);
+    }
+  }
+);
+
+// Task templates
+router.get('/task-templates', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.json(await TaskTemplate.find().sort({ name: 1 }).lean());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post('/task-templates', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.status(201).json(await taskTemplates.create(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+router.put('/task-templates/:id', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.json(await taskTemplates.update(req.params.id, req.body));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+router.delete('/task-templates/:id', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const template = await TaskTemplate.findByIdAndDelete(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create one task per link: { links: [url | { link, title }], publishAt?, dryRun? }
+router.post('/task-templates/:id/instantiate', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { links, publishAt, dryRun } = req.body;
+    const created = await taskTemplates.instantiate(req.params.id, { links, publishAt, dryRun: dryRun === true });
+    if (dryRun !== true) await announceAll(req.app, created);
+    res.status(dryRun === true ? 200 : 201).json({ dryRun: dryRun === true, count: created.length, tasks: created.map(formatTask) });
+  } catch (error) {
+    importError(res, error);
+  }
+});
+
+// Proof submissions waiting for review
+router.get('/task-submissions', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const submissions = await taskReviews.list({
+      status: req.query.status,
+      taskId: req.query.task,
+      limit: req.query.limit,
+      after: req.query.after,
+    });
+    res.json(submissions.map(s => ({
+      _id: s._id.toString(),
+      task: s.task?.title,
+      taskId: s.task?._id.toString(),
+      instructions: s.task?.proof?.instructions,
+      user: s.user?.fullName,
+      username: s.user?.username,
+      kind: s.kind,
+      text: s.text,
+      url: s.url,
+      screenshot: s.screenshot ? `/api/admin/task-submissions/${s._id}/screenshot` : undefined,
+      reward: s.reward,
+      status: s.status,
+      reason: s.reason,
+      submittedAt: s.createdAt,
+    })));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/task-submissions/:id/screenshot', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const submission = await TaskSubmission.findById(req.params.id).select('screenshot');
+    const file = submission?.screenshot && await ProofFile.findById(submission.screenshot);
+    if (!file) return res.status(404).json({ error: 'Screenshot not found' });
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', 'inline');
+    res.send(file.data);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Bulk review: { ids: [...], decision: 'approve' | 'reject', reason }
+router.post('/task-submissions/review', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { ids, decision, reason } = req.body;
+    const results = await taskReviews.review({ ids, adminId: req.user.id, decision, reason });
+
+    const io = req.app.get('io');
+    for (const { submission, balance, streak } of results.filter(r => r.submission)) {
+      const approved = submission.status === 'approved';
+      const message = approved
+        ? `Your task proof was approved and ₦${submission.reward.toLocaleString()} is now available`
+        : `Your task proof was rejected: ${submission.reason}`;
+      await notifyUser(io, submission.user, submission.reason && approved ? `${message} (${submission.reason})` : message, {
+        'balance-update': { balance },
+        'submission-update': { submissionId: submission._id, taskId: submission.task, status: submission.status, reason: submission.reason },
+        // An approval can complete the day the proof was submitted on
+        ...(streak && { 'streak-update': { streak: { ...streak.streak, bonus: streak.bonus, freezesUsed: streak.freezesUsed } } }),
+      }).catch(err => console.error('Task review notification error:', err.message));
+    }
+
+    res.json({ results: results.map(({ id, outcome, error }) => ({ id, outcome, error })) });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
 // ==============================
 // 🤝 Referrals
 // ==============================
@@ -245,8 +705,11 @@ router.get('/referrals', [authMiddleware, adminMiddleware], async (req, res) =>
         };
       }
 
-      statsMap[referrerId].referralCount += 1;
-      statsMap[referrerId].bonusPaid += ref.bonus || 0;
+      // Deeper tiers earn commission but are not the referrer's own referrals
+      if ((ref.tier || 1) === 1) statsMap[referrerId].referralCount += 1;
+      // Pending and voided signup bonuses were never paid
+      const paidBonus = ['pending', 'void'].includes(ref.bonusStatus) ? 0 : ref.bonus || 0;
+      statsMap[referrerId].bonusPaid += paidBonus + (ref.earnings || 0);
       statsMap[referrerId].isSuspicious = statsMap[referrerId].isSuspicious || ref.suspicious;
     });
 
@@ -256,6 +719,119 @@ router.get('/referrals', [authMiddleware, adminMiddleware], async (req, res) =>
   }
 });
 
+// Best-performing referral codes by link clicks, signups and activations; ?from=&to=&limit=
+router.get('/referrals/top', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.json(await referralTracking.topCodes(req.query));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+// Referrals flagged by the fraud checks (services/fraud.js); ?status=pending|cleared|confirmed
+router.get('/referrals/flagged', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    const flagged = await fraud.listFlagged({ status: req.query.status || 'pending', limit: req.query.limit });
+    res.json(flagged.map(r => ({
+      _id: r._id,
+      referrer: r.referrer,
+      referee: r.referredUser,
+      tier: r.tier,
+      riskScore: r.riskScore,
+      riskReasons: r.riskReasons,
+      bonus: r.bonus,
+      bonusStatus: r.bonusStatus,
+      review: r.review,
+      createdAt: r.createdAt,
+    })));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Settle a flagged referral: { decision: 'clear' | 'confirm', note }
+router.post('/referrals/:id/review', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { referral, released, referrerOnHold } = await fraud.review({
+      referralId: req.params.id,
+      adminId: req.user.id,
+      decision: req.body.decision,
+      note: req.body.note,
+    });
+    res.json({ referralId: referral._id, review: referral.review, bonusStatus: referral.bonusStatus, released, referrerOnHold });
+    // Clearing releases bonuses (and the referrer's hold), which can move them onto a leaderboard
+    referralLeaderboards.publishChanges(req.app.get('io'))
+      .catch(err => console.error('Referral leaderboard update error:', err.message));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+// Referral campaigns (services/referralCampaigns.js)
+router.get('/referral-campaigns', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.json(await ReferralCampaign.find().sort({ startsAt: -1 }).lean());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post('/referral-campaigns', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.status(201).json(await referralCampaigns.create(req.body, req.user.id));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+router.put('/referral-campaigns/:id', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.json(await referralCampaigns.update(req.params.id, req.body));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+router.delete('/referral-campaigns/:id', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    await referralCampaigns.remove(req.params.id);
+    res.json({ message: 'Campaign deleted' });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+// Full standings, with the users behind the anonymized names
+router.get('/referral-campaigns/:id/leaderboard', [authMiddleware, adminMiddleware], async (req, res) => {
+  try {
+    res.json(await referralLeaderboards.standings({
+      period: 'campaign',
+      campaignId: req.params.id,
+      limit: req.query.limit,
+      reveal: true,
+    }));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
+// Pay a finished campaign's prizes to its top ranks
+router.post('/referral-campaigns/:id/award', [authMiddleware, adminMiddleware, idempotency], async (req, res) => {
+  try {
+    const { campaign, winners } = await referralCampaigns.awardPrizes(req.params.id);
+    for (const winner of winners) {
+      await notifyUser(
+        req.app.get('io'),
+        winner.user._id,
+        `You placed #${winner.rank} in ${campaign.name} and won ₦${winner.prize.toLocaleString()} in referral earnings`
+      ).catch(err => console.error('Referral prize notification error:', err.message));
+    }
+    res.json({ campaignId: campaign._id, prizesAwardedAt: campaign.prizesAwardedAt, winners });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
+  }
+});
+
 // ==============================
 // 🧰 Upgrades, Admins, Emails, Notifications
 // ==============================
@@ -272,7 +848,16 @@ router.post('/notifications', [authMiddleware, adminMiddleware], adminController
 // ==============================
 // 📡 Emit Dashboard Updates Helper
 // ==============================
+// Runs after writes have committed, so a failure is logged rather than failing the request
 async function emitDashboardUpdate(app) {
+  try {
+    await broadcastDashboard(app);
+  } catch (err) {
+    console.error('Dashboard update error:', err.message);
+  }
+}
+
+async function broadcastDashboard(app) {
   const totalUsers = await User.countDocuments();
   const totalEarnings = await User.aggregate([{ $group: { _id: null, total: { $sum: '$balance.available' } } }]);
   const totalTasks = await Task.aggregate([
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const Sentry = require('@sentry/node');
+const { authMiddleware } = require('../middleware/auth');
+const sendEmail = require('../utils/sendEmail');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const EmailLog = require('../models/EmailLog');
+const payments = require('../services/payments');
+const referralLeaderboards = require('../services/referralLeaderboards');
+const ServiceError = require('../utils/ServiceError');
+
+// Tell the user their payment went through (or didn't)
+async function notifyPayment(app, payment) {
+  const io = app.get('io');
+  const user = await User.findById(payment.user).select('email fullName status level balance');
+  if (!user) return;
+
+  if (payment.status === 'success' && payment.purpose === 'registration') {
+    io.to(user._id.toString()).emit('status-update', { status: user.status });
+    io.to(user._id.toString()).emit('balance-update', { balance: user.balance });
+    await sendEmail(
+      user.email,
+      'Registration Payment Confirmed',
+      `<p>Hi ${user.fullName}, your registration payment of ₦${payment.amount.toLocaleString()} has been confirmed. Welcome aboard!</p>`
+    );
+  } else if (payment.status === 'success') {
+    io.to(user._id.toString()).emit('upgrade-update', { level: user.level });
+    await sendEmail(
+      user.email,
+      'Upgrade Payment Confirmed',
+      `<p>Hi ${user.fullName}, your upgrade payment of ₦${payment.amount.toLocaleString()} to level ${payment.level} has been confirmed.</p>`
+    );
+  } else {
+    io.to(user._id.toString()).emit('payment-failed', { reference: payment.reference, purpose: payment.purpose });
+    await sendEmail(
+      user.email,
+      'Payment Not Completed',
+      `<p>Hi ${user.fullName}, your payment of ₦${payment.amount.toLocaleString()} could not be confirmed. Please try again.</p>`
+    );
+  }
+  await EmailLog.create({ type: 'notification', recipient: user.email });
+}
+
+async function processWebhook(req, providerName, rawBody, headers, body) {
+  const payment = await payments.handleWebhook(providerName, rawBody, headers, body);
+  if (payment) {
+    await notifyPayment(req.app, payment).catch(err => {
+      console.error('Payment notification error:', err.message);
+      Sentry.captureException(err);
+    });
+    // An activation can move the referrer up the referral leaderboards
+    if (payment.status === 'success' && payment.purpose === 'registration') {
+      await referralLeaderboards.publishChanges(req.app.get('io')).catch(err => {
+        console.error('Referral leaderboard update error:', err.message);
+        Sentry.captureException(err);
+      });
+    }
+  }
+  return payment;
+}
+
+// Provider Webhook
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    await processWebhook(req, req.params.provider, req.rawBody, req.headers, req.body);
+    res.json({ received: true });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    Sentry.captureException(err);
+    console.error('Payment webhook error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Local fake gateway, for exercising the flow end-to-end without a real provider. Only mounted
+// when PAYMENT_PROVIDER is explicitly 'fake' outside production: completing a charge here
+// activates accounts without any money changing hands.
+if (payments.fakeCheckoutEnabled()) {
+  router.get('/fake/:reference/checkout', (req, res) => {
+    const reference = encodeURIComponent(req.params.reference);
+    res.send(`<h3>Fake checkout: ${reference}</h3>
+      <form method="POST" action="complete?outcome=success"><button>Pay</button></form>
+      <form method="POST" action="complete?outcome=failed"><button>Fail</button></form>`);
+  });
+
+  router.post('/fake/:reference/complete', async (req, res) => {
+    try {
+      const fake = payments.getProvider('fake');
+      const webhook = fake.settle(req.params.reference, req.query.outcome || req.body?.outcome);
+      if (!webhook) return res.status(404).json({ message: 'Charge not found' });
+
+      const payment = await processWebhook(req, 'fake', webhook.rawBody, webhook.headers, JSON.parse(webhook.rawBody));
+      res.json({ message: 'Webhook delivered', status: payment?.status || 'unchanged' });
+    } catch (err) {
+      if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+      console.error('Fake payment error:', err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+}
+
+// Payment Status
+router.get('/:reference', authMiddleware, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ reference: req.params.reference, user: req.user.id })
+      .select('reference purpose level amount status verifiedAt createdAt');
+    if (!payment) return res.status(404).json({ message: 'Payment not found' });
+    res.json(payment);
+  } catch (err) {
+    Sentry.captureException(err);
+    console.error('Payment status error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
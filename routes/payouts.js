@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const Sentry = require('@sentry/node');
+const payouts = require('../services/payouts');
+const ServiceError = require('../utils/ServiceError');
+
+async function processWebhook(req, providerName, rawBody, headers, body) {
+  const result = await payouts.handleWebhook(providerName, rawBody, headers, body);
+  await payouts.announce(req.app.get('io'), result).catch(err => {
+    console.error('Payout notification error:', err.message);
+    Sentry.captureException(err);
+  });
+  return result;
+}
+
+// Provider Webhook
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    await processWebhook(req, req.params.provider, req.rawBody, req.headers, req.body);
+    res.json({ received: true });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    Sentry.captureException(err);
+    console.error('Payout webhook error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Local stub provider, for exercising payouts end-to-end without a real bank
+router.post('/stub/:reference/complete', async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production' || process.env.PAYOUT_PROVIDER !== 'stub') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+    const webhook = payouts.getProvider('stub').settle(req.params.reference, req.query.outcome || req.body?.outcome);
+    if (!webhook) return res.status(404).json({ message: 'Transfer not found' });
+
+    const result = await processWebhook(req, 'stub', webhook.rawBody, webhook.headers, JSON.parse(webhook.rawBody));
+    res.json({ message: 'Webhook delivered', outcome: result?.outcome || 'unchanged' });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    console.error('Stub payout error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,35 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { proofScreenshot } = require('../middleware/uploads');
 const sendEmail = require('../utils/sendEmail');
 const Sentry = require('@sentry/node');
 const crypto = require('crypto');
 const User = require('../models/User');
 const PaymentMethod = require('../models/PaymentMethod');
 const Withdrawal = require('../models/Withdrawal');
-const Upgrade = require('../models/Upgrade');
 const EmailLog = require('../models/EmailLog');
-const { io } = require('../server');
+const referrals = require('../services/referrals');
+const fraud = require('../services/fraud');
+const referralTracking = require('../services/referralTracking');
+const referralCampaigns = require('../services/referralCampaigns');
+const referralLeaderboards = require('../services/referralLeaderboards');
+const withdrawalService = require('../services/withdrawals');
+const withdrawalPolicy = require('../services/withdrawalPolicy');
+const taskService = require('../services/tasks');
+const payments = require('../services/payments');
+const statements = require('../services/statements');
+const { notifyUser } = require('../services/notifications');
+const { MAX_LEVEL, isLevel, registrationFee } = require('../config/fees');
+const { banks } = require('../config/banks');
+const { describeDestination, destinationLabel } = require('../utils/destination');
+const ServiceError = require('../utils/ServiceError');
+const withRetry = require('../utils/withRetry');
 const {
   loginUser,
   registerUser,
@@ -21,21 +38,10 @@ const {
   getPaymentMethods,
   updatePaymentMethod,
   deletePaymentMethod,
+  setDefaultPaymentMethod,
   getReferralStats,
 } = require('../controllers/userController');
 
-// Retry Logic for Database Operations
-async function withRetry(fn, retries = 3, delay = 1000) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      if (i === retries - 1) throw err;
-      await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i))); // Exponential backoff
-    }
-  }
-}
-
 // Generate Verification Code
 const generateVerificationCode = () => Math.floor(100000 + Math.random() * 900000).toString();
 
@@ -61,6 +67,9 @@ router.post('/signup', signupLimiter, async (req, res) => {
     if (username === 'undefined' || typeof username !== 'string') {
       return res.status(400).json({ message: 'Invalid username' });
     }
+    if (!isLevel(Number(level))) {
+      return res.status(400).json({ message: `Level must be between 1 and ${MAX_LEVEL}` });
+    }
 
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     const phoneRegex = /^[0-9]{10,15}$/;
@@ -78,15 +87,18 @@ router.post('/signup', signupLimiter, async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
     const verificationCode = generateVerificationCode();
-    const signupIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
 
+    // A referral link click (cookie or clickToken) refers the signup when no code was entered
+    const click = await referralTracking.findAttribution(req);
     let referredBy = null;
     if (referralCode && referralCode !== 'undefined') {
-      const referrer = await withRetry(() => User.findOne({ $or: [{ referralCode }, { username: referralCode }] }));
+      const referrer = await withRetry(() => referrals.findReferrer(referralCode));
       if (!referrer) {
         return res.status(400).json({ message: 'Invalid referral code' });
       }
       referredBy = referrer._id;
+    } else if (click && await User.exists({ _id: click.referrer })) {
+      referredBy = click.referrer;
     }
 
     const newUser = new User({
@@ -102,11 +114,11 @@ router.post('/signup', signupLimiter, async (req, res) => {
       balance: { available: 0, pending: 0 },
       profileSet: false,
       tasksCompleted: 0,
-      signupIP,
+      ...fraud.signupContext(req),
       verificationCode,
     });
 
-    await withRetry(() => newUser.save());
+    await newUser.save();
 
     await sendEmail(
       email,
@@ -114,18 +126,22 @@ router.post('/signup', signupLimiter, async (req, res) => {
       `<p>Hello ${fullName},</p><p>Your verification code is: <b>${verificationCode}</b></p><p>Please verify your email and complete your payment of ₦${amount} to activate your account.</p>`
     );
 
-    await withRetry(() => EmailLog.create({ type: 'verification', recipient: email }));
+    await EmailLog.create({ type: 'verification', recipient: email });
+
+    if (click) res.clearCookie(referralTracking.ATTRIBUTION_COOKIE);
 
     if (referredBy) {
-      const referrer = await withRetry(() => User.findById(referredBy));
+      const attributed = click && click.referrer.equals(referredBy) ? click : null;
+      const referrer = await referrals.record(newUser, { click: attributed });
+      await fraud.assessReferee(newUser._id).catch(err => {
+        Sentry.captureException(err);
+        console.error('Referral risk check error:', err.message);
+      });
       if (referrer) {
-        referrer.referralBonus += 1000;
-        referrer.invites += 1;
-        await withRetry(() => referrer.save());
         await sendEmail(
           referrer.email,
           'You Referred a New User!',
-          `<p>Great news! Someone just registered using your referral.</p><p>Keep referring to earn more!</p>`
+          `<p>Great news! Someone just registered using your referral.</p><p>Your referral bonus will be credited once they activate their account.</p><p>Keep referring to earn more!</p>`
         );
       }
     }
@@ -171,9 +187,9 @@ router.post('/verify-email', async (req, res) => {
     user.verificationCode = null;
     await withRetry(() => user.save());
 
-    await withRetry(() => EmailLog.create({ type: 'verification-complete', recipient: user.email }));
+    await EmailLog.create({ type: 'verification-complete', recipient: user.email });
 
-    io.to(user._id.toString()).emit('status-update', { status: 'verified' });
+    req.app.get('io').to(user._id.toString()).emit('status-update', { status: 'verified' });
     res.json({ message: 'Email verified successfully' });
   } catch (err) {
     Sentry.captureException(err);
@@ -203,24 +219,40 @@ router.get('/balance', authMiddleware, async (req, res) => {
   }
 });
 
+// Bank Directory
+router.get('/banks', (req, res) => {
+  res.json(banks.map(({ code, name }) => ({ code, name })));
+});
+
 // Get Payment Methods
 router.get('/payment-methods', authMiddleware, getPaymentMethods);
 
 // Add Payment Method
 router.post('/payment-methods', authMiddleware, addPaymentMethod);
 
+// Update Payment Method
+router.put('/payment-methods/:id', authMiddleware, updatePaymentMethod);
+
+// Make a Payment Method the Default
+router.post('/payment-methods/:id/default', authMiddleware, setDefaultPaymentMethod);
+
 // Delete Payment Method
 router.delete('/payment-methods/:id', authMiddleware, deletePaymentMethod);
 
 // Transaction History
 router.get('/transactions', authMiddleware, async (req, res) => {
   try {
-    const withdrawals = await withRetry(() => Withdrawal.find({ user: req.user.id }).populate('method'));
+    const withdrawals = await withRetry(() =>
+      Withdrawal.find({ user: req.user.id }).sort({ createdAt: -1 }).populate('paymentMethod')
+    );
     const transactions = withdrawals.map(w => ({
-      date: w.date.toISOString().split('T')[0],
+      id: w._id,
+      date: w.createdAt.toISOString().split('T')[0],
       type: 'Withdrawal',
       amount: w.amount,
-      description: `Withdrawal to ${w?.method?.type || 'Unknown method'}`,
+      fee: w.fee,
+      description: `Withdrawal to ${destinationLabel(w.paymentMethod)}`,
+      destination: describeDestination(w.paymentMethod),
       status: w.status,
     }));
     res.json(transactions);
@@ -231,6 +263,30 @@ router.get('/transactions', authMiddleware, async (req, res) => {
   }
 });
 
+// Monthly Statement (period is YYYY-MM): PDF download by default, or ?format=html|json
+router.get('/statements/:period', authMiddleware, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'html', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be pdf, html or json' });
+    }
+
+    const statement = await statements.build(req.user.id, req.params.period);
+    if (format === 'json') return res.json(statement);
+    if (format === 'html') return res.type('html').send(statements.renderHtml(statement));
+
+    const pdf = await statements.renderPdf(statement);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="statement-${statement.period}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    Sentry.captureException(err);
+    console.error('Statement error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Check Username Availability
 router.get('/check-username', async (req, res) => {
   try {
@@ -239,6 +295,9 @@ router.get('/check-username', async (req, res) => {
     if (username === 'undefined' || typeof username !== 'string') {
       return res.status(400).json({ message: 'Invalid username' });
     }
+    if (!isLevel(Number(level))) {
+      return res.status(400).json({ message: `Level must be between 1 and ${MAX_LEVEL}` });
+    }
     const user = await withRetry(() => User.findOne({ $or: [{ username }, { referralCode: username }] }));
     res.json({ available: !user });
   } catch (err) {
@@ -252,8 +311,8 @@ router.get('/check-username', async (req, res) => {
 router.get('/pending-payment', authMiddleware, async (req, res) => {
   try {
     const user = await withRetry(() => User.findById(req.user.id));
-    if (user.status === 'pending' && user.level) {
-      const amount = 15000 * Math.pow(2, user.level - 1);
+    if (['pending', 'verified'].includes(user.status) && user.level) {
+      const amount = registrationFee(user.level);
       return res.json({ amount, level: user.level, isUpgrade: false });
     }
     res.status(404).json({ message: 'No pending payment' });
@@ -264,44 +323,28 @@ router.get('/pending-payment', authMiddleware, async (req, res) => {
   }
 });
 
-// Confirm Deposit
-router.post('/deposits', authMiddleware, async (req, res) => {
+// Start Deposit: the fee is computed here and only honored once the provider confirms it
+router.post('/deposits', authMiddleware, idempotency, async (req, res) => {
   try {
-    const { amount, type, level } = req.body;
-    if (!amount || !type) return res.status(400).json({ message: 'Amount and type are required' });
-
-    const user = await withRetry(() => User.findById(req.user.id));
-    if (!user) return res.status(404).json({ message: 'User not found' });
-
-    if (type === 'registration') {
-      user.status = 'active';
-      user.balance.available += amount;
-      await withRetry(() => user.save());
-      await sendEmail(
-        user.email,
-        'Registration Payment Confirmed',
-        `<p>Hi ${user.fullName}, your registration payment of ₦${amount} has been confirmed. Welcome aboard!</p>`
-      );
-      await withRetry(() => EmailLog.create({ type: 'registration-payment', recipient: user.email }));
-      io.to(user._id.toString()).emit('status-update', { status: 'active' });
-    } else if (type === 'upgrade') {
-      const upgrade = new Upgrade({ user: req.user.id, level, amount });
-      await withRetry(() => upgrade.save());
-      user.upgrades.push(upgrade._id);
-      await withRetry(() => user.save());
-      await sendEmail(
-        user.email,
-        'Upgrade Payment Confirmed',
-        `<p>Hi ${user.fullName}, your upgrade payment of ₦${amount} to level ${level} has been confirmed.</p>`
-      );
-      await withRetry(() => EmailLog.create({ type: 'upgrade-payment', recipient: user.email }));
-      io.to(user._id.toString()).emit('upgrade-update', { level });
+    const { type, level } = req.body;
+    if (!['registration', 'upgrade'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be registration or upgrade' });
     }
 
-    res.json({ message: 'Payment confirmed' });
+    const payment = type === 'registration'
+      ? await payments.startRegistration(req.user.id)
+      : (await payments.startUpgrade(req.user.id, Number(level))).payment;
+
+    res.status(201).json({
+      message: 'Payment initialized',
+      reference: payment.reference,
+      amount: payment.amount,
+      authorizationUrl: payment.authorizationUrl,
+    });
   } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
     Sentry.captureException(err);
-    console.error('Confirm deposit error:', err.message);
+    console.error('Start deposit error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -324,7 +367,7 @@ router.put('/security', authMiddleware, async (req, res) => {
       'Password Updated',
       `<p>Hi ${user.fullName}, your password has been successfully updated.</p>`
     );
-    await withRetry(() => EmailLog.create({ type: 'password-update', recipient: user.email }));
+    await EmailLog.create({ type: 'password-update', recipient: user.email });
 
     res.json({ message: 'Security settings updated' });
   } catch (err) {
@@ -337,10 +380,10 @@ router.put('/security', authMiddleware, async (req, res) => {
 // Referrals
 router.get('/referrals', authMiddleware, async (req, res) => {
   try {
-    const referrals = await withRetry(() =>
+    const referees = await withRetry(() =>
       User.find({ referredBy: req.user.id }).select('fullName email username status')
     );
-    res.json(referrals);
+    res.json(referees);
   } catch (err) {
     Sentry.captureException(err);
     console.error('Referrals fetch error:', err.message);
@@ -351,109 +394,262 @@ router.get('/referrals', authMiddleware, async (req, res) => {
 // Referral Statistics
 router.get('/referrals/stats', authMiddleware, getReferralStats);
 
+// Referral Earnings: pending, still inside the clawback window, and transferable
+router.get('/referrals/earnings', authMiddleware, async (req, res) => {
+  try {
+    const { user, ...earnings } = await referrals.summary(req.user.id);
+    res.json(earnings);
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    Sentry.captureException(err);
+    console.error('Referral earnings error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move Referral Earnings to the Available Balance
+router.post('/referrals/transfer', authMiddleware, idempotency, async (req, res) => {
+  try {
+    const { balance, referralBonus } = await referrals.transfer(req.user.id, req.body.amount);
+    req.app.get('io').to(req.user.id.toString()).emit('balance-update', { balance, referralBonus });
+    res.json({ message: 'Referral earnings transferred', balance, referralBonus });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code, ...err.details });
+    Sentry.captureException(err);
+    console.error('Referral transfer error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Referral Leaderboard (public): ?period=weekly|monthly|campaign&campaign=<id>&limit=
+router.get('/referrals/leaderboard', async (req, res) => {
+  try {
+    const { period, campaign, limit } = req.query;
+    res.json(await referralLeaderboards.standings({ period, campaignId: campaign, limit }));
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    Sentry.captureException(err);
+    console.error('Referral leaderboard error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Referral Campaigns running now or coming up (public)
+router.get('/referrals/campaigns', async (req, res) => {
+  try {
+    res.json(await referralCampaigns.upcoming());
+  } catch (err) {
+    Sentry.captureException(err);
+    console.error('Referral campaigns error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Request Upgrade
-router.post('/upgrade', authMiddleware, async (req, res) => {
+router.post('/upgrade', authMiddleware, idempotency, async (req, res) => {
   try {
-    const { level, amount } = req.body;
-    if (!level || !amount) return res.status(400).json({ message: 'Level and amount are required' });
+    const { level } = req.body;
+    if (!level) return res.status(400).json({ message: 'Level is required' });
 
     const user = await withRetry(() => User.findById(req.user.id));
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    if (level <= user.level) return res.status(400).json({ message: 'New level must be higher than current level' });
-
-    const upgrade = new Upgrade({ user: req.user.id, level, amount });
-    await withRetry(() => upgrade.save());
-
-    user.upgrades.push(upgrade._id);
-    user.level = level;
-    await withRetry(() => user.save());
+    const { payment, upgrade } = await payments.startUpgrade(user._id, Number(level));
 
+    // The upgrade and payment are already saved: a failed email must not fail the request
     await sendEmail(
       user.email,
       'Upgrade Requested',
-      `<p>Your request to upgrade to level ${level} with ₦${amount} has been received and is pending confirmation.</p>`
-    );
-    await withRetry(() => EmailLog.create({ type: 'upgrade-request', recipient: user.email }));
-
-    io.to(user._id.toString()).emit('upgrade-update', { level });
-    res.json({ message: 'Upgrade request submitted', level: user.level });
+      `<p>Your request to upgrade to level ${upgrade.level} with ₦${upgrade.amount} has been received. It will be applied once your payment is confirmed.</p>`
+    )
+      .then(() => EmailLog.create({ type: 'notification', recipient: user.email }))
+      .catch(emailErr => {
+        Sentry.captureException(emailErr);
+        console.error('Upgrade email error:', emailErr.message);
+      });
+
+    res.json({
+      message: 'Upgrade request submitted',
+      level: user.level,
+      upgradeId: upgrade._id,
+      amount: payment.amount,
+      reference: payment.reference,
+      authorizationUrl: payment.authorizationUrl,
+    });
   } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
     Sentry.captureException(err);
     console.error('Upgrade request error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Request Withdrawal
-router.post('/withdrawals', authMiddleware, async (req, res) => {
+// Withdrawal Quote: fee and any policy rules the amount would break, without submitting
+router.get('/withdrawals/quote', authMiddleware, async (req, res) => {
   try {
-    const { amount } = req.body;
-    if (!amount) return res.status(400).json({ message: 'Amount is required' });
+    const amount = Number(req.query.amount);
+    if (!amount || amount <= 0) return res.status(400).json({ message: 'Valid amount is required' });
 
     const user = await withRetry(() => User.findById(req.user.id));
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    if (amount <= 0 || amount > user.balance.available) {
-      return res.status(400).json({ message: 'Insufficient balance or invalid amount' });
+    const { allowed, reasons, fee, netAmount, policy } = await withdrawalPolicy.evaluate(user, amount);
+    res.json({
+      allowed,
+      reasons,
+      fee,
+      netAmount,
+      limits: {
+        minAmount: policy.minAmount,
+        maxAmount: policy.maxAmount,
+        dailyAmountLimit: policy.dailyAmountLimit,
+        weeklyAmountLimit: policy.weeklyAmountLimit,
+        dailyCountLimit: policy.dailyCountLimit,
+        weeklyCountLimit: policy.weeklyCountLimit,
+        cooldownMinutes: policy.cooldownMinutes,
+        window: policy.window,
+      },
+    });
+  } catch (err) {
+    Sentry.captureException(err);
+    console.error('Withdrawal quote error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request Withdrawal
+router.post('/withdrawals', authMiddleware, idempotency, async (req, res) => {
+  try {
+    if (!req.body.amount) return res.status(400).json({ message: 'Amount is required' });
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ message: 'Invalid amount' });
     }
 
-    const method = await withRetry(() => PaymentMethod.findOne({ user: user._id }));
-    if (!method) return res.status(400).json({ message: 'No payment method found' });
+    const user = await withRetry(() => User.findById(req.user.id));
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // An explicitly chosen method, otherwise the user's default
+    const { paymentMethodId } = req.body;
+    if (paymentMethodId && !mongoose.isValidObjectId(paymentMethodId)) {
+      return res.status(400).json({ message: 'Invalid payment method' });
+    }
+    const method = await withRetry(() => PaymentMethod.findOne(
+      paymentMethodId ? { _id: paymentMethodId, user: user._id } : { user: user._id, isDefault: true }
+    ));
+    if (!method) {
+      return res.status(400).json({
+        message: paymentMethodId ? 'Payment method not found' : 'Choose a payment method or set a default',
+        code: 'PAYMENT_METHOD_REQUIRED',
+      });
+    }
+    if (method.verification?.status !== 'verified') {
+      return res.status(400).json({
+        message: 'Payment method must be verified and match your name before withdrawing',
+        code: 'PAYMENT_METHOD_UNVERIFIED',
+      });
+    }
 
-    const withdrawal = new Withdrawal({
-      user: user._id,
+    // Hold and withdrawal are written atomically; the ledger guard rejects overdrafts
+    const { withdrawal, balance } = await withdrawalService.request({
+      userId: user._id,
       amount,
-      method: method._id,
-      status: 'pending',
-      date: new Date(),
+      paymentMethod: method._id,
     });
-    await withRetry(() => withdrawal.save());
-
-    user.balance.available -= amount;
-    user.balance.pending += amount;
-    await withRetry(() => user.save());
 
+    // The hold is committed: a failed email must not turn the request into an error
     await sendEmail(
       user.email,
       'Withdrawal Request Submitted',
       `<p>You have requested a withdrawal of ₦${amount}. It is now pending approval.</p>`
-    );
-    await withRetry(() => EmailLog.create({ type: 'withdrawal-request', recipient: user.email }));
-
-    io.to(user._id.toString()).emit('balance-update', { balance: user.balance });
-    res.status(201).json({ message: 'Withdrawal request submitted', withdrawalId: withdrawal._id });
+    )
+      .then(() => EmailLog.create({ type: 'withdrawal-request', recipient: user.email }))
+      .catch(emailErr => {
+        Sentry.captureException(emailErr);
+        console.error('Withdrawal email error:', emailErr.message);
+      });
+
+    req.app.get('io').to(user._id.toString()).emit('balance-update', { balance });
+    res.status(201).json({
+      message: 'Withdrawal request submitted',
+      withdrawalId: withdrawal._id,
+      fee: withdrawal.fee,
+      netAmount: withdrawal.netAmount,
+    });
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message, code: err.code, reasons: err.details });
+    }
     Sentry.captureException(err);
     console.error('Withdrawal request error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Task Completion
-router.post('/tasks', authMiddleware, async (req, res) => {
+// Task Feed
+router.get('/tasks', authMiddleware, async (req, res) => {
   try {
-    const { reward } = req.body;
-    if (!reward || isNaN(reward) || reward <= 0) {
-      return res.status(400).json({ message: 'Valid reward amount is required' });
-    }
+    res.json(await taskService.getFeed(req.user.id));
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    Sentry.captureException(err);
+    console.error('Task feed error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const user = await withRetry(() => User.findById(req.user.id));
-    if (!user) return res.status(404).json({ message: 'User not found' });
+// Start Watching a Video Task: completion needs the returned sessionId
+router.post('/tasks/:id/watch', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid task' });
+    res.status(201).json(await taskService.startWatch({ userId: req.user.id, taskId: req.params.id }));
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ message: err.message, code: err.code });
+    Sentry.captureException(err);
+    console.error('Watch session error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Optional: Prevent multiple tasks per day
-    const today = new Date().toISOString().split('T')[0];
-    if (user.lastTaskDate === today) {
-      return res.status(400).json({ message: 'Task already completed today' });
+// Task Completion: JSON, or multipart when a proof task needs a screenshot
+router.post('/tasks', authMiddleware, proofScreenshot, idempotency, async (req, res) => {
+  try {
+    const { taskId, watchSessionId, proofText, proofUrl, answers } = req.body;
+    if (!taskId || !mongoose.isValidObjectId(taskId)) {
+      return res.status(400).json({ message: 'Valid taskId is required' });
     }
 
-    user.tasksCompleted += 1;
-    user.balance.available += parseFloat(reward);
-    user.lastTaskDate = today;
-    await withRetry(() => user.save());
+    const result = await taskService.complete({
+      userId: req.user.id,
+      taskId,
+      watchSessionId,
+      proof: { text: proofText, url: proofUrl, file: req.file },
+      answers,
+      ip: req.ip,
+    });
+    // Failed quiz: the attempt is recorded but nothing is paid
+    if (!result.completed) {
+      return res.status(200).json({ completed: false, message: 'Quiz not passed', quiz: result.quiz });
+    }
+
+    const { user, task, pendingReview, quiz, quota, streak } = result;
+    const io = req.app.get('io');
 
     io.to(user._id.toString()).emit('balance-update', { balance: user.balance });
-    io.to(user._id.toString()).emit('task-update', { tasksCompleted: user.tasksCompleted });
+    io.to(user._id.toString()).emit('task-update', { tasksCompleted: user.tasksCompleted, taskId: task._id, quota });
+    if (streak.bonus) {
+      await notifyUser(
+        io,
+        user._id,
+        `You reached a ${streak.bonus.days}-day task streak! ₦${streak.bonus.amount.toLocaleString()} bonus added to your balance`,
+        { 'streak-update': { streak } }
+      ).catch(err => {
+        Sentry.captureException(err);
+        console.error('Streak notification error:', err.message);
+      });
+    } else if (result.streakUpdated) {
+      io.to(user._id.toString()).emit('streak-update', { streak });
+    }
 
     res.status(200).json({
       id: user._id,
@@ -471,8 +667,17 @@ router.post('/tasks', authMiddleware, async (req, res) => {
       referralBonus: user.referralBonus,
       invites: user.invites,
       referralCode: user.referralCode || user.username,
+      completed: true,
+      pendingReview,
+      quiz,
+      quota,
+      streak,
     });
   } catch (err) {
+    if (err instanceof ServiceError) {
+      const details = err.code === 'DAILY_LIMIT_REACHED' ? { quota: err.details } : err.details;
+      return res.status(err.status).json({ message: err.message, code: err.code, ...details });
+    }
     Sentry.captureException(err);
     console.error('Task completion error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -494,8 +699,16 @@ router.get('/ref/:referralCode', async (req, res) => {
       return res.redirect('/signup.html');
     }
     const code = user.referralCode && user.referralCode !== 'undefined' && user.referralCode !== null ? user.referralCode : user.username;
+    let click = null;
+    try {
+      click = await referralTracking.trackClick({ referrer: user, code, req });
+      res.cookie(referralTracking.ATTRIBUTION_COOKIE, click.token, referralTracking.cookieOptions());
+    } catch (err) {
+      Sentry.captureException(err);
+      console.error('Referral click tracking error:', err.message);
+    }
     console.log(`Redirecting to signup.html with ref: ${code}`);
-    res.redirect(`/signup.html?ref=${encodeURIComponent(code)}`);
+    res.redirect(`/signup.html?ref=${encodeURIComponent(code)}${click ? `&click=${click.token}` : ''}`);
   } catch (err) {
     console.error('Referral link error:', err.message);
     Sentry.captureException(err);
@@ -0,0 +1,25 @@
+// scripts/backfill-ledger.js
+// One-off: write an opening ledger entry for every user whose balances predate the ledger.
+// Usage: node scripts/backfill-ledger.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { recordOpeningBalance } = require('../services/ledger');
+
+dotenv.config();
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    let created = 0;
+    for await (const user of User.find({ isAdmin: false }).cursor()) {
+      if (await recordOpeningBalance(user)) created += 1;
+    }
+    console.log(`✅ Opening entries created: ${created}`);
+  } catch (err) {
+    console.error('❌ Ledger backfill error:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -1,15 +1,25 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const http = require('http');
 const socketIo = require('socket.io');
+const { startJobs } = require('./jobs');
 
 // Load environment variables
 dotenv.config();
 console.log('🌍 Environment:', process.env.NODE_ENV);
 console.log('📡 Mongo URI:', process.env.MONGODB_URI ? 'Loaded' : 'Missing');
 
+// Refuse to start without an explicitly configured payment provider, or with fakes in production
+const paymentProvider = require('./services/payments').assertConfigured();
+console.log('💳 Payment provider:', paymentProvider.name);
+const youtubeClient = require('./services/youtube').assertConfigured();
+console.log('▶️ YouTube client:', youtubeClient.name);
+const payoutProvider = require('./services/payouts').assertConfigured();
+console.log('🏦 Payout provider:', payoutProvider ? payoutProvider.name : 'none (paid by hand)');
+
 // Initialize Express app and HTTP server
 const app = express();
 const server = http.createServer(app);
@@ -44,7 +54,11 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
   credentials: true,
 }));
-app.use(express.json()); // ✅ Required for parsing JSON bodies from frontend
+app.use(express.json({
+  // Keep the raw bytes around so payment webhooks can verify provider signatures
+  verify: (req, res, buf) => { req.rawBody = buf; },
+})); // ✅ Required for parsing JSON bodies from frontend
+app.use(cookieParser()); // Referral attribution cookie (routes/user.js /ref/:referralCode)
 
 // Base health route
 app.get('/', (req, res) => {
@@ -57,12 +71,17 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB Connected'))
+.then(() => {
+  console.log('✅ MongoDB Connected');
+  startJobs(app);
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // ✅ Routes
 app.use('/api/users', require('./routes/user'));     // Main user routes (signup, login, verify, etc.)
 app.use('/api/admin', require('./routes/admin'));    // Admin-specific routes
+app.use('/api/payments', require('./routes/payments')); // Payment provider webhooks and status
+app.use('/api/payouts', require('./routes/payouts'));   // Payout provider webhooks
 app.use('/api/auth', require('./routes/user'));      // Optional alias to support /api/auth/signup, etc.
 
 // WebSocket Events
@@ -0,0 +1,86 @@
+// services/adjustments.js
+// Maker-checker balance corrections: one admin proposes, a different admin approves,
+// and only then is the amount posted to the ledger against `user:available`.
+const User = require('../models/User');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const ledger = require('./ledger');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+
+/**
+ * Propose a credit (positive amount) or debit (negative amount) for a user.
+ */
+async function propose({ adminId, userId, amount, reason, attachment }) {
+  amount = Number(amount);
+  if (!Number.isFinite(amount) || amount === 0) {
+    throw new ServiceError('Amount must be a non-zero number', 400, 'INVALID_AMOUNT');
+  }
+  if (!reason?.trim()) throw new ServiceError('Reason is required', 400, 'REASON_REQUIRED');
+  if (!attachment?.trim()) throw new ServiceError('Attachment reference is required', 400, 'ATTACHMENT_REQUIRED');
+
+  const user = await User.exists({ _id: userId });
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+
+  return BalanceAdjustment.create({
+    user: userId,
+    amount: Math.round(amount * 100) / 100,
+    reason,
+    attachment,
+    proposedBy: adminId,
+  });
+}
+
+// Conditionally move a pending adjustment to `status`; explains why if it could not
+async function review(adjustmentId, adminId, status, { note, session, forbidSelf } = {}) {
+  const adjustment = await BalanceAdjustment.findOneAndUpdate(
+    {
+      _id: adjustmentId,
+      status: 'pending',
+      ...(forbidSelf && { proposedBy: { $ne: adminId } }),
+    },
+    { $set: { status, reviewedBy: adminId, reviewedAt: new Date(), reviewNote: note } },
+    { new: true, session }
+  );
+
+  if (!adjustment) {
+    const existing = await BalanceAdjustment.findById(adjustmentId).session(session || null).select('status proposedBy');
+    if (!existing) throw new ServiceError('Adjustment not found', 404, 'NOT_FOUND');
+    if (existing.status !== 'pending') {
+      throw new ServiceError(`Adjustment is already ${existing.status}`, 409, 'INVALID_TRANSITION');
+    }
+    throw new ServiceError('Adjustments must be approved by a different admin', 403, 'SELF_APPROVAL');
+  }
+  return adjustment;
+}
+
+/**
+ * Approve a pending adjustment and post it. Debits that would overdraw the
+ * available balance fail and leave the adjustment pending.
+ */
+async function approve(adjustmentId, adminId, note) {
+  return withTransaction(async session => {
+    const adjustment = await review(adjustmentId, adminId, 'approved', { note, session, forbidSelf: true });
+
+    const { transaction, balance } = await ledger.post({
+      user: adjustment.user,
+      type: 'adjustment',
+      changes: { available: adjustment.amount },
+      reference: { kind: 'BalanceAdjustment', id: adjustment._id },
+      description: `Manual adjustment: ${adjustment.reason}`,
+      session,
+    });
+
+    adjustment.transaction = transaction._id;
+    await adjustment.save({ session });
+    return { adjustment, balance };
+  });
+}
+
+/**
+ * Reject a pending adjustment. The proposer may withdraw their own proposal this way.
+ */
+async function reject(adjustmentId, adminId, note) {
+  return review(adjustmentId, adminId, 'rejected', { note });
+}
+
+module.exports = { propose, approve, reject };
@@ -0,0 +1,18 @@
+// services/bankAccounts/fake.js
+// Local resolver: accounts registered with `register` resolve to their name. Only with
+// NODE_ENV=development does anything else resolve to the name the user typed in (upper-cased,
+// as banks return it); otherwise unknown accounts are not found.
+const accounts = new Map();
+
+function register(bankCode, accountNumber, accountName) {
+  accounts.set(`${bankCode}:${accountNumber}`, accountName);
+}
+
+async function resolveAccountName({ bankCode, accountNumber, hintName }) {
+  const known = accounts.get(`${bankCode}:${accountNumber}`);
+  if (known) return known;
+  if (process.env.NODE_ENV !== 'development') return null;
+  return hintName ? String(hintName).toUpperCase() : null;
+}
+
+module.exports = { name: 'fake', resolveAccountName, register };
@@ -0,0 +1,91 @@
+// services/bankAccounts/index.js
+// Bank account checks for payment methods: bank directory lookup, NUBAN check digit,
+// account-name resolution (ACCOUNT_RESOLVER = paystack | fake) and matching against the
+// user's registered name. Only `verified` accounts can receive withdrawals. Without a
+// resolver nothing can be verified; the fake one is refused in production.
+const PaymentMethod = require('../../models/PaymentMethod');
+const { findBank } = require('../../config/banks');
+const { isValidNuban } = require('../../utils/nuban');
+const { compareNames } = require('../../utils/nameMatch');
+const ServiceError = require('../../utils/ServiceError');
+
+const resolvers = {
+  paystack: require('./paystack'),
+  fake: require('./fake'),
+};
+
+// Number of different users sharing one account before it is flagged
+const SHARED_ACCOUNT_THRESHOLD = Number(process.env.SHARED_ACCOUNT_THRESHOLD) || 3;
+
+function getResolver(name = process.env.ACCOUNT_RESOLVER) {
+  if (!name || (name === 'fake' && process.env.NODE_ENV === 'production')) {
+    throw new ServiceError('Bank account verification is not available', 503, 'RESOLVER_NOT_CONFIGURED');
+  }
+  const resolver = resolvers[name];
+  if (!resolver) throw new ServiceError(`Unknown account resolver: ${name}`, 500, 'RESOLVER_ERROR');
+  return resolver;
+}
+
+/**
+ * Validate and resolve a bank account for a user.
+ *
+ * @returns {Promise<{ details, verification }>} ready to store on a PaymentMethod
+ */
+async function verifyBankAccount({ bank, accountNumber, accountName, fullName }) {
+  const entry = findBank(bank);
+  if (!entry) throw new ServiceError('Unknown bank', 400, 'UNKNOWN_BANK');
+
+  const number = String(accountNumber || '').trim();
+  if (!isValidNuban(number, entry.nubanCode)) {
+    throw new ServiceError('Invalid account number for this bank', 400, 'INVALID_ACCOUNT_NUMBER');
+  }
+
+  const resolver = getResolver();
+  let resolvedName;
+  try {
+    resolvedName = await resolver.resolveAccountName({
+      bankCode: entry.code,
+      accountNumber: number,
+      hintName: accountName,
+    });
+  } catch (err) {
+    console.error('Account resolution error:', err.message);
+    throw new ServiceError('Could not verify account right now, please try again', 502, 'RESOLVER_UNAVAILABLE');
+  }
+  if (!resolvedName) throw new ServiceError('Account could not be found at this bank', 400, 'ACCOUNT_NOT_FOUND');
+
+  const { score, matches } = compareNames(fullName, resolvedName);
+
+  return {
+    details: {
+      bank: entry.name,
+      bankCode: entry.code,
+      accountNumber: number,
+      accountName: resolvedName,
+    },
+    verification: {
+      status: matches ? 'verified' : 'name_mismatch',
+      score,
+      checkedAt: new Date(),
+    },
+  };
+}
+
+/**
+ * Flag every method using an account that too many different users have registered.
+ */
+async function flagSharedAccount({ bankCode, accountNumber }) {
+  const users = await PaymentMethod.distinct('user', {
+    'details.bankCode': bankCode,
+    'details.accountNumber': accountNumber,
+  });
+  if (users.length < SHARED_ACCOUNT_THRESHOLD) return false;
+
+  await PaymentMethod.updateMany(
+    { 'details.bankCode': bankCode, 'details.accountNumber': accountNumber },
+    { $set: { flagged: true, flagReason: `Account shared by ${users.length} users` } }
+  );
+  return true;
+}
+
+module.exports = { getResolver, verifyBankAccount, flagSharedAccount };
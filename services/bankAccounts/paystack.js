@@ -0,0 +1,23 @@
+// services/bankAccounts/paystack.js
+const axios = require('axios');
+
+const api = axios.create({
+  baseURL: 'https://api.paystack.co',
+  timeout: 15000,
+});
+
+// Returns the account holder's name, or null if the bank does not know the account
+async function resolveAccountName({ bankCode, accountNumber }) {
+  try {
+    const { data } = await api.get('/bank/resolve', {
+      params: { account_number: accountNumber, bank_code: bankCode },
+      headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` },
+    });
+    return data.data?.account_name || null;
+  } catch (err) {
+    if (err.response?.status === 422 || err.response?.status === 400) return null;
+    throw err;
+  }
+}
+
+module.exports = { name: 'paystack', resolveAccountName };
@@ -0,0 +1,205 @@
+// services/fraud.js
+// Referral fraud checks. Each referee is compared with their referrer and with the referrer's
+// other referees; matching signup IPs, devices, phones or bank accounts and bursts of signups
+// on one code add to a 0-100 risk score. A suspicious referral puts the referrer's bonuses on
+// hold until an admin clears or confirms it.
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const PaymentMethod = require('../models/PaymentMethod');
+const referrals = require('./referrals');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+
+const SUSPICIOUS_SCORE = Number(process.env.FRAUD_SUSPICIOUS_SCORE) || 50;
+const BURST_WINDOW_MINUTES = Number(process.env.FRAUD_BURST_WINDOW_MINUTES) || 60;
+const BURST_SIGNUPS = Number(process.env.FRAUD_BURST_SIGNUPS) || 5;
+
+const SIGNALS = {
+  shared_ip_with_referrer: 35,
+  shared_device_with_referrer: 50,
+  shared_phone_with_referrer: 50,
+  shared_bank_with_referrer: 60,
+  shared_ip_among_referees: 20,
+  shared_device_among_referees: 40,
+  shared_phone_among_referees: 40,
+  shared_bank_among_referees: 50,
+  signup_burst: 30,
+};
+
+const MAX_FINGERPRINT_LENGTH = 200;
+
+/**
+ * Signup context to store on a new user.
+ */
+function signupContext(req) {
+  const fingerprint = req.get('x-device-fingerprint') || req.body?.deviceFingerprint;
+  return {
+    signupIP: req.ip,
+    signupUserAgent: req.get('user-agent')?.slice(0, 500),
+    deviceFingerprint: typeof fingerprint === 'string' && fingerprint
+      ? fingerprint.slice(0, MAX_FINGERPRINT_LENGTH)
+      : undefined,
+  };
+}
+
+const accountKey = m => `${m.details?.bankCode || m.details?.bank}:${m.details?.accountNumber}`;
+
+async function bankAccounts(userIds) {
+  const methods = await PaymentMethod.find({ user: { $in: userIds }, 'details.accountNumber': { $exists: true, $ne: '' } })
+    .select('user details.bank details.bankCode details.accountNumber')
+    .lean();
+  const byUser = new Map();
+  methods.forEach(m => {
+    const key = m.user.toString();
+    if (!byUser.has(key)) byUser.set(key, new Set());
+    byUser.get(key).add(accountKey(m));
+  });
+  return byUser;
+}
+
+// Risk signals for one referee; `matched` holds the peers that share something with them
+function signalsFor(referee, referrer, peers, accounts, now) {
+  const reasons = new Set();
+  const matched = new Set();
+  const same = (a, b) => Boolean(a) && a === b;
+  const accountsOf = user => accounts.get(user._id.toString()) || new Set();
+  const sharesBank = (a, b) => [...accountsOf(a)].some(key => accountsOf(b).has(key));
+
+  if (same(referee.signupIP, referrer.signupIP)) reasons.add('shared_ip_with_referrer');
+  if (same(referee.deviceFingerprint, referrer.deviceFingerprint)) reasons.add('shared_device_with_referrer');
+  if (same(referee.phone, referrer.phone)) reasons.add('shared_phone_with_referrer');
+  if (sharesBank(referee, referrer)) reasons.add('shared_bank_with_referrer');
+
+  peers.forEach(peer => {
+    const shared = [
+      same(referee.signupIP, peer.signupIP) && 'shared_ip_among_referees',
+      same(referee.deviceFingerprint, peer.deviceFingerprint) && 'shared_device_among_referees',
+      same(referee.phone, peer.phone) && 'shared_phone_among_referees',
+      sharesBank(referee, peer) && 'shared_bank_among_referees',
+    ].filter(Boolean);
+    shared.forEach(reason => reasons.add(reason));
+    if (shared.length) matched.add(peer._id.toString());
+  });
+
+  // Signups on the same code around the referee's own signup
+  const windowMs = BURST_WINDOW_MINUTES * 60 * 1000;
+  const signedUp = new Date(referee.createdAt || now).getTime();
+  const nearby = peers.filter(p => Math.abs(new Date(p.createdAt).getTime() - signedUp) <= windowMs).length;
+  if (nearby + 1 >= BURST_SIGNUPS) reasons.add('signup_burst');
+
+  const score = Math.min(100, [...reasons].reduce((sum, reason) => sum + SIGNALS[reason], 0));
+  return { score, reasons: [...reasons], matched };
+}
+
+// Store a referee's score on their direct Referral and flag it (and hold the referrer) when suspicious
+async function flag(referee, referrer, { score, reasons }) {
+  const referral = await Referral.findOne({ referredUser: referee._id, tier: 1 });
+  if (!referral) return null;
+
+  // Once flagged a referral stays flagged until reviewed; a review is final
+  const reviewed = ['cleared', 'confirmed'].includes(referral.review?.status);
+  const suspicious = reviewed ? referral.suspicious : score >= SUSPICIOUS_SCORE || referral.review?.status === 'pending';
+
+  referral.riskScore = score;
+  referral.riskReasons = reasons;
+  referral.suspicious = suspicious;
+  if (suspicious && !reviewed) referral.review = { status: 'pending' };
+  await referral.save();
+
+  await User.updateOne({ _id: referee._id }, { $set: { riskScore: score } });
+  if (suspicious && !reviewed) await User.updateOne({ _id: referrer._id }, { $set: { referralsOnHold: true } });
+  return referral;
+}
+
+const PROFILE = 'referredBy signupIP deviceFingerprint phone createdAt';
+
+/**
+ * Score a referee's referral. Run at signup and again when a payment method is added; peers
+ * that share something with the referee are rescored too so both sides of a ring are flagged.
+ */
+async function assessReferee(refereeId, { now = new Date() } = {}) {
+  const referee = await User.findById(refereeId).select(PROFILE).lean();
+  if (!referee?.referredBy) return null;
+  const referrer = await User.findById(referee.referredBy).select(PROFILE).lean();
+  if (!referrer) return null;
+
+  const group = await User.find({ referredBy: referrer._id }).select(PROFILE).lean();
+  const accounts = await bankAccounts([referrer._id, ...group.map(u => u._id)]);
+
+  const result = signalsFor(referee, referrer, group.filter(u => !u._id.equals(referee._id)), accounts, now);
+  const referral = await flag(referee, referrer, result);
+
+  for (const peer of group.filter(u => result.matched.has(u._id.toString()))) {
+    await flag(peer, referrer, signalsFor(peer, referrer, group.filter(u => !u._id.equals(peer._id)), accounts, now));
+  }
+  return referral && { score: referral.riskScore, reasons: referral.riskReasons, suspicious: referral.suspicious };
+}
+
+/**
+ * Suspicious referrals waiting for review, highest risk first.
+ */
+async function listFlagged({ status = 'pending', limit } = {}) {
+  return Referral.find({ 'review.status': status })
+    .sort({ riskScore: -1, createdAt: 1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .populate('referrer', 'fullName username email signupIP referralsOnHold')
+    .populate('referredUser', 'fullName username email phone signupIP deviceFingerprint status createdAt')
+    .lean();
+}
+
+/**
+ * Settle a flagged referral. 'clear' releases its held bonus; 'confirm' voids the bonus,
+ * taking back anything already credited. The referrer comes off hold, and their other
+ * held bonuses are released, once nothing of theirs is pending review or confirmed.
+ */
+async function review({ referralId, adminId, decision, note }) {
+  if (!['clear', 'confirm'].includes(decision)) {
+    throw new ServiceError("Decision must be 'clear' or 'confirm'", 400, 'INVALID_DECISION');
+  }
+
+  return withTransaction(async session => {
+    const now = new Date();
+    const referral = await Referral.findOneAndUpdate(
+      { _id: referralId, 'review.status': 'pending' },
+      {
+        $set: {
+          suspicious: decision === 'confirm',
+          review: { status: decision === 'clear' ? 'cleared' : 'confirmed', by: adminId, at: now, note },
+        },
+      },
+      { new: true, session }
+    );
+    if (!referral) {
+      const exists = await Referral.exists({ _id: referralId }).session(session);
+      if (!exists) throw new ServiceError('Referral not found', 404, 'NOT_FOUND');
+      throw new ServiceError('Referral is not waiting for review', 409, 'ALREADY_REVIEWED');
+    }
+
+    if (decision === 'confirm') {
+      if (['pending', 'held', 'credited'].includes(referral.bonusStatus)) {
+        await referrals.voidReferral(referral, 'referral flagged as fraudulent', { now, session });
+      }
+    } else if (referral.bonusStatus === 'held') {
+      await referrals.credit(referral, { from: 'held', now, session });
+    }
+
+    const blocking = await Referral.exists({
+      referrer: referral.referrer,
+      'review.status': { $in: ['pending', 'confirmed'] },
+    }).session(session);
+    let released = 0;
+    if (!blocking) {
+      await User.updateOne({ _id: referral.referrer }, { $set: { referralsOnHold: false } }, { session });
+      const held = await Referral.find({ referrer: referral.referrer, bonusStatus: 'held', suspicious: { $ne: true } })
+        .session(session);
+      for (const other of held) {
+        if (await referrals.credit(other, { from: 'held', now, session })) released += 1;
+      }
+    }
+
+    const settled = await Referral.findById(referral._id).session(session);
+    return { referral: settled, released, referrerOnHold: Boolean(blocking) };
+  });
+}
+
+module.exports = { SIGNALS, SUSPICIOUS_SCORE, signupContext, assessReferee, listFlagged, review };
@@ -0,0 +1,176 @@
+// services/ledger.js
+// Every change to a user's balance goes through here. An entry is written to the
+// Transaction ledger and the cached balances on the User document are moved with it,
+// so `User.balance` / `User.referralBonus` are always a projection of the ledger.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+
+// User-side accounts and the User fields they are projected onto
+const USER_ACCOUNTS = {
+  available: 'balance.available',
+  pending: 'balance.pending',
+  referralBonus: 'referralBonus',
+};
+
+// Default counter-account for the net user-side movement of each entry type
+const CONTRA_ACCOUNTS = {
+  task_reward: 'platform:rewards',
+  referral_bonus: 'platform:referrals',
+  deposit: 'external:deposits',
+  withdrawal_hold: null, // available -> pending, nets to zero
+  withdrawal_release: null, // pending -> available, nets to zero
+  reward_release: null, // reviewed task reward, pending -> available
+  reward_reversal: 'platform:rewards', // rejected task reward taken back out of pending
+  payout: 'external:payouts',
+  adjustment: 'platform:adjustments',
+  streak_bonus: 'platform:rewards',
+  referral_commission: 'platform:referrals',
+  referral_clawback: 'platform:referrals', // bonus reversed when the referee is suspended or deleted
+  referral_transfer: null, // referralBonus -> available, nets to zero
+  referral_prize: 'platform:referrals', // referral campaign leaderboard prize
+  account_fee: 'platform:revenue', // registration or upgrade fee, paid out of the deposit that funded it
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Post a ledger entry and apply it to the user's balances.
+ *
+ * @param {Object} entry
+ * @param {ObjectId|string} entry.user
+ * @param {string} entry.type - one of Transaction's entry types
+ * @param {Object} entry.changes - signed deltas per user account, e.g. { available: -500, pending: 500 }
+ * @param {Array} [entry.contra] - explicit counter postings; defaults to the type's contra account
+ * @param {Object} [entry.reference] - { kind, id } of the source document
+ * @param {string} [entry.description]
+ * @param {ClientSession} [entry.session] - without one, the entry runs in its own transaction
+ * @returns {Promise<{ transaction, balance, referralBonus }>}
+ */
+async function post(entry) {
+  // The balance update and the ledger entry must commit together or not at all
+  if (!entry.session) return withTransaction(session => post({ ...entry, session }));
+
+  const { user, type, changes, contra, reference, description, session } = entry;
+  if (!(type in CONTRA_ACCOUNTS)) throw new ServiceError(`Unknown ledger entry type: ${type}`, 500, 'LEDGER_ERROR');
+
+  const postings = [];
+  const $inc = {};
+  const guard = { _id: user };
+
+  for (const [account, value] of Object.entries(changes || {})) {
+    if (!USER_ACCOUNTS[account]) throw new ServiceError(`Unknown user account: ${account}`, 500, 'LEDGER_ERROR');
+    const delta = round(Number(value));
+    if (!delta) continue;
+    postings.push({ account: `user:${account}`, amount: delta });
+    $inc[USER_ACCOUNTS[account]] = delta;
+    if (delta < 0) guard[USER_ACCOUNTS[account]] = { $gte: -delta };
+  }
+
+  if (!postings.length) throw new ServiceError('Ledger entry has no balance changes', 400, 'INVALID_AMOUNT');
+
+  const net = round(postings.reduce((sum, p) => sum + p.amount, 0));
+  if (contra) {
+    contra.forEach(p => postings.push({ account: p.account, amount: round(p.amount) }));
+  } else if (net) {
+    postings.push({ account: CONTRA_ACCOUNTS[type] || 'platform:suspense', amount: -net });
+  }
+
+  const amount = round(postings.filter(p => p.amount > 0).reduce((sum, p) => sum + p.amount, 0));
+
+  const updated = await User.findOneAndUpdate(guard, { $inc }, { new: true, session })
+    .select('balance referralBonus');
+
+  if (!updated) {
+    const exists = await User.exists({ _id: user }).session(session);
+    if (!exists) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+    throw new ServiceError('Insufficient balance', 400, 'INSUFFICIENT_FUNDS');
+  }
+
+  const [transaction] = await Transaction.create([{
+    user,
+    type,
+    amount,
+    postings,
+    balanceAfter: {
+      available: updated.balance.available,
+      pending: updated.balance.pending,
+      referralBonus: updated.referralBonus,
+    },
+    reference,
+    description,
+  }], { session });
+
+  return { transaction, balance: updated.balance, referralBonus: updated.referralBonus };
+}
+
+/**
+ * Recompute a user's balances from their ledger entries.
+ */
+async function computeBalances(userId) {
+  const totals = await Transaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': { $regex: /^user:/ } } },
+    { $group: { _id: '$postings.account', total: { $sum: '$postings.amount' } } },
+  ]);
+
+  const balances = { available: 0, pending: 0, referralBonus: 0 };
+  totals.forEach(t => {
+    balances[t._id.replace('user:', '')] = round(t.total);
+  });
+  return balances;
+}
+
+/**
+ * Compare the cached balances on the User with the ledger projection.
+ */
+async function reconcile(userId) {
+  const user = await User.findById(userId).select('balance referralBonus');
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+
+  const ledger = await computeBalances(userId);
+  const stored = {
+    available: user.balance.available,
+    pending: user.balance.pending,
+    referralBonus: user.referralBonus,
+  };
+  const inSync = Object.keys(ledger).every(k => round(ledger[k]) === round(stored[k]));
+  return { ledger, stored, inSync };
+}
+
+/**
+ * Record the balances a user had before the ledger existed as an opening entry,
+ * without moving the cached balances again. Used by scripts/backfill-ledger.js.
+ */
+async function recordOpeningBalance(user) {
+  const hasEntries = await Transaction.exists({ user: user._id });
+  if (hasEntries) return null;
+
+  const postings = [];
+  ['available', 'pending', 'referralBonus'].forEach(account => {
+    const value = account === 'referralBonus' ? user.referralBonus : user.balance?.[account];
+    if (value) postings.push({ account: `user:${account}`, amount: round(value) });
+  });
+  if (!postings.length) return null;
+
+  const net = round(postings.reduce((sum, p) => sum + p.amount, 0));
+  postings.push({ account: CONTRA_ACCOUNTS.adjustment, amount: -net });
+
+  return Transaction.create({
+    user: user._id,
+    type: 'adjustment',
+    amount: Math.abs(net),
+    postings,
+    balanceAfter: {
+      available: user.balance?.available || 0,
+      pending: user.balance?.pending || 0,
+      referralBonus: user.referralBonus || 0,
+    },
+    description: 'Opening balance',
+  });
+}
+
+module.exports = { post, computeBalances, reconcile, recordOpeningBalance };
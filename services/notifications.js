@@ -0,0 +1,23 @@
+// services/notifications.js
+const Notification = require('../models/Notification');
+
+/**
+ * Store an in-app notification for a user and push it (plus any extra socket events)
+ * to their room. `io` may be null when called outside a request, e.g. from a job.
+ *
+ * @param {Server|null} io
+ * @param {ObjectId|string} userId
+ * @param {string} message
+ * @param {Object} [events] - extra socket events to emit, keyed by event name
+ */
+async function notifyUser(io, userId, message, events = {}) {
+  const notification = await Notification.create({ user: userId, message });
+  if (io) {
+    const room = userId.toString();
+    io.to(room).emit('notification', { _id: notification._id, message });
+    Object.entries(events).forEach(([event, payload]) => io.to(room).emit(event, payload));
+  }
+  return notification;
+}
+
+module.exports = { notifyUser };
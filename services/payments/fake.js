@@ -0,0 +1,47 @@
+// services/payments/fake.js
+// Local stand-in for a payment gateway. Charges live in memory; completing one through
+// /api/payments/fake/:reference/complete produces a signed webhook exactly like a real provider.
+const crypto = require('crypto');
+
+const charges = new Map();
+
+const secret = () => process.env.FAKE_PAYMENT_SECRET || 'fake-payment-secret';
+const sign = rawBody => crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+async function initialize({ reference, amount, email }) {
+  charges.set(reference, { reference, amount, email, currency: 'NGN', status: 'pending' });
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return { authorizationUrl: `${baseUrl}/api/payments/fake/${reference}/checkout`, reference };
+}
+
+function verifyWebhook(rawBody, headers) {
+  const signature = headers['x-fake-signature'];
+  if (!signature || !rawBody) return false;
+  const expected = sign(rawBody);
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+function parseWebhook(body) {
+  return { event: body.event, reference: body.reference };
+}
+
+async function verifyTransaction(reference) {
+  const charge = charges.get(reference);
+  if (!charge) return { status: 'failed', amount: 0, currency: 'NGN' };
+  return { status: charge.status, amount: charge.amount, currency: charge.currency };
+}
+
+/**
+ * Settle a fake charge and build the webhook the provider would send for it.
+ */
+function settle(reference, outcome = 'success') {
+  const charge = charges.get(reference);
+  if (!charge) return null;
+  charge.status = outcome === 'success' ? 'success' : 'failed';
+
+  const rawBody = Buffer.from(JSON.stringify({ event: `charge.${charge.status}`, reference }));
+  return { rawBody, headers: { 'x-fake-signature': sign(rawBody) } };
+}
+
+module.exports = { name: 'fake', initialize, verifyWebhook, parseWebhook, verifyTransaction, settle };
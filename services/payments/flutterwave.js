@@ -0,0 +1,46 @@
+// services/payments/flutterwave.js
+const axios = require('axios');
+const crypto = require('crypto');
+
+const api = axios.create({
+  baseURL: 'https://api.flutterwave.com/v3',
+  timeout: 15000,
+});
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.FLW_SECRET_KEY}` });
+
+async function initialize({ reference, amount, email, callbackUrl, metadata }) {
+  const { data } = await api.post('/payments', {
+    tx_ref: reference,
+    amount,
+    currency: 'NGN',
+    redirect_url: callbackUrl,
+    customer: { email },
+    meta: metadata,
+  }, { headers: authHeaders() });
+  return { authorizationUrl: data.data.link, reference };
+}
+
+// Flutterwave sends the secret hash configured on the dashboard in `verif-hash`
+function verifyWebhook(rawBody, headers) {
+  const signature = headers['verif-hash'];
+  const expected = process.env.FLW_SECRET_HASH;
+  if (!signature || !expected) return false;
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+function parseWebhook(body) {
+  return { event: body.event, reference: body.data?.tx_ref };
+}
+
+async function verifyTransaction(reference) {
+  const { data } = await api.get('/transactions/verify_by_reference', {
+    params: { tx_ref: reference },
+    headers: authHeaders(),
+  });
+  const status = data.data.status === 'successful' ? 'success' : data.data.status === 'failed' ? 'failed' : 'pending';
+  return { status, amount: data.data.amount, currency: data.data.currency };
+}
+
+module.exports = { name: 'flutterwave', initialize, verifyWebhook, parseWebhook, verifyTransaction };
@@ -0,0 +1,254 @@
+// services/payments/index.js
+// Registration and upgrade fees are collected through a payment provider and only
+// honored once the provider's signed webhook arrives and the transaction verifies.
+// The provider is chosen with PAYMENT_PROVIDER (paystack | flutterwave | fake). There is no
+// default: the server refuses to start without one, and never with the fake one in production.
+const crypto = require('crypto');
+const User = require('../../models/User');
+const Upgrade = require('../../models/Upgrade');
+const Payment = require('../../models/Payment');
+const ledger = require('../ledger');
+const referrals = require('../referrals');
+const withTransaction = require('../../utils/withTransaction');
+const ServiceError = require('../../utils/ServiceError');
+const { MAX_LEVEL, isLevel, registrationFee, upgradeFee } = require('../../config/fees');
+
+const providers = {
+  paystack: require('./paystack'),
+  flutterwave: require('./flutterwave'),
+  fake: require('./fake'),
+};
+
+function getProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (!name) throw new ServiceError('PAYMENT_PROVIDER is not configured', 500, 'PAYMENT_PROVIDER_ERROR');
+  const provider = providers[name];
+  if (!provider) throw new ServiceError(`Unknown payment provider: ${name}`, 500, 'PAYMENT_PROVIDER_ERROR');
+  return provider;
+}
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Check the payment configuration at startup; throws if the server must not start.
+ */
+function assertConfigured() {
+  const provider = getProvider();
+  if (provider.name === 'fake' && isProduction()) {
+    throw new ServiceError('The fake payment provider cannot be used in production', 500, 'PAYMENT_PROVIDER_ERROR');
+  }
+  return provider;
+}
+
+/**
+ * Whether the fake gateway's checkout routes may be mounted.
+ */
+const fakeCheckoutEnabled = () => process.env.PAYMENT_PROVIDER === 'fake' && !isProduction();
+
+const newReference = () => `DTA-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+async function createCharge({ user, purpose, level, amount, upgrade }) {
+  const provider = getProvider();
+  const reference = newReference();
+
+  const payment = await Payment.create({
+    user: user._id,
+    purpose,
+    level,
+    amount,
+    provider: provider.name,
+    reference,
+    upgrade: upgrade?._id,
+  });
+
+  try {
+    const { authorizationUrl } = await provider.initialize({
+      reference,
+      amount,
+      email: user.email,
+      callbackUrl: process.env.PAYMENT_CALLBACK_URL,
+      metadata: { userId: user._id.toString(), purpose, level },
+    });
+    payment.authorizationUrl = authorizationUrl;
+    await payment.save();
+  } catch (err) {
+    payment.status = 'failed';
+    payment.failureReason = err.message;
+    await payment.save();
+    throw new ServiceError('Could not start payment, please try again', 502, 'PAYMENT_INIT_FAILED');
+  }
+
+  return payment;
+}
+
+/**
+ * Start the registration fee charge for a user who has not activated yet.
+ */
+async function startRegistration(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+  if (!['pending', 'verified'].includes(user.status)) {
+    throw new ServiceError('Registration fee already paid', 400, 'ALREADY_ACTIVE');
+  }
+
+  return createCharge({ user, purpose: 'registration', level: user.level, amount: registrationFee(user.level) });
+}
+
+/**
+ * Create a pending Upgrade and start the charge for it. The level only changes once paid.
+ */
+async function startUpgrade(userId, level) {
+  const user = await User.findById(userId);
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+  if (!Number.isInteger(level) || level <= user.level) {
+    throw new ServiceError('New level must be higher than current level', 400, 'INVALID_LEVEL');
+  }
+  if (!isLevel(level)) throw new ServiceError(`Level must be at most ${MAX_LEVEL}`, 400, 'INVALID_LEVEL');
+
+  const amount = upgradeFee(user.level, level);
+  const upgrade = await Upgrade.create({ user: user._id, level, amount });
+  user.upgrades.push(upgrade._id);
+  await user.save();
+
+  const payment = await createCharge({ user, purpose: 'upgrade', level, amount, upgrade });
+  return { payment, upgrade };
+}
+
+// Record a fee payment: the money comes in as a deposit and goes straight to platform revenue,
+// so it never becomes part of the user's withdrawable balance
+async function collectFee(payment, description, session) {
+  const reference = { kind: 'Payment', id: payment._id };
+  await ledger.post({
+    user: payment.user,
+    type: 'deposit',
+    changes: { available: payment.amount },
+    reference,
+    description,
+    session,
+  });
+  await ledger.post({
+    user: payment.user,
+    type: 'account_fee',
+    changes: { available: -payment.amount },
+    reference,
+    description: `${description}: fee`,
+    session,
+  });
+}
+
+/**
+ * Apply a verified payment: activate the account or the upgrade. Runs in the caller's transaction.
+ * A payment that arrives for an account already active, or for an upgrade that was approved or
+ * rejected meanwhile, changes nothing and is marked for refund instead. Returns whether it applied.
+ */
+async function fulfil(payment, session) {
+  if (payment.purpose === 'registration') {
+    const { modifiedCount } = await User.updateOne(
+      { _id: payment.user, status: { $in: ['pending', 'verified'] } },
+      { $set: { status: 'active' } },
+      { session }
+    );
+    if (!modifiedCount) return markForRefund(payment, 'Account was already active', session);
+
+    await collectFee(payment, 'Registration payment', session);
+    // Referral bonuses become payable once, when the account is first activated
+    await referrals.activate({
+      refereeId: payment.user,
+      amount: payment.amount,
+      session,
+    });
+    return true;
+  }
+
+  const { modifiedCount } = await Upgrade.updateOne(
+    { _id: payment.upgrade, status: 'pending' },
+    { $set: { status: 'approved' } },
+    { session }
+  );
+  if (!modifiedCount) return markForRefund(payment, 'Upgrade was no longer pending', session);
+
+  await User.updateOne({ _id: payment.user, level: { $lt: payment.level } }, { $set: { level: payment.level } }, { session });
+  await collectFee(payment, `Upgrade to level ${payment.level}`, session);
+  return true;
+}
+
+// Flag a successful payment that bought nothing so an admin refunds it
+async function markForRefund(payment, reason, session) {
+  await Payment.updateOne({ _id: payment._id }, { $set: { refund: { status: 'due', reason } } }, { session });
+  console.warn(`Payment ${payment.reference} needs a refund: ${reason}`);
+  return false;
+}
+
+/**
+ * Approve an upgrade by hand. Only possible once its payment has been confirmed, and then
+ * it applies the payment exactly as the webhook would.
+ */
+async function approveUpgrade(upgradeId) {
+  const upgrade = await Upgrade.findById(upgradeId);
+  if (!upgrade) throw new ServiceError('Upgrade not found', 404, 'NOT_FOUND');
+
+  const payment = await Payment.findOne({ upgrade: upgrade._id, purpose: 'upgrade', status: 'success' });
+  if (!payment) {
+    throw new ServiceError('Upgrade has no confirmed payment', 409, 'PAYMENT_NOT_CONFIRMED');
+  }
+
+  if (upgrade.status === 'rejected') {
+    throw new ServiceError('Upgrade was rejected; its payment is due for refund', 409, 'UPGRADE_REJECTED');
+  }
+  if (upgrade.status === 'pending') await withTransaction(session => fulfil(payment, session));
+  return { upgrade: await Upgrade.findById(upgrade._id), payment };
+}
+
+/**
+ * Handle a provider webhook. Returns the settled payment, or null if there was nothing to do
+ * (unknown reference or already settled), so repeated deliveries are harmless.
+ */
+async function handleWebhook(providerName, rawBody, headers, body) {
+  const provider = getProvider(providerName);
+  if (provider.name !== getProvider().name) {
+    throw new ServiceError('Unknown payment provider', 404, 'NOT_FOUND');
+  }
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    throw new ServiceError('Invalid webhook signature', 401, 'INVALID_SIGNATURE');
+  }
+
+  const { reference } = provider.parseWebhook(body);
+  const existing = reference && await Payment.findOne({ reference, provider: provider.name });
+  if (!existing || existing.status !== 'pending') return null;
+
+  // Never trust the webhook body alone: ask the provider for the transaction's real state
+  const verified = await provider.verifyTransaction(reference);
+  if (verified.status === 'pending') return null;
+
+  const succeeded = verified.status === 'success'
+    && verified.amount >= existing.amount
+    && verified.currency === existing.currency;
+
+  return withTransaction(async session => {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: existing._id, status: 'pending' },
+      succeeded
+        ? { $set: { status: 'success', verifiedAt: new Date() } }
+        : { $set: { status: 'failed', failureReason: verified.status === 'success' ? 'Amount or currency mismatch' : 'Payment failed' } },
+      { new: true, session }
+    );
+    if (!payment) return null;
+
+    if (succeeded) {
+      await fulfil(payment, session);
+    } else if (payment.upgrade) {
+      await Upgrade.updateOne({ _id: payment.upgrade, status: 'pending' }, { $set: { status: 'rejected' } }, { session });
+    }
+    return payment;
+  });
+}
+
+module.exports = {
+  getProvider,
+  assertConfigured,
+  fakeCheckoutEnabled,
+  startRegistration,
+  startUpgrade,
+  fulfil,
+  approveUpgrade,
+  handleWebhook,
+};
@@ -0,0 +1,43 @@
+// services/payments/paystack.js
+const axios = require('axios');
+const crypto = require('crypto');
+
+const api = axios.create({
+  baseURL: 'https://api.paystack.co',
+  timeout: 15000,
+});
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` });
+
+// Paystack amounts are in kobo
+async function initialize({ reference, amount, email, callbackUrl, metadata }) {
+  const { data } = await api.post('/transaction/initialize', {
+    reference,
+    amount: Math.round(amount * 100),
+    email,
+    currency: 'NGN',
+    callback_url: callbackUrl,
+    metadata,
+  }, { headers: authHeaders() });
+  return { authorizationUrl: data.data.authorization_url, reference: data.data.reference };
+}
+
+function verifyWebhook(rawBody, headers) {
+  const signature = headers['x-paystack-signature'];
+  if (!signature || !rawBody) return false;
+  const expected = crypto.createHmac('sha512', process.env.PAYSTACK_SECRET_KEY).update(rawBody).digest('hex');
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+function parseWebhook(body) {
+  return { event: body.event, reference: body.data?.reference };
+}
+
+async function verifyTransaction(reference) {
+  const { data } = await api.get(`/transaction/verify/${encodeURIComponent(reference)}`, { headers: authHeaders() });
+  const status = data.data.status === 'success' ? 'success' : data.data.status === 'failed' ? 'failed' : 'pending';
+  return { status, amount: data.data.amount / 100, currency: data.data.currency };
+}
+
+module.exports = { name: 'paystack', initialize, verifyWebhook, parseWebhook, verifyTransaction };
@@ -0,0 +1,236 @@
+// services/payoutBatches.js
+// Payout batches: pick many pending withdrawals, approve them together, export a bank
+// bulk-transfer file, then apply the bank's settlement file to mark each one paid or failed.
+const crypto = require('crypto');
+const Withdrawal = require('../models/Withdrawal');
+const PayoutBatch = require('../models/PayoutBatch');
+const withdrawalService = require('./withdrawals');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+const { toCsv } = require('../utils/csv');
+const { findBank } = require('../config/banks');
+const { localDate } = require('../utils/time');
+
+const MAX_BATCH_SIZE = 500;
+const NARRATION = 'DailyTask Academy withdrawal';
+const ACCOUNT_NUMBER = /^\d{10}$/;
+
+// Only withdrawals to a verified bank account can go into a bank transfer file
+const payable = withdrawal => {
+  const method = withdrawal.paymentMethod;
+  return method?.type === 'Bank Account'
+    && method.verification?.status === 'verified'
+    && ACCOUNT_NUMBER.test(method.details?.accountNumber || '');
+};
+
+/**
+ * Create a draft batch from explicit withdrawal ids or from date/amount filters. Withdrawals
+ * to anything but a verified bank account are left out. Each withdrawal can only sit in one
+ * batch at a time.
+ */
+async function create({ adminId, withdrawalIds, filters = {} }) {
+  const query = { status: 'pending', batch: null };
+  if (withdrawalIds?.length) {
+    query._id = { $in: withdrawalIds };
+  } else {
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+    if (filters.minAmount || filters.maxAmount) {
+      query.amount = {};
+      if (filters.minAmount) query.amount.$gte = Number(filters.minAmount);
+      if (filters.maxAmount) query.amount.$lte = Number(filters.maxAmount);
+    }
+  }
+
+  return withTransaction(async session => {
+    const pending = await Withdrawal.find(query)
+      .session(session)
+      .sort({ createdAt: 1 })
+      .populate('paymentMethod', 'type details verification');
+    const candidates = pending.filter(payable).slice(0, MAX_BATCH_SIZE);
+    if (!candidates.length) {
+      throw new ServiceError('No pending withdrawals to verified bank accounts match', 400, 'EMPTY_BATCH');
+    }
+
+    const batch = new PayoutBatch({
+      reference: `PB-${localDate().replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+      createdBy: adminId,
+      filters: withdrawalIds?.length ? { withdrawalIds } : filters,
+      items: candidates.map(w => ({ withdrawal: w._id, amount: w.amount, netAmount: w.netAmount ?? w.amount })),
+    });
+
+    await Withdrawal.updateMany(
+      { _id: { $in: candidates.map(w => w._id) }, status: 'pending', batch: null },
+      { $set: { batch: batch._id } },
+      { session }
+    );
+    await batch.save({ session });
+    return batch;
+  });
+}
+
+/**
+ * Approve every withdrawal in a draft batch, all in one transaction: a failure part-way
+ * leaves the batch a draft with none of its withdrawals approved. Items that moved on in
+ * the meantime (declined, already approved elsewhere) are dropped from the batch.
+ */
+async function approve(batchId, adminId) {
+  return withTransaction(async session => {
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, status: 'draft' },
+      { $set: { status: 'approved', approvedBy: adminId, approvedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!batch) {
+      const exists = await PayoutBatch.exists({ _id: batchId }).session(session);
+      if (!exists) throw new ServiceError('Batch not found', 404, 'NOT_FOUND');
+      throw new ServiceError('Batch has already been approved', 409, 'INVALID_TRANSITION');
+    }
+
+    for (const item of batch.items) {
+      try {
+        await withdrawalService.transition(item.withdrawal, 'approved', { by: adminId, session });
+        item.status = 'approved';
+      } catch (err) {
+        if (!(err instanceof ServiceError)) throw err;
+        item.status = 'removed';
+        item.note = err.message;
+        await Withdrawal.updateOne({ _id: item.withdrawal, batch: batch._id }, { $unset: { batch: 1 } }, { session });
+      }
+    }
+    await batch.save({ session });
+    return batch;
+  });
+}
+
+// One line per approved item, with the destination account
+async function exportRows(batch) {
+  await batch.populate({ path: 'items.withdrawal', populate: { path: 'paymentMethod user', select: 'type details fullName' } });
+
+  return batch.items
+    .filter(item => item.status === 'approved')
+    .map(item => {
+      const details = item.withdrawal.paymentMethod?.details || {};
+      const bank = findBank(details.bankCode || details.bank);
+      return {
+        reference: item.withdrawal._id.toString(),
+        account_number: details.accountNumber || '',
+        bank_code: bank?.code || details.bankCode || '',
+        nuban_code: bank?.nubanCode || '',
+        bank_name: bank?.name || details.bank || '',
+        account_name: details.accountName || item.withdrawal.user?.fullName || '',
+        amount: item.netAmount.toFixed(2),
+        narration: NARRATION,
+      };
+    });
+}
+
+// Fixed-width NIBSS-style bulk file: header, one detail record per payment, trailer.
+// Amounts are in kobo, numeric fields are zero-padded and text fields space-padded.
+function toFixedWidth(batch, rows) {
+  const invalid = rows.find(r => !ACCOUNT_NUMBER.test(r.account_number) || !r.nuban_code);
+  if (invalid) {
+    throw new ServiceError(`Withdrawal ${invalid.reference} has no valid bank account`, 422, 'INVALID_ACCOUNT');
+  }
+
+  const text = (value, width) => String(value || '').toUpperCase().slice(0, width).padEnd(width, ' ');
+  const num = (value, width) => String(value).padStart(width, '0').slice(-width);
+  const kobo = amount => Math.round(Number(amount) * 100);
+  const total = rows.reduce((sum, r) => sum + kobo(r.amount), 0);
+
+  const lines = [
+    `H${text(batch.reference, 20)}${localDate().replace(/-/g, '')}${num(rows.length, 6)}${num(total, 15)}`,
+    ...rows.map((r, i) => `D${num(i + 1, 6)}${num(r.nuban_code, 6)}${num(r.account_number, 10)}`
+      + `${text(r.account_name, 35)}${num(kobo(r.amount), 15)}${text(r.reference, 30)}${text(r.narration, 30)}`),
+    `T${num(rows.length, 6)}${num(total, 15)}`,
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the bulk-transfer file for an approved batch.
+ *
+ * @param {string} format - 'csv' | 'nibss'
+ * @returns {Promise<{ filename, contentType, content }>}
+ */
+async function exportFile(batchId, format = 'csv') {
+  const batch = await PayoutBatch.findById(batchId);
+  if (!batch) throw new ServiceError('Batch not found', 404, 'NOT_FOUND');
+  if (batch.status === 'draft') throw new ServiceError('Approve the batch before exporting it', 409, 'NOT_APPROVED');
+  if (!['csv', 'nibss'].includes(format)) throw new ServiceError('Format must be csv or nibss', 400, 'INVALID_FORMAT');
+
+  const rows = await exportRows(batch);
+  const file = format === 'nibss'
+    ? { filename: `${batch.reference}.txt`, contentType: 'text/plain', content: toFixedWidth(batch, rows) }
+    : {
+      filename: `${batch.reference}.csv`,
+      contentType: 'text/csv',
+      content: toCsv(rows, ['reference', 'account_number', 'bank_code', 'bank_name', 'account_name', 'amount', 'narration']),
+    };
+
+  await PayoutBatch.updateOne({ _id: batch._id }, { $set: { exportedAt: new Date() } });
+  return file;
+}
+
+const PAID = ['paid', 'success', 'successful', 'completed'];
+const FAILED = ['failed', 'rejected', 'reversed', 'unsuccessful'];
+
+/**
+ * Apply a bank settlement result. Each row needs `reference` (the withdrawal id from the
+ * export) and `status`; `reason` is kept for failures.
+ *
+ * @returns {Promise<{ batch, results: Array<{ reference, outcome, error?, withdrawal?, balance? }> }>}
+ */
+async function settle(batchId, adminId, rows) {
+  const batch = await PayoutBatch.findById(batchId);
+  if (!batch) throw new ServiceError('Batch not found', 404, 'NOT_FOUND');
+  if (batch.status !== 'approved') throw new ServiceError('Batch is not awaiting settlement', 409, 'INVALID_TRANSITION');
+
+  const results = [];
+  for (const row of rows) {
+    const reference = String(row.reference || '').trim();
+    const status = String(row.status || '').trim().toLowerCase();
+    const item = batch.items.find(i => i.withdrawal.toString() === reference);
+
+    if (!item) {
+      results.push({ reference, outcome: 'skipped', error: 'Not in this batch' });
+      continue;
+    }
+    if (item.status !== 'approved') {
+      results.push({ reference, outcome: 'skipped', error: `Already ${item.status}` });
+      continue;
+    }
+    if (!PAID.includes(status) && !FAILED.includes(status)) {
+      results.push({ reference, outcome: 'skipped', error: `Unknown status "${row.status}"` });
+      continue;
+    }
+
+    try {
+      if (PAID.includes(status)) {
+        const result = await withdrawalService.markPaid(item.withdrawal, adminId);
+        item.status = 'paid';
+        results.push({ reference, outcome: 'paid', ...result });
+      } else {
+        item.note = row.reason || 'Rejected by bank';
+        const result = await withdrawalService.fail(item.withdrawal, item.note, adminId);
+        item.status = 'failed';
+        results.push({ reference, outcome: 'failed', ...result });
+      }
+    } catch (err) {
+      if (!(err instanceof ServiceError)) throw err;
+      results.push({ reference, outcome: 'skipped', error: err.message });
+    }
+  }
+
+  if (batch.items.every(i => ['paid', 'failed', 'removed'].includes(i.status))) {
+    batch.status = 'settled';
+    batch.settledAt = new Date();
+  }
+  await batch.save();
+  return { batch, results };
+}
+
+module.exports = { create, approve, exportFile, settle };
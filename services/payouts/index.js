@@ -0,0 +1,257 @@
+// services/payouts/index.js
+// Automated bank transfers for approved withdrawals. Set PAYOUT_PROVIDER (paystack | stub)
+// to enable (the stub only outside production); without it withdrawals are paid off-platform
+// and marked paid by hand.
+//
+// approve -> transfer queued -> processing -> provider webhook -> paid | failed (balance released)
+// Transient provider errors put the transfer back in the queue with exponential backoff.
+// Retries reuse the transfer reference, so a retry after an attempt that timed out but went
+// through is rejected as a duplicate: before failing such a transfer (and releasing the
+// balance) the provider is asked what became of it. Transfers left processing are checked
+// the same way by recoverStuck.
+const Withdrawal = require('../../models/Withdrawal');
+const withdrawalService = require('../withdrawals');
+const { notifyUser } = require('../notifications');
+const ServiceError = require('../../utils/ServiceError');
+
+const providers = {
+  paystack: require('./paystack'),
+  stub: require('./stub'),
+};
+
+const MAX_ATTEMPTS = Number(process.env.PAYOUT_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+const STUCK_AFTER_MS = (Number(process.env.PAYOUT_STUCK_MINUTES) || 15) * 60 * 1000;
+
+function getProvider(name = process.env.PAYOUT_PROVIDER) {
+  if (!name) return null;
+  const provider = providers[name];
+  if (!provider) throw new ServiceError(`Unknown payout provider: ${name}`, 500, 'PAYOUT_PROVIDER_ERROR');
+  if (provider.name === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new ServiceError('The stub payout provider cannot be used in production', 500, 'PAYOUT_PROVIDER_ERROR');
+  }
+  return provider;
+}
+
+/**
+ * Check the payout configuration at startup; throws if the server must not start.
+ * Returns the provider, or null when payouts are made by hand.
+ */
+function assertConfigured() {
+  const provider = getProvider();
+  if (provider?.name === 'stub' && !process.env.STUB_PAYOUT_SECRET) {
+    throw new ServiceError('STUB_PAYOUT_SECRET is required for the stub payout provider', 500, 'PAYOUT_PROVIDER_ERROR');
+  }
+  return provider;
+}
+
+const transferReference = withdrawalId => `PO-${withdrawalId}`;
+
+/**
+ * Settle a transfer by reference. Returns null if the withdrawal was already settled.
+ */
+async function settle(reference, status, reason) {
+  const withdrawal = await Withdrawal.findOne({ 'transfer.reference': reference }).select('_id');
+  if (!withdrawal) return null;
+
+  try {
+    if (status === 'success') {
+      const result = await withdrawalService.markPaid(withdrawal._id, null, { 'transfer.status': 'success' });
+      return { ...result, outcome: 'paid' };
+    }
+    const result = await withdrawalService.fail(withdrawal._id, reason || 'Transfer failed');
+    return { ...result, outcome: 'failed' };
+  } catch (err) {
+    // Duplicate or late webhook for a withdrawal that has already moved on
+    if (err instanceof ServiceError && err.status === 409) return null;
+    throw err;
+  }
+}
+
+/**
+ * Send the transfer for a queued withdrawal whose next attempt is due.
+ * The conditional claim means only one worker ever sends a given attempt.
+ */
+async function dispatch(withdrawalId) {
+  const provider = getProvider();
+  if (!provider) return null;
+
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    {
+      _id: withdrawalId,
+      status: 'approved',
+      'transfer.status': 'queued',
+      'transfer.nextAttemptAt': { $lte: new Date() },
+    },
+    { $set: { 'transfer.status': 'processing', 'transfer.processingSince': new Date() }, $inc: { 'transfer.attempts': 1 } },
+    { new: true }
+  ).populate('paymentMethod');
+  if (!withdrawal) return null;
+
+  const { reference, attempts } = withdrawal.transfer;
+  const method = withdrawal.paymentMethod;
+  if (!method || method.type !== 'Bank Account' || !method.details?.accountNumber) {
+    return settle(reference, 'failed', 'No bank account on withdrawal');
+  }
+  // Providers need the bank's code; a bank name typed by the user is not one
+  if (!method.details.bankCode) {
+    return settle(reference, 'failed', 'Bank account has no verified bank code');
+  }
+
+  try {
+    const result = await provider.initiateTransfer({
+      reference,
+      amount: withdrawal.netAmount ?? withdrawal.amount,
+      bankCode: method.details.bankCode,
+      accountNumber: method.details.accountNumber,
+      accountName: method.details.accountName,
+      narration: 'DailyTask Academy withdrawal',
+    });
+    if (result.status !== 'pending') return settle(reference, result.status);
+    return { withdrawal, outcome: 'processing' };
+  } catch (err) {
+    if (err.transient && attempts < MAX_ATTEMPTS) return requeue(withdrawal, err.message);
+    // This attempt timed out, or an earlier one did: the transfer may have gone through
+    if (err.transient || attempts > 1) return reconcile(withdrawal, { reason: err.message });
+    return settle(reference, 'failed', err.message);
+  }
+}
+
+// Put a processing transfer back in the queue, backing off by its attempt count
+async function requeue(withdrawal, reason) {
+  const { attempts } = withdrawal.transfer;
+  await Withdrawal.updateOne(
+    { _id: withdrawal._id, 'transfer.status': 'processing' },
+    {
+      $set: {
+        'transfer.status': 'queued',
+        'transfer.nextAttemptAt': new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, attempts - 1)),
+        'transfer.lastError': reason,
+      },
+    }
+  );
+  return { withdrawal, outcome: 'retrying' };
+}
+
+/**
+ * Settle a processing transfer from the provider's own record of it. One the provider has
+ * never seen fails, or with `requeueMissing` is sent again while attempts remain; one still
+ * in flight (or that cannot be looked up right now) stays processing.
+ */
+async function reconcile(withdrawal, { reason, requeueMissing = false } = {}) {
+  const provider = getProvider();
+  const { reference, attempts } = withdrawal.transfer;
+
+  let found;
+  try {
+    found = await provider.verifyTransfer(reference);
+  } catch (err) {
+    found = { status: 'pending' };
+    reason = reason || err.message;
+  }
+
+  if (found.status === 'success') return settle(reference, 'success');
+  if (found.status === 'failed') return settle(reference, 'failed', reason || 'Transfer failed');
+  if (found.status === 'not_found') {
+    if (requeueMissing && attempts < MAX_ATTEMPTS) return requeue(withdrawal, reason || 'Transfer not found at provider');
+    return settle(reference, 'failed', reason || 'Transfer not found at provider');
+  }
+
+  await Withdrawal.updateOne(
+    { _id: withdrawal._id, 'transfer.status': 'processing' },
+    { $set: { 'transfer.processingSince': new Date(), ...(reason && { 'transfer.lastError': reason }) } }
+  );
+  return { withdrawal, outcome: 'processing' };
+}
+
+/**
+ * Approve a withdrawal and, when payouts are automated, start its bank transfer.
+ */
+async function approve(withdrawalId, adminId) {
+  const provider = getProvider();
+  const transfer = provider && {
+    transfer: {
+      provider: provider.name,
+      reference: transferReference(withdrawalId),
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+    },
+  };
+
+  const withdrawal = await withdrawalService.approve(withdrawalId, adminId, transfer);
+  if (!provider) return { withdrawal, outcome: 'manual' };
+
+  return (await dispatch(withdrawal._id)) || { withdrawal, outcome: 'queued' };
+}
+
+/**
+ * Verify and apply a provider webhook.
+ */
+async function handleWebhook(providerName, rawBody, headers, body) {
+  const provider = getProvider(providerName);
+  if (!provider || provider.name !== process.env.PAYOUT_PROVIDER) {
+    throw new ServiceError('Unknown payout provider', 404, 'NOT_FOUND');
+  }
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    throw new ServiceError('Invalid webhook signature', 401, 'INVALID_SIGNATURE');
+  }
+
+  const { reference, status, reason } = provider.parseWebhook(body);
+  if (!reference || !['success', 'failed'].includes(status)) return null;
+  return settle(reference, status, reason);
+}
+
+/**
+ * Dispatch every queued transfer whose retry is due. Used by jobs/payoutRetry.js.
+ */
+async function retryDue() {
+  const due = await Withdrawal.find({
+    status: 'approved',
+    'transfer.status': 'queued',
+    'transfer.nextAttemptAt': { $lte: new Date() },
+  }).select('_id').limit(100);
+
+  const results = [];
+  for (const { _id } of due) {
+    results.push(await dispatch(_id));
+  }
+  return results.filter(Boolean);
+}
+
+/**
+ * Check transfers that have been processing for too long (a lost webhook, or a crash between
+ * sending a transfer and recording the outcome) against the provider. Used by jobs/payoutRetry.js.
+ */
+async function recoverStuck(now = new Date()) {
+  if (!getProvider()) return [];
+
+  const stuck = await Withdrawal.find({
+    status: 'approved',
+    'transfer.status': 'processing',
+    $or: [
+      { 'transfer.processingSince': { $lte: new Date(now.getTime() - STUCK_AFTER_MS) } },
+      { 'transfer.processingSince': null },
+    ],
+  }).limit(100);
+
+  const results = [];
+  for (const withdrawal of stuck) {
+    results.push(await reconcile(withdrawal, { requeueMissing: true }));
+  }
+  return results.filter(Boolean);
+}
+
+/**
+ * Tell the user how their payout ended.
+ */
+async function announce(io, result) {
+  if (!result || !['paid', 'failed'].includes(result.outcome)) return;
+  const { withdrawal, balance } = result;
+  const message = result.outcome === 'paid'
+    ? `Withdrawal of ₦${withdrawal.amount.toLocaleString()} has been paid to your bank account`
+    : `Withdrawal of ₦${withdrawal.amount.toLocaleString()} could not be paid and was returned to your balance`;
+  await notifyUser(io, withdrawal.user, message, { 'balance-update': { balance } });
+}
+
+module.exports = { getProvider, assertConfigured, approve, dispatch, settle, handleWebhook, retryDue, recoverStuck, announce };
@@ -0,0 +1,75 @@
+// services/payouts/paystack.js
+const axios = require('axios');
+const crypto = require('crypto');
+
+const api = axios.create({
+  baseURL: 'https://api.paystack.co',
+  timeout: 15000,
+});
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` });
+
+// Network errors, timeouts, rate limits and 5xx are worth retrying; other 4xx are not
+function wrapError(err) {
+  const status = err.response?.status;
+  const wrapped = new Error(err.response?.data?.message || err.message);
+  wrapped.transient = !status || status === 429 || status >= 500;
+  return wrapped;
+}
+
+async function initiateTransfer({ reference, amount, bankCode, accountNumber, accountName, narration }) {
+  try {
+    const { data: recipient } = await api.post('/transferrecipient', {
+      type: 'nuban',
+      name: accountName,
+      account_number: accountNumber,
+      bank_code: bankCode,
+      currency: 'NGN',
+    }, { headers: authHeaders() });
+
+    const { data } = await api.post('/transfer', {
+      source: 'balance',
+      amount: Math.round(amount * 100),
+      recipient: recipient.data.recipient_code,
+      reference,
+      reason: narration,
+    }, { headers: authHeaders() });
+
+    const status = data.data.status === 'success' ? 'success' : data.data.status === 'failed' ? 'failed' : 'pending';
+    return { reference: data.data.reference, status };
+  } catch (err) {
+    throw wrapError(err);
+  }
+}
+
+// Paystack's own record of a transfer; not_found if it never reached them
+async function verifyTransfer(reference) {
+  try {
+    const { data } = await api.get(`/transfer/verify/${encodeURIComponent(reference)}`, { headers: authHeaders() });
+    const state = data.data.status;
+    const status = state === 'success' ? 'success' : ['failed', 'reversed', 'abandoned'].includes(state) ? 'failed' : 'pending';
+    return { reference, status };
+  } catch (err) {
+    if (err.response?.status === 404) return { reference, status: 'not_found' };
+    throw wrapError(err);
+  }
+}
+
+function verifyWebhook(rawBody, headers) {
+  const signature = headers['x-paystack-signature'];
+  if (!signature || !rawBody) return false;
+  const expected = crypto.createHmac('sha512', process.env.PAYSTACK_SECRET_KEY).update(rawBody).digest('hex');
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+function parseWebhook(body) {
+  const outcomes = { 'transfer.success': 'success', 'transfer.failed': 'failed', 'transfer.reversed': 'failed' };
+  return {
+    reference: body.data?.reference,
+    status: outcomes[body.event] || 'pending',
+    reason: body.data?.reason || body.data?.gateway_response,
+  };
+}
+
+module.exports = { name: 'paystack', initiateTransfer, verifyTransfer, verifyWebhook, parseWebhook };
@@ -0,0 +1,70 @@
+// services/payouts/stub.js
+// Local stand-in for a transfer provider. Transfers stay pending until settled through
+// /api/payouts/stub/:reference/complete, which produces a signed webhook like a real provider.
+// Webhooks are signed with STUB_PAYOUT_SECRET; without it none are accepted.
+const crypto = require('crypto');
+
+const transfers = new Map();
+let scriptedFailures = [];
+
+const secret = () => process.env.STUB_PAYOUT_SECRET;
+const sign = rawBody => {
+  if (!secret()) throw new Error('STUB_PAYOUT_SECRET is not configured');
+  return crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+};
+
+/**
+ * Make the next `count` transfer attempts throw, e.g. failNext(2, { transient: true }).
+ */
+function failNext(count, { transient = true, message = 'Stub transfer failure' } = {}) {
+  scriptedFailures = Array.from({ length: count }, () => ({ transient, message }));
+}
+
+async function initiateTransfer({ reference, amount, bankCode, accountNumber }) {
+  const failure = scriptedFailures.shift();
+  if (failure) {
+    const err = new Error(failure.message);
+    err.transient = failure.transient;
+    throw err;
+  }
+  // Same reference twice is the same transfer, as with real providers
+  if (!transfers.has(reference)) {
+    transfers.set(reference, { reference, amount, bankCode, accountNumber, status: 'pending' });
+  }
+  return { reference, status: transfers.get(reference).status };
+}
+
+async function verifyTransfer(reference) {
+  const transfer = transfers.get(reference);
+  return { reference, status: transfer ? transfer.status : 'not_found' };
+}
+
+function verifyWebhook(rawBody, headers) {
+  const signature = headers['x-stub-signature'];
+  if (!signature || !rawBody || !secret()) return false;
+  const expected = sign(rawBody);
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+function parseWebhook(body) {
+  return { reference: body.reference, status: body.status, reason: body.reason };
+}
+
+/**
+ * Settle a stub transfer and build the webhook the provider would send for it.
+ */
+function settle(reference, outcome = 'success') {
+  const transfer = transfers.get(reference);
+  if (!transfer) return null;
+  transfer.status = outcome === 'success' ? 'success' : 'failed';
+
+  const rawBody = Buffer.from(JSON.stringify({
+    reference,
+    status: transfer.status,
+    reason: transfer.status === 'failed' ? 'Stub transfer rejected' : undefined,
+  }));
+  return { rawBody, headers: { 'x-stub-signature': sign(rawBody) } };
+}
+
+module.exports = { name: 'stub', initiateTransfer, verifyTransfer, verifyWebhook, parseWebhook, settle, failNext };
@@ -0,0 +1,184 @@
+// services/quizzes.js
+// Quiz and survey tasks. Quizzes are scored here against the stored answer key, which is
+// never sent to users; the reward is only paid on a pass and attempts are limited.
+// Survey answers are stored per user and exported as CSV.
+const QuizAttempt = require('../models/QuizAttempt');
+const SurveyResponse = require('../models/SurveyResponse');
+const ServiceError = require('../utils/ServiceError');
+const { toCsv } = require('../utils/csv');
+
+const DEFAULT_PASS_MARK = 70;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_TEXT_ANSWER = 1000;
+
+const invalid = message => new ServiceError(message, 400, 'INVALID_TASK');
+
+/**
+ * Validate admin-authored questions for a quiz or survey task.
+ */
+function parseQuestions(type, questions) {
+  if (!Array.isArray(questions) || !questions.length) throw invalid('At least one question is required');
+
+  return questions.map((q, i) => {
+    const label = `Question ${i + 1}`;
+    const prompt = String(q?.prompt || '').trim();
+    if (!prompt) throw invalid(`${label} needs a prompt`);
+
+    const kind = type === 'survey' && q.kind === 'text' ? 'text' : 'choice';
+    if (kind === 'text') return { prompt, kind, options: [], correct: [], required: q.required !== false };
+
+    const options = (Array.isArray(q.options) ? q.options : []).map(o => String(o).trim()).filter(Boolean);
+    if (options.length < 2) throw invalid(`${label} needs at least two options`);
+
+    if (type === 'survey') {
+      return { prompt, kind, options, multiple: Boolean(q.multiple), correct: [], required: q.required !== false };
+    }
+
+    const correct = [...new Set([].concat(q.correct ?? []).map(Number))];
+    if (!correct.length || correct.some(c => !Number.isInteger(c) || c < 0 || c >= options.length)) {
+      throw invalid(`${label} needs its correct option(s) given as indexes into options`);
+    }
+    return { prompt, kind, options, multiple: q.multiple ?? correct.length > 1, correct, required: true };
+  });
+}
+
+/**
+ * Fill in quiz defaults and check a quiz or survey task is complete.
+ */
+function checkTask(task) {
+  if (!task.questions?.length) throw invalid('At least one question is required');
+  if (task.type === 'quiz') {
+    if (task.passMark == null) task.passMark = DEFAULT_PASS_MARK;
+    if (task.maxAttempts == null) task.maxAttempts = DEFAULT_MAX_ATTEMPTS;
+  }
+}
+
+/**
+ * Questions as users see them: no answer key.
+ */
+const publicQuestions = task => task.questions.map(q => ({
+  _id: q._id,
+  prompt: q.prompt,
+  kind: q.kind,
+  options: q.options,
+  multiple: q.multiple,
+  required: q.required,
+}));
+
+// Normalize submitted answers ([{ question, choices, text }]) against the task's questions
+function readAnswers(task, answers) {
+  if (!Array.isArray(answers)) throw new ServiceError('Answers are required', 400, 'ANSWERS_REQUIRED');
+  const byQuestion = new Map(answers.map(a => [String(a?.question), a]));
+
+  return task.questions.map(q => {
+    const answer = byQuestion.get(q._id.toString());
+    if (q.kind === 'text') {
+      const text = String(answer?.text || '').trim().slice(0, MAX_TEXT_ANSWER);
+      if (!text && q.required) throw new ServiceError(`Please answer: ${q.prompt}`, 400, 'ANSWERS_REQUIRED');
+      return { question: q._id, choices: [], text: text || undefined };
+    }
+
+    const choices = [...new Set([].concat(answer?.choices ?? []).map(Number))];
+    if (choices.some(c => !Number.isInteger(c) || c < 0 || c >= q.options.length)) {
+      throw new ServiceError(`Invalid option for: ${q.prompt}`, 400, 'INVALID_ANSWERS');
+    }
+    if (!q.multiple && choices.length > 1) throw new ServiceError(`Pick one option for: ${q.prompt}`, 400, 'INVALID_ANSWERS');
+    if (!choices.length && q.required) throw new ServiceError(`Please answer: ${q.prompt}`, 400, 'ANSWERS_REQUIRED');
+    return { question: q._id, choices };
+  });
+}
+
+const sameChoices = (a, b) => a.length === b.length && a.every(c => b.includes(c));
+
+/**
+ * Score and record a quiz attempt inside the completion's transaction.
+ *
+ * @returns {Promise<{ score, passed, passMark, attemptsLeft }>}
+ */
+async function attempt({ task, userId, answers, session }) {
+  const used = await QuizAttempt.countDocuments({ task: task._id, user: userId }).session(session);
+  if (used >= task.maxAttempts) {
+    throw new ServiceError('No attempts left for this quiz', 400, 'ATTEMPTS_EXHAUSTED', { attemptsLeft: 0 });
+  }
+
+  const given = readAnswers(task, answers);
+  const correctCount = task.questions.filter((q, i) => sameChoices(given[i].choices, q.correct)).length;
+  const score = Math.round((correctCount / task.questions.length) * 100);
+  const passed = score >= task.passMark;
+
+  try {
+    await QuizAttempt.create([{
+      task: task._id,
+      user: userId,
+      attempt: used + 1,
+      answers: given,
+      correctCount,
+      score,
+      passed,
+    }], { session });
+  } catch (err) {
+    if (err.code === 11000) throw new ServiceError('Another attempt is being submitted', 409, 'CONFLICT');
+    throw err;
+  }
+
+  return { score, passed, passMark: task.passMark, attemptsLeft: task.maxAttempts - used - 1 };
+}
+
+/**
+ * Attempts left per quiz task for a user.
+ */
+async function attemptsLeft(userId, tasks) {
+  const quizzes = tasks.filter(t => t.type === 'quiz');
+  if (!quizzes.length) return new Map();
+
+  const counts = await QuizAttempt.aggregate([
+    { $match: { user: userId, task: { $in: quizzes.map(t => t._id) } } },
+    { $group: { _id: '$task', count: { $sum: 1 } } },
+  ]);
+  const used = new Map(counts.map(c => [c._id.toString(), c.count]));
+  return new Map(quizzes.map(t => [t._id.toString(), Math.max(0, t.maxAttempts - (used.get(t._id.toString()) || 0))]));
+}
+
+/**
+ * Store a survey response inside the completion's transaction.
+ */
+async function respond({ task, userId, answers, session }) {
+  const [response] = await SurveyResponse.create([{
+    task: task._id,
+    user: userId,
+    answers: readAnswers(task, answers),
+  }], { session });
+  return response;
+}
+
+/**
+ * All responses to a survey task as CSV, one row per user and one column per question.
+ */
+async function surveyCsv(task) {
+  const responses = await SurveyResponse.find({ task: task._id })
+    .sort({ createdAt: 1 })
+    .populate('user', 'username fullName')
+    .lean();
+
+  const columns = [
+    { key: 'submittedAt', header: 'submitted_at' },
+    { key: 'username', header: 'username' },
+    { key: 'fullName', header: 'full_name' },
+    ...task.questions.map((q, i) => ({ key: `q${i}`, header: q.prompt })),
+  ];
+
+  const rows = responses.map(r => {
+    const row = { submittedAt: r.createdAt, username: r.user?.username, fullName: r.user?.fullName };
+    task.questions.forEach((q, i) => {
+      const answer = r.answers.find(a => a.question.equals(q._id));
+      row[`q${i}`] = q.kind === 'text'
+        ? answer?.text
+        : (answer?.choices || []).map(c => q.options[c]).join('; ');
+    });
+    return row;
+  });
+
+  return toCsv(rows, columns);
+}
+
+module.exports = { parseQuestions, checkTask, publicQuestions, attempt, attemptsLeft, respond, surveyCsv };
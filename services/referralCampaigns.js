@@ -0,0 +1,152 @@
+// services/referralCampaigns.js
+// Admin-defined referral campaigns. While a campaign runs, activations by eligible referrers
+// earn its bonus multiplier (see referrals.activate) and count towards its leaderboard;
+// once it ends its fixed prizes are paid to the top ranks as referral earnings.
+const ReferralCampaign = require('../models/ReferralCampaign');
+const ledger = require('./ledger');
+const leaderboards = require('./referralLeaderboards');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+
+const invalid = message => new ServiceError(message, 400, 'INVALID_CAMPAIGN');
+
+const toDate = (value, field) => {
+  const date = new Date(value);
+  if (value === null || value === '' || Number.isNaN(date.getTime())) throw invalid(`${field} must be a valid date`);
+  return date;
+};
+
+// Validate the fields present in `body`; create() checks the required ones
+function parseCampaignInput(body = {}) {
+  const input = {};
+
+  if (body.name !== undefined) {
+    input.name = String(body.name).trim();
+    if (!input.name) throw invalid('Name is required');
+  }
+  if (body.description !== undefined) input.description = String(body.description || '').trim();
+  if (body.startsAt !== undefined) input.startsAt = toDate(body.startsAt, 'startsAt');
+  if (body.endsAt !== undefined) input.endsAt = toDate(body.endsAt, 'endsAt');
+
+  if (body.multiplier !== undefined) {
+    input.multiplier = Number(body.multiplier);
+    if (!(Number.isFinite(input.multiplier) && input.multiplier >= 1)) throw invalid('multiplier must be 1 or more');
+  }
+
+  if (body.prizes !== undefined) {
+    if (!Array.isArray(body.prizes)) throw invalid('prizes must be a list of { rank, amount }');
+    input.prizes = body.prizes.map(prize => ({ rank: Number(prize?.rank), amount: Number(prize?.amount) }));
+    if (input.prizes.some(p => !Number.isInteger(p.rank) || p.rank < 1 || !(Number.isFinite(p.amount) && p.amount >= 0))) {
+      throw invalid('Each prize needs a rank of 1 or more and an amount of zero or more');
+    }
+    if (new Set(input.prizes.map(p => p.rank)).size !== input.prizes.length) throw invalid('Prize ranks must be unique');
+    input.prizes.sort((a, b) => a.rank - b.rank);
+  }
+
+  if (body.levels !== undefined) {
+    if (!Array.isArray(body.levels)) throw invalid('levels must be a list of level numbers');
+    input.levels = body.levels.map(Number);
+    if (input.levels.some(level => !Number.isInteger(level) || level < 1)) throw invalid('levels must be whole numbers of 1 or more');
+  }
+  return input;
+}
+
+const checkDates = ({ startsAt, endsAt }) => {
+  if (endsAt <= startsAt) throw invalid('endsAt must be after startsAt');
+};
+
+async function create(body, adminId) {
+  const input = parseCampaignInput(body);
+  if (!input.name) throw invalid('Name is required');
+  if (!input.startsAt || !input.endsAt) throw invalid('startsAt and endsAt are required');
+  checkDates(input);
+  return ReferralCampaign.create({ ...input, createdBy: adminId });
+}
+
+async function update(campaignId, body) {
+  const campaign = await ReferralCampaign.findById(campaignId);
+  if (!campaign) throw new ServiceError('Campaign not found', 404, 'CAMPAIGN_NOT_FOUND');
+  if (campaign.prizesAwardedAt) throw new ServiceError('Prizes for this campaign have been awarded', 409, 'CAMPAIGN_CLOSED');
+
+  const input = parseCampaignInput(body);
+  checkDates({ startsAt: input.startsAt || campaign.startsAt, endsAt: input.endsAt || campaign.endsAt });
+  campaign.set(input);
+  return campaign.save();
+}
+
+/**
+ * Delete a campaign that has not started; one that has may only be ended early by moving endsAt.
+ */
+async function remove(campaignId, now = new Date()) {
+  const campaign = await ReferralCampaign.findById(campaignId);
+  if (!campaign) throw new ServiceError('Campaign not found', 404, 'CAMPAIGN_NOT_FOUND');
+  if (campaign.startsAt <= now) {
+    throw new ServiceError('Campaigns that have started cannot be deleted', 409, 'CAMPAIGN_STARTED');
+  }
+  await campaign.deleteOne();
+  return campaign;
+}
+
+/**
+ * Campaigns running now or still to come, soonest first.
+ */
+async function upcoming(now = new Date()) {
+  return ReferralCampaign.find({ endsAt: { $gt: now } })
+    .select('name description startsAt endsAt multiplier prizes levels')
+    .sort({ startsAt: 1 })
+    .lean();
+}
+
+/**
+ * Campaigns running at `now` that a referrer of `level` takes part in.
+ */
+async function activeFor(level, { now = new Date(), session } = {}) {
+  return ReferralCampaign.find({
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+    $or: [{ levels: { $size: 0 } }, { levels: level }],
+  }).session(session || null).lean();
+}
+
+/**
+ * Pay a finished campaign's prizes to its final top ranks, once.
+ */
+async function awardPrizes(campaignId, now = new Date()) {
+  return withTransaction(async session => {
+    const campaign = await ReferralCampaign.findOneAndUpdate(
+      { _id: campaignId, endsAt: { $lte: now }, prizesAwardedAt: null },
+      { $set: { prizesAwardedAt: now } },
+      { new: true, session }
+    );
+    if (!campaign) {
+      const existing = await ReferralCampaign.findById(campaignId).session(session).select('prizesAwardedAt');
+      if (!existing) throw new ServiceError('Campaign not found', 404, 'CAMPAIGN_NOT_FOUND');
+      if (existing.prizesAwardedAt) throw new ServiceError('Prizes have already been awarded', 409, 'PRIZES_AWARDED');
+      throw new ServiceError('The campaign has not ended yet', 409, 'CAMPAIGN_RUNNING');
+    }
+
+    const { leaders } = await leaderboards.standings({
+      period: 'campaign',
+      campaignId: campaign._id,
+      limit: Math.max(0, ...campaign.prizes.map(p => p.rank)),
+      reveal: true,
+      session,
+    });
+
+    const winners = [];
+    for (const leader of leaders.filter(l => l.prize > 0)) {
+      await ledger.post({
+        user: leader.user._id,
+        type: 'referral_prize',
+        changes: { referralBonus: leader.prize },
+        reference: { kind: 'ReferralCampaign', id: campaign._id },
+        description: `${campaign.name}: rank ${leader.rank} referral prize`,
+        session,
+      });
+      winners.push({ rank: leader.rank, user: leader.user, activations: leader.activations, prize: leader.prize });
+    }
+    return { campaign, winners };
+  });
+}
+
+module.exports = { parseCampaignInput, create, update, remove, upcoming, activeFor, awardPrizes };
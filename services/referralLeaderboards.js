@@ -0,0 +1,131 @@
+// services/referralLeaderboards.js
+// Public referral leaderboards: referrers ranked by verified activations (direct referees
+// whose bonus has been credited) this week, this month or during a campaign. Names are
+// anonymized; suspended referrers and referrers on hold are left out.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const ReferralCampaign = require('../models/ReferralCampaign');
+const ServiceError = require('../utils/ServiceError');
+const { localDate, startOfWeek, startOfMonth } = require('../utils/time');
+const { LEADERBOARD_SIZE } = require('../config/referrals');
+
+const PERIODS = ['weekly', 'monthly', 'campaign'];
+const MAX_SIZE = 50;
+
+/**
+ * Public form of a username: "adebayo" -> "ad***o".
+ */
+function anonymize(username) {
+  const name = String(username || '');
+  if (name.length <= 3) return `${name.charAt(0)}***`;
+  return `${name.slice(0, 2)}***${name.slice(-1)}`;
+}
+
+// The Referral filter and date range a board covers
+async function boardFor({ period, campaignId, now, session }) {
+  if (!PERIODS.includes(period)) {
+    throw new ServiceError("period must be 'weekly', 'monthly' or 'campaign'", 400, 'INVALID_PERIOD');
+  }
+  if (period !== 'campaign') {
+    const start = period === 'weekly' ? startOfWeek(now) : startOfMonth(now);
+    return { match: { activatedAt: { $gte: start, $lte: now } }, from: localDate(start), to: localDate(now) };
+  }
+
+  if (!mongoose.isValidObjectId(campaignId)) throw new ServiceError('A valid campaign is required', 400, 'INVALID_CAMPAIGN');
+  const campaign = await ReferralCampaign.findById(campaignId).session(session || null).lean();
+  if (!campaign) throw new ServiceError('Campaign not found', 404, 'CAMPAIGN_NOT_FOUND');
+  return {
+    match: { campaigns: campaign._id },
+    from: localDate(campaign.startsAt),
+    to: localDate(campaign.endsAt),
+    campaign,
+  };
+}
+
+/**
+ * Ranked referrers for a board. Ties go to whoever reached their count first. `reveal`
+ * adds the user behind each entry, for admin views and prize payouts.
+ */
+async function standings({ period = 'weekly', campaignId, limit, now = new Date(), reveal = false, session } = {}) {
+  const { match, from, to, campaign } = await boardFor({ period, campaignId, now, session });
+  const size = Math.min(Number(limit) || LEADERBOARD_SIZE, MAX_SIZE);
+
+  const counts = await Referral.aggregate([
+    { $match: { tier: 1, bonusStatus: 'credited', ...match } },
+    { $group: { _id: '$referrer', activations: { $sum: 1 }, reachedAt: { $max: '$activatedAt' } } },
+    { $sort: { activations: -1, reachedAt: 1, _id: 1 } },
+  ]).session(session || null);
+
+  const users = await User.find({
+    _id: { $in: counts.map(c => c._id) },
+    status: { $ne: 'suspended' },
+    referralsOnHold: { $ne: true },
+  }).session(session || null).select('username fullName').lean();
+  const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+  const leaders = counts
+    .filter(c => byId.has(c._id.toString()))
+    .slice(0, size)
+    .map((c, index) => {
+      const user = byId.get(c._id.toString());
+      const prize = campaign?.prizes?.find(p => p.rank === index + 1)?.amount;
+      return {
+        rank: index + 1,
+        name: anonymize(user.username),
+        activations: c.activations,
+        ...(prize && { prize }),
+        ...(reveal && { user: { _id: user._id, username: user.username, fullName: user.fullName } }),
+      };
+    });
+
+  return {
+    period,
+    from,
+    to,
+    ...(campaign && {
+      campaign: {
+        _id: campaign._id,
+        name: campaign.name,
+        startsAt: campaign.startsAt,
+        endsAt: campaign.endsAt,
+        multiplier: campaign.multiplier,
+        prizes: campaign.prizes,
+      },
+    }),
+    leaders,
+  };
+}
+
+// Leaders last emitted per board, so unchanged rankings are not re-sent
+const published = new Map();
+
+/**
+ * Recompute this week's, this month's and every running campaign's board and emit
+ * `referral-leaderboard` for each one whose rankings changed. Returns the boards emitted.
+ */
+async function publishChanges(io, now = new Date()) {
+  if (!io) return [];
+
+  const running = await ReferralCampaign.find({ startsAt: { $lte: now }, endsAt: { $gt: now } }).select('_id').lean();
+  const boards = [
+    { period: 'weekly' },
+    { period: 'monthly' },
+    ...running.map(c => ({ period: 'campaign', campaignId: c._id })),
+  ];
+
+  const emitted = [];
+  for (const board of boards) {
+    const result = await standings({ ...board, now });
+    const key = board.campaignId ? `campaign:${board.campaignId}` : `${board.period}:${result.from}`;
+    const signature = JSON.stringify(result.leaders);
+    if (published.get(key) === signature) continue;
+
+    published.set(key, signature);
+    io.emit('referral-leaderboard', result);
+    emitted.push(key);
+  }
+  return emitted;
+}
+
+module.exports = { PERIODS, anonymize, standings, publishChanges };
@@ -0,0 +1,211 @@
+// services/referralTracking.js
+// Referral link clicks and what they turn into. Every hit on /ref/:code is logged with a
+// token that is handed to the browser as a cookie (and in the signup URL); a signup that
+// presents a live token is attributed to that click, even without a referral code.
+const crypto = require('crypto');
+const User = require('../models/User');
+const ReferralClick = require('../models/ReferralClick');
+const Referral = require('../models/Referral');
+const ServiceError = require('../utils/ServiceError');
+const { TIMEZONE } = require('../config/platform');
+const { localDate, startOfLocalDay, startOfNextDay } = require('../utils/time');
+
+const ATTRIBUTION_DAYS = Number(process.env.REFERRAL_ATTRIBUTION_DAYS) || 30;
+const ATTRIBUTION_COOKIE = 'dta_ref';
+// Key for hashing click IPs; without one no IP is kept at all
+const IP_SALT = process.env.REFERRAL_IP_SALT;
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+
+const hashIp = ip => (ip && IP_SALT ? crypto.createHmac('sha256', IP_SALT).update(ip).digest('hex') : undefined);
+const clip = (value, length = 200) => (typeof value === 'string' && value ? value.slice(0, length) : undefined);
+
+/**
+ * Log a hit on a referral link. Returns the click; its token is the attribution token.
+ */
+async function trackClick({ referrer, code, req }) {
+  const utm = {};
+  UTM_FIELDS.forEach(field => {
+    const value = clip(req.query[`utm_${field}`]);
+    if (value) utm[field] = value;
+  });
+
+  return ReferralClick.create({
+    code,
+    referrer: referrer._id,
+    token: crypto.randomBytes(16).toString('hex'),
+    ipHash: hashIp(req.ip),
+    userAgent: clip(req.get('user-agent'), 500),
+    refererUrl: clip(req.get('referer'), 500),
+    utm,
+    expiresAt: new Date(Date.now() + ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000),
+  });
+}
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * The unclaimed, unexpired click behind a signup, from the body's clickToken or the cookie.
+ */
+async function findAttribution(req) {
+  const token = req.body?.clickToken || req.cookies?.[ATTRIBUTION_COOKIE];
+  if (typeof token !== 'string' || !/^[a-f0-9]{32}$/.test(token)) return null;
+  return ReferralClick.findOne({ token, signedUpUser: null, expiresAt: { $gt: new Date() } });
+}
+
+/**
+ * Mark a click as converted by `userId`; false if another signup got there first.
+ */
+async function claimClick(click, userId) {
+  const { modifiedCount } = await ReferralClick.updateOne(
+    { _id: click._id, signedUpUser: null },
+    { $set: { signedUpUser: userId, signedUpAt: new Date() } }
+  );
+  return modifiedCount > 0;
+}
+
+// Calendar day `days` away from a YYYY-MM-DD day
+const shiftDay = (day, days) => new Date(Date.UTC(
+  Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, Number(day.slice(8, 10)) + days
+)).toISOString().slice(0, 10);
+
+// Validate ?from=&to= (platform-local YYYY-MM-DD, inclusive) into instants; defaults to the last 30 days
+function parseRange({ from, to } = {}) {
+  if ((from && !DAY.test(from)) || (to && !DAY.test(to))) {
+    throw new ServiceError('from and to must be dates in YYYY-MM-DD format', 400, 'INVALID_RANGE');
+  }
+  const toDay = to || localDate();
+  const fromDay = from || shiftDay(toDay, 1 - DEFAULT_RANGE_DAYS);
+  if (fromDay > toDay) throw new ServiceError('from must not be after to', 400, 'INVALID_RANGE');
+  return { from: fromDay, to: toDay, start: startOfLocalDay(fromDay), end: startOfNextDay(startOfLocalDay(toDay)) };
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : null);
+
+const FORMATS = { day: '%Y-%m-%d', month: '%Y-%m' };
+
+// Count documents per period of `field`, in the platform timezone
+function countByPeriod(Model, match, field, format) {
+  return Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { period: { $dateToString: { format, date: `$${field}`, timezone: TIMEZONE } } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+}
+
+/**
+ * Clicks, signups and activations of one referrer's links per day or month, with conversion rates.
+ */
+async function statsForUser(userId, { from, to, interval = 'day' } = {}) {
+  const range = parseRange({ from, to });
+  const format = FORMATS[interval];
+  if (!format) throw new ServiceError("interval must be 'day' or 'month'", 400, 'INVALID_INTERVAL');
+
+  const within = { $gte: range.start, $lt: range.end };
+  const clicks = await countByPeriod(ReferralClick, { referrer: userId, createdAt: within }, 'createdAt', format);
+  const signups = await countByPeriod(Referral, { referrer: userId, tier: 1, createdAt: within }, 'createdAt', format);
+  const activations = await countByPeriod(Referral, { referrer: userId, tier: 1, activatedAt: within }, 'activatedAt', format);
+
+  const periods = new Map();
+  const add = (rows, key) => rows.forEach(({ _id, count }) => {
+    const entry = periods.get(_id.period) || { period: _id.period, clicks: 0, signups: 0, activations: 0 };
+    entry[key] = count;
+    periods.set(_id.period, entry);
+  });
+  add(clicks, 'clicks');
+  add(signups, 'signups');
+  add(activations, 'activations');
+
+  const series = [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(p => ({ ...p, conversionRate: rate(p.signups, p.clicks) }));
+  const totals = series.reduce((sum, p) => ({
+    clicks: sum.clicks + p.clicks,
+    signups: sum.signups + p.signups,
+    activations: sum.activations + p.activations,
+  }), { clicks: 0, signups: 0, activations: 0 });
+
+  return {
+    from: range.from,
+    to: range.to,
+    interval,
+    ...totals,
+    conversionRate: rate(totals.signups, totals.clicks),
+    activationRate: rate(totals.activations, totals.signups),
+    series,
+  };
+}
+
+/**
+ * Best-performing referral codes across the platform, ranked by activations, then signups.
+ */
+async function topCodes({ from, to, limit } = {}) {
+  const range = parseRange({ from, to });
+  const within = { $gte: range.start, $lt: range.end };
+
+  const group = (Model, match) => Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$referrer', count: { $sum: 1 } } },
+  ]);
+  const clicks = await group(ReferralClick, { createdAt: within });
+  const signups = await group(Referral, { tier: 1, createdAt: within });
+  const activations = await group(Referral, { tier: 1, activatedAt: within });
+
+  const byReferrer = new Map();
+  const add = (rows, key) => rows.forEach(({ _id, count }) => {
+    const id = _id.toString();
+    const entry = byReferrer.get(id) || { referrer: _id, clicks: 0, signups: 0, activations: 0 };
+    entry[key] = count;
+    byReferrer.set(id, entry);
+  });
+  add(clicks, 'clicks');
+  add(signups, 'signups');
+  add(activations, 'activations');
+
+  const ranked = [...byReferrer.values()]
+    .sort((a, b) => b.activations - a.activations || b.signups - a.signups || b.clicks - a.clicks)
+    .slice(0, Math.min(Number(limit) || 20, 100));
+
+  const users = await User.find({ _id: { $in: ranked.map(r => r.referrer) } })
+    .select('fullName username referralCode')
+    .lean();
+  const names = new Map(users.map(u => [u._id.toString(), u]));
+
+  return {
+    from: range.from,
+    to: range.to,
+    codes: ranked.map(r => {
+      const user = names.get(r.referrer.toString());
+      return {
+        referrer: r.referrer,
+        code: user?.referralCode || user?.username || null,
+        fullName: user?.fullName,
+        clicks: r.clicks,
+        signups: r.signups,
+        activations: r.activations,
+        conversionRate: rate(r.signups, r.clicks),
+        activationRate: rate(r.activations, r.signups),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  ATTRIBUTION_COOKIE,
+  cookieOptions,
+  trackClick,
+  findAttribution,
+  claimClick,
+  statsForUser,
+  topCodes,
+};
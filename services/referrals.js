@@ -0,0 +1,332 @@
+// services/referrals.js
+// Referral relationships and the rewards paid along them. Signing up with a code records a
+// Referral for the direct referrer (tier 1) and each referrer above them up to MAX_TIERS,
+// so commissions never need to walk the chain again. Rates live in config/referrals.js.
+//
+// Bonuses: pending (signup) -> credited (referee's registration payment confirmed)
+//   -> void if the referee is suspended or deleted before clawbackUntil.
+// Suspicious referrals, and every referral of a referrer on hold, are held instead of
+// credited until an admin reviews them (see services/fraud.js). A direct referrer's bonus
+// is multiplied while a referral campaign they take part in is running.
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const ledger = require('./ledger');
+const referralTracking = require('./referralTracking');
+const referralCampaigns = require('./referralCampaigns');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+const {
+  REFERRAL_SIGNUP_BONUS,
+  ACTIVATION_COMMISSIONS,
+  TASK_COMMISSIONS,
+  MAX_TIERS,
+  CLAWBACK_DAYS,
+  TRANSFER_MIN_AMOUNT,
+  TRANSFER_MIN_ACTIVE_REFERRALS,
+} = require('../config/referrals');
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * The user a referral code (or username) belongs to, or null.
+ */
+async function findReferrer(code) {
+  if (!code || code === 'undefined') return null;
+  return User.findOne({ $or: [{ referralCode: code }, { username: code }] });
+}
+
+/**
+ * Record a new user's referral chain, with the direct referrer's signup bonus pending until
+ * the referee activates. `referee.referredBy` must already be saved; `click` is the link click
+ * the signup is attributed to, if any. Returns the direct referrer, or null.
+ */
+async function record(referee, { click } = {}) {
+  if (!referee.referredBy) return null;
+
+  const referrer = await withTransaction(async session => {
+    const referrer = await User.findOneAndUpdate(
+      { _id: referee.referredBy },
+      { $inc: { invites: 1 }, $addToSet: { referrals: referee._id } },
+      { new: true, session }
+    );
+    if (!referrer) return null;
+
+    // Walk up the chain; `seen` stops a corrupt cycle of referredBy links
+    const chain = [referrer];
+    const seen = new Set([referee._id.toString(), referrer._id.toString()]);
+    while (chain.length < MAX_TIERS && chain[chain.length - 1].referredBy) {
+      const next = await User.findById(chain[chain.length - 1].referredBy).session(session).select('referredBy');
+      if (!next || seen.has(next._id.toString())) break;
+      seen.add(next._id.toString());
+      chain.push(next);
+    }
+
+    await Referral.insertMany(chain.map((user, index) => ({
+      referrer: user._id,
+      referredUser: referee._id,
+      tier: index + 1,
+      bonus: index === 0 ? REFERRAL_SIGNUP_BONUS : 0,
+      bonusStatus: 'pending',
+      ...(index === 0 && click && { click: click._id }),
+    })), { session });
+    return referrer;
+  });
+
+  if (referrer && click) await referralTracking.claimClick(click, referee._id);
+  return referrer;
+}
+
+// Credit a referral's whole bonus to the referrer and start its clawback window
+async function credit(referral, { from, now = new Date(), session }) {
+  const clawbackUntil = new Date(now.getTime() + CLAWBACK_DAYS * 24 * 60 * 60 * 1000);
+  const claimed = await Referral.findOneAndUpdate(
+    { _id: referral._id, bonusStatus: from },
+    { $set: { bonusStatus: 'credited', creditedAt: now, clawbackUntil } },
+    { new: true, session }
+  );
+  if (!claimed || !(claimed.bonus > 0)) return claimed;
+
+  await ledger.post({
+    user: claimed.referrer,
+    type: 'referral_bonus',
+    changes: { referralBonus: claimed.bonus },
+    reference: { kind: 'User', id: claimed.referredUser },
+    description: from === 'held' ? 'Referral bonus released after review' : 'Referral bonus: referee activated',
+    session,
+  });
+  return claimed;
+}
+
+/**
+ * Make the referee's pending bonuses payable, adding each tier's commission on their registration
+ * fee, and credit them unless they are held for review. The direct referrer's bonus gets the best
+ * multiplier among the campaigns they take part in that are running. Called from the payment
+ * webhook when the account is first activated, inside its transaction.
+ */
+async function activate({ refereeId, amount, session }) {
+  const pending = await Referral.find({ referredUser: refereeId, bonusStatus: 'pending' })
+    .session(session)
+    .sort({ tier: 1 });
+
+  const results = [];
+  for (const referral of pending) {
+    const commission = round((amount || 0) * (ACTIVATION_COMMISSIONS[referral.tier - 1] || 0) / 100);
+    const referrer = await User.findById(referral.referrer).session(session).select('level referralsOnHold');
+    const onHold = referral.suspicious || Boolean(referrer?.referralsOnHold);
+
+    const campaigns = referral.tier === 1 && referrer
+      ? await referralCampaigns.activeFor(referrer.level, { session })
+      : [];
+    const multiplier = Math.max(1, ...campaigns.map(c => c.multiplier || 1));
+    const bonus = round((referral.bonus + commission) * multiplier);
+
+    const claimed = await Referral.findOneAndUpdate(
+      { _id: referral._id, bonusStatus: 'pending' },
+      {
+        $set: {
+          bonusStatus: onHold ? 'held' : 'pending',
+          verified: true,
+          activatedAt: new Date(),
+          campaigns: campaigns.map(c => c._id),
+        },
+        $inc: { bonus: round(bonus - referral.bonus) },
+      },
+      { new: true, session }
+    );
+    if (!claimed) continue;
+    if (!onHold) await credit(claimed, { from: 'pending', session });
+    results.push({ referrer: referral.referrer, tier: referral.tier, amount: claimed.bonus, held: onHold });
+  }
+  return results;
+}
+
+/**
+ * Pay each tier's commission on a task reward credited to the referee. Runs in the caller's transaction.
+ * Nothing is paid along referrals that are suspicious or held, or to referrers on hold.
+ */
+async function payTaskCommissions({ refereeId, amount, reference, description, session }) {
+  if (!amount || !TASK_COMMISSIONS.some(Boolean)) return [];
+
+  const referrals = await Referral.find({
+    referredUser: refereeId,
+    tier: { $lte: TASK_COMMISSIONS.length },
+    bonusStatus: { $nin: ['void', 'held'] },
+    suspicious: { $ne: true },
+  }).session(session).sort({ tier: 1 });
+  if (!referrals.length) return [];
+
+  const onHold = await User.find({ _id: { $in: referrals.map(r => r.referrer) }, referralsOnHold: true })
+    .session(session)
+    .select('_id');
+  const held = new Set(onHold.map(u => u._id.toString()));
+
+  const paid = [];
+  for (const referral of referrals.filter(r => !held.has(r.referrer.toString()))) {
+    const commission = round(amount * (TASK_COMMISSIONS[referral.tier - 1] || 0) / 100);
+    if (commission <= 0) continue;
+
+    await ledger.post({
+      user: referral.referrer,
+      type: 'referral_commission',
+      changes: { referralBonus: commission },
+      reference,
+      description: `Tier ${referral.tier} referral commission: ${description}`,
+      session,
+    });
+    await Referral.updateOne({ _id: referral._id }, { $inc: { earnings: commission } }, { session });
+    paid.push({ referrer: referral.referrer, tier: referral.tier, amount: commission });
+  }
+  return paid;
+}
+
+// Void a referral's bonus, taking it back out of referralBonus if it was already credited
+async function voidReferral(referral, reason, { now = new Date(), session }) {
+  const claimed = await Referral.findOneAndUpdate(
+    { _id: referral._id, bonusStatus: referral.bonusStatus },
+    { $set: { bonusStatus: 'void', voidedAt: now, voidReason: reason } },
+    { new: true, session }
+  );
+  if (!claimed) return null;
+
+  // Credited bonuses still inside the window or under review cannot be transferred out, so
+  // referralBonus normally covers them; a bonus that had already been released is taken back
+  // only as far as the referrer's remaining referral earnings allow
+  if (referral.bonusStatus === 'credited' && referral.bonus > 0) {
+    const referrer = await User.findById(referral.referrer).session(session).select('referralBonus');
+    const recoverable = round(Math.min(referral.bonus, referrer?.referralBonus || 0));
+    if (!(recoverable > 0)) return claimed;
+    await ledger.post({
+      user: referral.referrer,
+      type: 'referral_clawback',
+      changes: { referralBonus: -recoverable },
+      reference: { kind: 'User', id: referral.referredUser },
+      description: `Referral bonus reversed: ${reason}`,
+      session,
+    });
+  }
+  return claimed;
+}
+
+/**
+ * Void the referee's pending and held bonuses and reverse credited ones still inside the
+ * clawback window. Used when an admin suspends or deletes the referee. Returns the voided referrals.
+ */
+async function voidForReferee(refereeId, reason) {
+  return withTransaction(async session => {
+    const now = new Date();
+    const open = await Referral.find({
+      referredUser: refereeId,
+      $or: [{ bonusStatus: { $in: ['pending', 'held'] } }, { bonusStatus: 'credited', clawbackUntil: { $gt: now } }],
+    }).session(session);
+
+    const voided = [];
+    for (const referral of open) {
+      const claimed = await voidReferral(referral, `referee ${reason}`, { now, session });
+      if (claimed) voided.push(claimed);
+    }
+    return voided;
+  });
+}
+
+/**
+ * A referrer's referral earnings: what is pending, what is held for review, what is still
+ * inside a clawback window and how much may be moved to the available balance now.
+ */
+async function summary(userId, { session, now = new Date() } = {}) {
+  const user = await User.findById(userId).session(session || null).select('status referralBonus');
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+
+  // Sequential: operations sharing a transaction's session must not run in parallel
+  const totals = await Referral.aggregate([
+    { $match: { referrer: user._id, bonusStatus: { $in: ['pending', 'held', 'credited'] } } },
+    {
+      $group: {
+        _id: null,
+        pending: { $sum: { $cond: [{ $eq: ['$bonusStatus', 'pending'] }, '$bonus', 0] } },
+        held: { $sum: { $cond: [{ $eq: ['$bonusStatus', 'held'] }, '$bonus', 0] } },
+        locked: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$bonusStatus', 'credited'] },
+                  { $or: [{ $gt: ['$clawbackUntil', now] }, { $eq: ['$suspicious', true] }] },
+                ],
+              },
+              '$bonus',
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]).session(session || null);
+  const activeReferrals = await Referral.countDocuments({ referrer: user._id, tier: 1, bonusStatus: 'credited' })
+    .session(session || null);
+
+  const { pending = 0, held = 0, locked = 0 } = totals[0] || {};
+  const referralBonus = user.referralBonus || 0;
+  return {
+    user,
+    referralBonus,
+    pending: round(pending),
+    held: round(held),
+    locked: round(Math.min(locked, referralBonus)),
+    transferable: round(Math.max(0, referralBonus - locked)),
+    activeReferrals,
+    rules: {
+      minAmount: TRANSFER_MIN_AMOUNT,
+      minActiveReferrals: TRANSFER_MIN_ACTIVE_REFERRALS,
+      clawbackDays: CLAWBACK_DAYS,
+    },
+  };
+}
+
+/**
+ * Move referral earnings into the withdrawable balance, subject to the configured rules.
+ */
+async function transfer(userId, amount) {
+  const value = round(Number(amount));
+  if (!(value > 0)) throw new ServiceError('Amount must be a positive number', 400, 'INVALID_AMOUNT');
+
+  return withTransaction(async session => {
+    const { user, transferable, activeReferrals } = await summary(userId, { session });
+    if (user.status !== 'active') {
+      throw new ServiceError('Only active accounts can transfer referral earnings', 403, 'ACCOUNT_INACTIVE');
+    }
+    if (value < TRANSFER_MIN_AMOUNT) {
+      throw new ServiceError(`Minimum transfer is ₦${TRANSFER_MIN_AMOUNT.toLocaleString()}`, 400, 'BELOW_MINIMUM');
+    }
+    if (activeReferrals < TRANSFER_MIN_ACTIVE_REFERRALS) {
+      throw new ServiceError(
+        `You need ${TRANSFER_MIN_ACTIVE_REFERRALS} activated referrals before transferring referral earnings`,
+        403,
+        'NOT_ENOUGH_REFERRALS'
+      );
+    }
+    if (value > transferable) {
+      throw new ServiceError('Amount exceeds your transferable referral earnings', 400, 'INSUFFICIENT_FUNDS', { transferable });
+    }
+
+    return ledger.post({
+      user: user._id,
+      type: 'referral_transfer',
+      changes: { referralBonus: -value, available: value },
+      reference: { kind: 'User', id: user._id },
+      description: 'Referral earnings transferred to balance',
+      session,
+    });
+  });
+}
+
+module.exports = {
+  findReferrer,
+  record,
+  activate,
+  credit,
+  payTaskCommissions,
+  voidReferral,
+  voidForReferee,
+  summary,
+  transfer,
+};
@@ -0,0 +1,253 @@
+// services/statements.js
+// Monthly account statements built from the ledger. Balances cover all of a user's
+// accounts (available + pending + referral bonus), so holds and releases net out and
+// opening balance + the period's movements always equals the closing balance.
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Statement = require('../models/Statement');
+const sendEmail = require('../utils/sendEmail');
+const ServiceError = require('../utils/ServiceError');
+const { TIMEZONE } = require('../config/platform');
+const { localMonth, startOfMonth } = require('../utils/time');
+
+const MAX_SEND_ATTEMPTS = 3;
+
+// Statement line each ledger entry type is summarized under
+const CATEGORIES = {
+  task_reward: 'taskEarnings',
+  reward_reversal: 'taskEarnings',
+  streak_bonus: 'taskEarnings',
+  referral_bonus: 'referralBonuses',
+  referral_commission: 'referralBonuses',
+  referral_clawback: 'referralBonuses',
+  referral_prize: 'referralBonuses',
+  deposit: 'deposits',
+  account_fee: 'deposits', // fee deposits net to zero
+  payout: 'withdrawals',
+  adjustment: 'adjustments',
+};
+
+const round = value => Math.round(value * 100) / 100;
+const totalOf = balances => round((balances?.available || 0) + (balances?.pending || 0) + (balances?.referralBonus || 0));
+const userChange = entry => round(entry.postings
+  .filter(p => p.account.startsWith('user:'))
+  .reduce((sum, p) => sum + p.amount, 0));
+
+/**
+ * Start and end instants of a YYYY-MM period in the platform timezone.
+ */
+function periodRange(period) {
+  const match = /^(\d{4})-(\d{2})$/.exec(period || '');
+  const month = match && Number(match[2]);
+  if (!match || month < 1 || month > 12) throw new ServiceError('Period must be YYYY-MM', 400, 'INVALID_PERIOD');
+
+  const year = Number(match[1]);
+  return {
+    start: startOfMonth(new Date(Date.UTC(year, month - 1, 1, 12))),
+    end: startOfMonth(new Date(Date.UTC(year, month, 1, 12))),
+  };
+}
+
+/**
+ * The month before the one containing `date`, as YYYY-MM.
+ */
+function previousPeriod(date = new Date()) {
+  return localMonth(new Date(startOfMonth(date).getTime() - 12 * 60 * 60 * 1000));
+}
+
+/**
+ * Build a user's statement for one month.
+ */
+async function build(userId, period) {
+  const { start, end } = periodRange(period);
+  if (start > new Date()) throw new ServiceError('Statement period has not started yet', 400, 'INVALID_PERIOD');
+
+  const user = await User.findById(userId).select('fullName username email');
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+
+  const [before, entries] = await Promise.all([
+    Transaction.findOne({ user: userId, date: { $lt: start } }).sort({ date: -1, _id: -1 }).lean(),
+    Transaction.find({ user: userId, date: { $gte: start, $lt: end } }).sort({ date: 1, _id: 1 }).lean(),
+  ]);
+
+  const summary = { taskEarnings: 0, referralBonuses: 0, deposits: 0, withdrawals: 0, adjustments: 0 };
+  const lines = entries.map(entry => {
+    const change = userChange(entry);
+    const category = CATEGORIES[entry.type];
+    if (category) summary[category] = round(summary[category] + change);
+    return { date: entry.date, type: entry.type, description: entry.description, change, balance: totalOf(entry.balanceAfter) };
+  });
+
+  const last = entries[entries.length - 1];
+  return {
+    period,
+    start,
+    end,
+    user: { fullName: user.fullName, username: user.username, email: user.email },
+    openingBalance: totalOf(before?.balanceAfter),
+    ...summary,
+    closingBalance: totalOf((last || before)?.balanceAfter),
+    closingAccounts: {
+      available: (last || before)?.balanceAfter.available || 0,
+      pending: (last || before)?.balanceAfter.pending || 0,
+      referralBonus: (last || before)?.balanceAfter.referralBonus || 0,
+    },
+    lines,
+    generatedAt: new Date(),
+  };
+}
+
+const money = (value, symbol = '₦') => `${value < 0 ? '-' : ''}${symbol}${Math.abs(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const day = date => new Date(date).toLocaleDateString('en-GB', { timeZone: TIMEZONE, day: '2-digit', month: 'short', year: 'numeric' });
+const monthName = statement => new Date(statement.start.getTime() + 12 * 60 * 60 * 1000)
+  .toLocaleDateString('en-GB', { timeZone: TIMEZONE, month: 'long', year: 'numeric' });
+const escapeHtml = text => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const summaryRows = statement => [
+  ['Opening balance', statement.openingBalance],
+  ['Task earnings', statement.taskEarnings],
+  ['Referral bonuses', statement.referralBonuses],
+  ['Deposits', statement.deposits],
+  ['Withdrawals', statement.withdrawals],
+  ...(statement.adjustments ? [['Adjustments', statement.adjustments]] : []),
+  ['Closing balance', statement.closingBalance],
+];
+
+function renderHtml(statement) {
+  const summary = summaryRows(statement)
+    .map(([label, value]) => `<tr><td>${label}</td><td style="text-align:right">${money(value)}</td></tr>`)
+    .join('');
+  const lines = statement.lines.length
+    ? statement.lines.map(l => `<tr><td>${day(l.date)}</td><td>${escapeHtml(l.description || l.type)}</td>`
+      + `<td style="text-align:right">${money(l.change)}</td><td style="text-align:right">${money(l.balance)}</td></tr>`).join('')
+    : '<tr><td colspan="4">No activity this month</td></tr>';
+
+  return `<div style="font-family:Arial,sans-serif;max-width:640px">
+  <h2>DailyTask Academy statement: ${monthName(statement)}</h2>
+  <p>${escapeHtml(statement.user.fullName)} (@${escapeHtml(statement.user.username)})</p>
+  <table style="width:100%;border-collapse:collapse">${summary}</table>
+  <p>Available ${money(statement.closingAccounts.available)} · Pending ${money(statement.closingAccounts.pending)} · Referral bonus ${money(statement.closingAccounts.referralBonus)}</p>
+  <h3>Activity</h3>
+  <table style="width:100%;border-collapse:collapse">
+    <tr><th align="left">Date</th><th align="left">Description</th><th align="right">Amount</th><th align="right">Balance</th></tr>
+    ${lines}
+  </table>
+  <p style="color:#888;font-size:12px">Generated ${day(statement.generatedAt)}. Times are in ${TIMEZONE}.</p>
+</div>`;
+}
+
+// The PDF's built-in fonts have no naira sign, so amounts are shown in NGN
+function renderPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const ngn = value => money(value, 'NGN ');
+    const row = (cells, y, { bold } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      doc.text(cells[0], 50, y, { width: 80 });
+      doc.text(cells[1], 135, y, { width: 220, ellipsis: true, lineBreak: false });
+      doc.text(cells[2], 360, y, { width: 85, align: 'right' });
+      doc.text(cells[3], 450, y, { width: 95, align: 'right' });
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`DailyTask Academy statement: ${monthName(statement)}`);
+    doc.font('Helvetica').fontSize(10).moveDown(0.5)
+      .text(`${statement.user.fullName} (@${statement.user.username})`)
+      .text(statement.user.email)
+      .moveDown();
+
+    summaryRows(statement).forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font(label.endsWith('balance') ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).text(label, 50, y);
+      doc.text(ngn(value), 350, y, { width: 195, align: 'right' });
+    });
+    doc.font('Helvetica').fontSize(9).moveDown(0.5).text(
+      `Available ${ngn(statement.closingAccounts.available)}   Pending ${ngn(statement.closingAccounts.pending)}   `
+      + `Referral bonus ${ngn(statement.closingAccounts.referralBonus)}`,
+      50
+    );
+
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).text('Activity', 50);
+    let y = doc.y + 6;
+    row(['Date', 'Description', 'Amount', 'Balance'], y, { bold: true });
+    statement.lines.forEach(l => {
+      y += 16;
+      if (y > doc.page.height - 70) {
+        doc.addPage();
+        y = 50;
+      }
+      row([day(l.date), l.description || l.type, ngn(l.change), ngn(l.balance)], y);
+    });
+    if (!statement.lines.length) doc.font('Helvetica').fontSize(9).text('No activity this month', 50, y + 16);
+
+    doc.fontSize(8).fillColor('#888888')
+      .text(`Generated ${day(statement.generatedAt)}. Times are in ${TIMEZONE}.`, 50, doc.page.height - 65, { lineBreak: false });
+    doc.end();
+  });
+}
+
+// Claim the month's email for a user; null if it was already sent or gave up after retries
+async function claim(userId, period) {
+  try {
+    return await Statement.create({ user: userId, period });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return Statement.findOneAndUpdate(
+      { user: userId, period, status: 'failed', attempts: { $lt: MAX_SEND_ATTEMPTS } },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+}
+
+/**
+ * Email one user's statement for `period`, with the PDF attached. Returns false if skipped.
+ */
+async function emailStatement(userId, period) {
+  const record = await claim(userId, period);
+  if (!record) return false;
+
+  try {
+    const statement = await build(userId, period);
+    const pdf = await renderPdf(statement);
+    await sendEmail(
+      statement.user.email,
+      `Your ${monthName(statement)} statement`,
+      renderHtml(statement),
+      [{ filename: `statement-${period}.pdf`, content: pdf, contentType: 'application/pdf' }]
+    );
+    await Statement.updateOne({ _id: record._id }, { $set: { status: 'sent', sentAt: new Date() }, $unset: { lastError: 1 } });
+    return true;
+  } catch (err) {
+    await Statement.updateOne({ _id: record._id }, { $set: { status: 'failed', lastError: err.message } });
+    throw err;
+  }
+}
+
+/**
+ * Email `period` statements to every active user. Used by jobs/monthlyStatements.js.
+ * Safe to re-run: users already sent to are skipped.
+ */
+async function emailAll(period) {
+  const { end } = periodRange(period);
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  const cursor = User.find({ status: 'active', isAdmin: { $ne: true }, createdAt: { $lt: end } }).select('_id').cursor();
+
+  for await (const { _id } of cursor) {
+    try {
+      if (await emailStatement(_id, period)) result.sent++;
+      else result.skipped++;
+    } catch (err) {
+      result.failed++;
+      console.error(`Statement email error for ${_id}:`, err.message);
+    }
+  }
+  return result;
+}
+
+module.exports = { periodRange, previousPeriod, build, renderHtml, renderPdf, emailStatement, emailAll };
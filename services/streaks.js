@@ -0,0 +1,102 @@
+// services/streaks.js
+// A day counts towards a user's streak once they complete their full daily quota on it.
+// Only credited completions count: a proof counts from when it is approved.
+// Missed days are covered by streak freezes while any are left; otherwise the streak
+// starts again at 1. Milestones (config/tasks.js STREAK_BONUSES) pay a one-off bonus.
+const User = require('../models/User');
+const TaskCompletion = require('../models/TaskCompletion');
+const ledger = require('./ledger');
+const { STREAK_BONUSES, STREAK_MAX_FREEZES, STREAK_FREEZE_EVERY } = require('../config/tasks');
+const { localDate, daysBetween } = require('../utils/time');
+
+const freezesOf = streak => streak?.freezes ?? STREAK_MAX_FREEZES;
+
+/**
+ * The streak as the user should see it on `now`: a streak whose missed days can no longer
+ * be covered by freezes shows as 0, although it is only reset when the next day counts.
+ */
+function view(user, now = new Date()) {
+  const streak = user.streak || {};
+  const freezes = freezesOf(streak);
+  const gap = streak.lastDay ? daysBetween(streak.lastDay, localDate(now)) : null;
+  const alive = gap !== null && gap - 1 <= freezes;
+  const current = alive ? streak.current || 0 : 0;
+  const next = STREAK_BONUSES.find(m => m.days > current);
+
+  return {
+    current,
+    longest: streak.longest || 0,
+    lastDay: streak.lastDay || null,
+    countedToday: gap === 0,
+    freezes,
+    maxFreezes: STREAK_MAX_FREEZES,
+    nextMilestone: next ? { days: next.days, bonus: next.amount, daysLeft: next.days - current } : null,
+  };
+}
+
+/**
+ * Count `day` for a user who has just completed their quota on it and pay any milestone bonus.
+ * Runs inside the task completion transaction. Returns null if the day had already counted.
+ */
+async function record({ user, day, now = new Date(), session }) {
+  const streak = user.streak || {};
+  if (streak.lastDay === day) return null;
+
+  let freezes = freezesOf(streak);
+  let freezesUsed = 0;
+  let current = 1;
+  const gap = streak.lastDay ? daysBetween(streak.lastDay, day) : null;
+  if (gap === 1) {
+    current = (streak.current || 0) + 1;
+  } else if (gap > 1 && gap - 1 <= freezes && streak.current) {
+    freezesUsed = gap - 1;
+    freezes -= freezesUsed;
+    current = streak.current + 1;
+  }
+  if (current % STREAK_FREEZE_EVERY === 0) freezes = Math.min(STREAK_MAX_FREEZES, freezes + 1);
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'streak.lastDay': streak.lastDay ?? null },
+    {
+      $set: {
+        'streak.current': current,
+        'streak.longest': Math.max(streak.longest || 0, current),
+        'streak.lastDay': day,
+        'streak.freezes': freezes,
+      },
+      $inc: { 'streak.freezesUsed': freezesUsed },
+    },
+    { new: true, session }
+  );
+  if (!updated) return null;
+
+  const milestone = STREAK_BONUSES.find(m => m.days === current);
+  let bonus = null;
+  let balance;
+  if (milestone) {
+    ({ balance } = await ledger.post({
+      user: user._id,
+      type: 'streak_bonus',
+      changes: { available: milestone.amount },
+      reference: { kind: 'User', id: user._id },
+      description: `${milestone.days}-day streak bonus`,
+      session,
+    }));
+    bonus = { days: milestone.days, amount: milestone.amount };
+  }
+
+  return { streak: view(updated, now), bonus, freezesUsed, balance };
+}
+
+/**
+ * Count `day` once the user has `limit` credited completions on it. Days before the one the
+ * streak last counted are left alone. Returns what record() does, or null if nothing counted.
+ */
+async function recordIfComplete({ user, day, limit, now = new Date(), session }) {
+  if (user.streak?.lastDay && user.streak.lastDay >= day) return null;
+  const credited = await TaskCompletion.countDocuments({ user: user._id, day, status: 'credited' }).session(session);
+  if (credited < limit) return null;
+  return record({ user, day, now, session });
+}
+
+module.exports = { view, record, recordIfComplete };
@@ -0,0 +1,205 @@
+// services/taskAnalytics.js
+// Per-task performance for admins. Ranges are inclusive platform-local days (YYYY-MM-DD),
+// matching TaskCompletion.day, so a report lines up with the daily quotas users see.
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskCompletion = require('../models/TaskCompletion');
+const ServiceError = require('../utils/ServiceError');
+const { toCsv } = require('../utils/csv');
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Validate a { from, to } query; either end may be left open.
+ */
+function parseRange({ from, to } = {}) {
+  if ((from && !DAY.test(from)) || (to && !DAY.test(to))) {
+    throw new ServiceError('from and to must be dates in YYYY-MM-DD format', 400, 'INVALID_RANGE');
+  }
+  if (from && to && from > to) throw new ServiceError('from must not be after to', 400, 'INVALID_RANGE');
+  return { from: from || null, to: to || null };
+}
+
+const dayFilter = ({ from, to }) => (from || to
+  ? { day: { ...(from && { $gte: from }), ...(to && { $lte: to }) } }
+  : {});
+
+const median = values => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Active users per level, for completion rates
+async function activeUsersByLevel() {
+  const counts = await User.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$level', users: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(c => [c._id, c.users]));
+}
+
+// Completions of the matching tasks with the level they were made at (older rows predate
+// TaskCompletion.level and fall back to the user's current level)
+function completionsWithLevel(match) {
+  return TaskCompletion.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'users',
+        let: { userId: '$user' },
+        pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$userId'] } } }, { $project: { level: 1 } }],
+        as: 'owner',
+      },
+    },
+    {
+      $project: {
+        task: 1,
+        user: 1,
+        reward: 1,
+        status: 1,
+        day: 1,
+        ip: 1,
+        completedAt: 1,
+        level: { $ifNull: ['$level', { $arrayElemAt: ['$owner.level', 0] }] },
+      },
+    },
+  ]);
+}
+
+// IPs that more than one user completed the task from
+function sharedIps(completions) {
+  const byIp = new Map();
+  completions.filter(c => c.ip).forEach(c => {
+    const entry = byIp.get(c.ip) || { ip: c.ip, users: new Set(), completions: 0 };
+    entry.users.add(c.user.toString());
+    entry.completions += 1;
+    byIp.set(c.ip, entry);
+  });
+  return [...byIp.values()]
+    .filter(e => e.users.size > 1)
+    .map(e => ({ ip: e.ip, users: e.users.size, completions: e.completions }))
+    .sort((a, b) => b.completions - a.completions);
+}
+
+function summarize(task, completions, usersByLevel) {
+  const publishedAt = task.publishAt || task.createdAt;
+  const levels = task.levels?.length ? task.levels : [...usersByLevel.keys()].sort((a, b) => a - b);
+
+  const byLevel = levels.map(level => {
+    const count = completions.filter(c => c.level === level).length;
+    const eligibleUsers = usersByLevel.get(level) || 0;
+    return { level, completions: count, eligibleUsers, completionRate: eligibleUsers ? round(count / eligibleUsers) : null };
+  });
+  const eligibleUsers = byLevel.reduce((sum, l) => sum + l.eligibleUsers, 0);
+  const inLevels = byLevel.reduce((sum, l) => sum + l.completions, 0);
+
+  const secondsToComplete = completions
+    .map(c => (new Date(c.completedAt) - new Date(publishedAt)) / 1000)
+    .filter(seconds => seconds >= 0);
+
+  const shared = sharedIps(completions);
+
+  return {
+    taskId: task._id,
+    title: task.title,
+    type: task.type || 'link',
+    status: task.status,
+    publishedAt,
+    completions: completions.length,
+    eligibleUsers,
+    completionRate: eligibleUsers ? round(inLevels / eligibleUsers) : null,
+    byLevel,
+    medianSecondsToComplete: median(secondsToComplete),
+    rewardPaid: round(completions.filter(c => c.status === 'credited').reduce((sum, c) => sum + c.reward, 0)),
+    rewardPending: round(completions.filter(c => c.status === 'pending_review').reduce((sum, c) => sum + c.reward, 0)),
+    sharedIpCompletions: shared.reduce((sum, e) => sum + e.completions, 0),
+    sharedIps: shared,
+  };
+}
+
+/**
+ * Full analytics for one task: the summary plus completions per day.
+ */
+async function forTask(taskId, range = {}) {
+  const { from, to } = parseRange(range);
+  const task = await Task.findById(taskId).select('title type status levels publishAt createdAt').lean();
+  if (!task) throw new ServiceError('Task not found', 404, 'TASK_NOT_FOUND');
+
+  const [completions, usersByLevel] = await Promise.all([
+    completionsWithLevel({ task: task._id, ...dayFilter({ from, to }) }),
+    activeUsersByLevel(),
+  ]);
+
+  const days = new Map();
+  completions.forEach(c => {
+    const entry = days.get(c.day) || { day: c.day, completions: 0, reward: 0 };
+    entry.completions += 1;
+    entry.reward = round(entry.reward + c.reward);
+    days.set(c.day, entry);
+  });
+
+  return {
+    from,
+    to,
+    ...summarize(task, completions, usersByLevel),
+    daily: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)),
+  };
+}
+
+/**
+ * Summary analytics for every task with completions in the range (or every task without one).
+ */
+async function overview(range = {}) {
+  const { from, to } = parseRange(range);
+  const [completions, usersByLevel] = await Promise.all([
+    completionsWithLevel(dayFilter({ from, to })),
+    activeUsersByLevel(),
+  ]);
+
+  const byTask = new Map();
+  completions.forEach(c => {
+    const key = c.task.toString();
+    if (!byTask.has(key)) byTask.set(key, []);
+    byTask.get(key).push(c);
+  });
+
+  const taskFilter = from || to ? { _id: { $in: [...byTask.keys()] } } : {};
+  const tasks = await Task.find(taskFilter)
+    .select('title type status levels publishAt createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    from,
+    to,
+    tasks: tasks.map(task => summarize(task, byTask.get(task._id.toString()) || [], usersByLevel)),
+  };
+}
+
+const OVERVIEW_COLUMNS = [
+  { key: 'taskId', header: 'task_id' },
+  { key: 'title', header: 'title' },
+  { key: 'type', header: 'type' },
+  { key: 'status', header: 'status' },
+  { key: 'publishedAt', header: 'published_at' },
+  { key: 'completions', header: 'completions' },
+  { key: 'eligibleUsers', header: 'eligible_users' },
+  { key: 'completionRate', header: 'completion_rate' },
+  { key: 'medianSecondsToComplete', header: 'median_seconds_to_complete' },
+  { key: 'rewardPaid', header: 'reward_paid' },
+  { key: 'rewardPending', header: 'reward_pending' },
+  { key: 'sharedIpCompletions', header: 'shared_ip_completions' },
+];
+
+const overviewCsv = report => toCsv(report.tasks, OVERVIEW_COLUMNS);
+
+const taskCsv = report => toCsv(report.daily, [
+  { key: 'day', header: 'day' },
+  { key: 'completions', header: 'completions' },
+  { key: 'reward', header: 'reward' },
+]);
+
+module.exports = { parseRange, forTask, overview, overviewCsv, taskCsv };
@@ -0,0 +1,79 @@
+// services/taskImport.js
+// Bulk task creation from a CSV upload, a JSON list or a template. Every row is validated
+// first; if any row fails nothing is saved and the errors come back keyed by row number.
+const Task = require('../models/Task');
+const tasks = require('./tasks');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+
+const MAX_ROWS = Number(process.env.TASK_IMPORT_MAX_ROWS) || 500;
+
+// CSV header -> task field. Levels are separated with ";" (e.g. "1;2;3").
+const CSV_FIELDS = {
+  title: 'title',
+  link: 'link',
+  type: 'type',
+  reward: 'reward',
+  levels: 'levels',
+  publish_at: 'publishAt',
+  expire_at: 'expireAt',
+  max_completions: 'maxCompletions',
+  priority: 'priority',
+  status: 'status',
+};
+
+/**
+ * Turn parsed CSV records (see utils/csv.js) into task input. Blank cells are left out.
+ */
+function fromCsv(records) {
+  return records.map(record => {
+    const body = {};
+    Object.entries(CSV_FIELDS).forEach(([header, field]) => {
+      const value = record[header]?.trim();
+      if (value) body[field] = value;
+    });
+    if (body.levels) body.levels = body.levels.split(';').map(l => l.trim()).filter(Boolean);
+    const proofKind = record.proof_kind?.trim();
+    if (proofKind) body.proof = { kind: proofKind, instructions: record.proof_instructions };
+    return body;
+  });
+}
+
+/**
+ * Validate and create tasks, all or nothing. Rows are numbered from 1.
+ * With `dryRun` the rows are only validated. Throws 422 IMPORT_INVALID with per-row errors.
+ */
+async function importTasks(rows, { dryRun = false } = {}) {
+  if (!Array.isArray(rows) || !rows.length) throw new ServiceError('No tasks supplied', 400, 'IMPORT_EMPTY');
+  if (rows.length > MAX_ROWS) {
+    throw new ServiceError(`An import may contain at most ${MAX_ROWS} tasks`, 400, 'IMPORT_TOO_LARGE');
+  }
+
+  const built = [];
+  const errors = [];
+  const links = new Map();
+  for (const [index, body] of rows.entries()) {
+    const row = index + 1;
+    try {
+      const task = await tasks.buildTask(body || {});
+      if (task.link && links.has(task.link)) {
+        throw new ServiceError(`Same link as row ${links.get(task.link)}`, 400, 'DUPLICATE_LINK');
+      }
+      if (task.link) links.set(task.link, row);
+      built.push(task);
+    } catch (err) {
+      if (!(err instanceof ServiceError)) throw err;
+      errors.push({ row, message: err.message, code: err.code });
+    }
+  }
+
+  if (errors.length) {
+    throw new ServiceError(`${errors.length} of ${rows.length} rows are invalid; nothing was imported`, 422, 'IMPORT_INVALID', errors);
+  }
+  if (dryRun) return built;
+
+  await withTransaction(session => Task.insertMany(built, { session }));
+  return built;
+}
+
+module.exports = { MAX_ROWS, fromCsv, importTasks };
@@ -0,0 +1,212 @@
+// services/taskReviews.js
+// Proof tasks: the user's submission claims the task and puts its reward in
+// balance.pending; an admin then approves (pending -> available, and the day may now
+// count towards the streak) or rejects it (reward reversed, the task and the day's
+// quota reopened so the user can submit again).
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskCompletion = require('../models/TaskCompletion');
+const TaskSubmission = require('../models/TaskSubmission');
+const ProofFile = require('../models/ProofFile');
+const ledger = require('./ledger');
+const referrals = require('./referrals');
+const streaks = require('./streaks');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+const { dailyTaskQuota } = require('../config/tasks');
+
+const PROOF_KINDS = ['text', 'url', 'screenshot'];
+const SCREENSHOT_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_TEXT_LENGTH = 2000;
+
+// Check the proof matches what the task asks for and return the fields to store
+function readProof(kind, { text, url, file } = {}) {
+  if (kind === 'text') {
+    const answer = String(text || '').trim();
+    if (!answer) throw new ServiceError('A text answer is required for this task', 400, 'PROOF_REQUIRED');
+    if (answer.length > MAX_TEXT_LENGTH) {
+      throw new ServiceError(`Answer must be at most ${MAX_TEXT_LENGTH} characters`, 400, 'INVALID_PROOF');
+    }
+    return { text: answer };
+  }
+
+  if (kind === 'url') {
+    if (!url) throw new ServiceError('A link is required for this task', 400, 'PROOF_REQUIRED');
+    let parsed;
+    try {
+      parsed = new URL(String(url).trim());
+    } catch (err) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ServiceError('Proof link must be a valid http(s) URL', 400, 'INVALID_PROOF');
+    }
+    return { url: parsed.toString() };
+  }
+
+  if (!file) throw new ServiceError('A screenshot is required for this task', 400, 'PROOF_REQUIRED');
+  if (!SCREENSHOT_TYPES.includes(file.mimetype)) {
+    throw new ServiceError('Screenshot must be a PNG, JPEG or WebP image', 400, 'INVALID_PROOF');
+  }
+  return { file };
+}
+
+/**
+ * Record a proof submission inside the task completion's transaction.
+ */
+async function submit({ task, userId, reward, proof, session }) {
+  const fields = readProof(task.proof?.kind, proof);
+
+  let screenshot;
+  if (fields.file) {
+    [screenshot] = await ProofFile.create([{
+      user: userId,
+      filename: fields.file.originalname,
+      contentType: fields.file.mimetype,
+      size: fields.file.size,
+      data: fields.file.buffer,
+    }], { session });
+  }
+
+  const [submission] = await TaskSubmission.create([{
+    task: task._id,
+    user: userId,
+    kind: task.proof.kind,
+    text: fields.text,
+    url: fields.url,
+    screenshot: screenshot?._id,
+    reward,
+  }], { session });
+  return submission;
+}
+
+/**
+ * Submissions for the review queue, oldest first.
+ */
+async function list({ status = 'pending', taskId, limit = 50, after } = {}) {
+  const query = { status };
+  if (taskId) query.task = taskId;
+  if (after) query.createdAt = { $gt: new Date(after) };
+
+  return TaskSubmission.find(query)
+    .sort({ createdAt: 1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .populate('user', 'fullName username')
+    .populate('task', 'title link proof')
+    .lean();
+}
+
+// Move a pending submission to its review outcome; 404/409 if it is missing or already reviewed
+async function claim(submissionId, adminId, status, reason, session) {
+  const submission = await TaskSubmission.findOneAndUpdate(
+    { _id: submissionId, status: 'pending' },
+    { $set: { status, reviewedBy: adminId, reviewedAt: new Date(), reason } },
+    { new: true, session }
+  );
+  if (!submission) {
+    const exists = await TaskSubmission.exists({ _id: submissionId }).session(session);
+    if (!exists) throw new ServiceError('Submission not found', 404, 'NOT_FOUND');
+    throw new ServiceError('Submission was already reviewed', 409, 'ALREADY_REVIEWED');
+  }
+  return submission;
+}
+
+async function approveOne(submissionId, adminId, reason) {
+  return withTransaction(async session => {
+    const submission = await claim(submissionId, adminId, 'approved', reason, session);
+
+    const { balance } = await ledger.post({
+      user: submission.user,
+      type: 'reward_release',
+      changes: { pending: -submission.reward, available: submission.reward },
+      reference: { kind: 'TaskSubmission', id: submission._id },
+      description: 'Task proof approved',
+      session,
+    });
+    const completion = await TaskCompletion.findOneAndUpdate(
+      { task: submission.task, user: submission.user },
+      { $set: { status: 'credited' } },
+      { new: true, session }
+    );
+    await referrals.payTaskCommissions({
+      refereeId: submission.user,
+      amount: submission.reward,
+      reference: { kind: 'TaskSubmission', id: submission._id },
+      description: 'approved task proof',
+      session,
+    });
+
+    // The approval may complete the day's quota the proof was submitted on
+    let streak = null;
+    if (completion) {
+      const user = await User.findById(submission.user).session(session).select('streak level');
+      streak = user && await streaks.recordIfComplete({
+        user,
+        day: completion.day,
+        limit: dailyTaskQuota(completion.level ?? user.level),
+        session,
+      });
+    }
+    return { submission, balance: streak?.balance || balance, streak };
+  });
+}
+
+async function rejectOne(submissionId, adminId, reason) {
+  return withTransaction(async session => {
+    const submission = await claim(submissionId, adminId, 'rejected', reason, session);
+
+    const { balance } = await ledger.post({
+      user: submission.user,
+      type: 'reward_reversal',
+      changes: { pending: -submission.reward },
+      reference: { kind: 'TaskSubmission', id: submission._id },
+      description: 'Task proof rejected',
+      session,
+    });
+    // Reopen the task for this user so they can submit better proof, and give back the
+    // quota it used if it was submitted on the day still being counted
+    const completion = await TaskCompletion.findOneAndDelete({ task: submission.task, user: submission.user }, { session });
+    await Task.updateOne({ _id: submission.task }, { $pull: { completions: submission.user } }, { session });
+    if (completion) {
+      await User.updateOne(
+        { _id: submission.user, lastTaskDate: completion.day, tasksToday: { $gt: 0 } },
+        { $inc: { tasksToday: -1 } },
+        { session }
+      );
+    }
+    await User.updateOne({ _id: submission.user, tasksCompleted: { $gt: 0 } }, { $inc: { tasksCompleted: -1 } }, { session });
+    return { submission, balance };
+  });
+}
+
+/**
+ * Approve or reject many submissions. Each one is applied on its own, so one failure
+ * does not hold up the rest.
+ *
+ * @param {'approve'|'reject'} decision
+ * @returns {Promise<Array<{ id, outcome, error?, submission?, balance?, streak? }>>}
+ */
+async function review({ ids, adminId, decision, reason }) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new ServiceError('Decision must be approve or reject', 400, 'INVALID_DECISION');
+  }
+  if (!Array.isArray(ids) || !ids.length) throw new ServiceError('No submissions selected', 400, 'NO_SUBMISSIONS');
+  if (decision === 'reject' && !reason?.trim()) {
+    throw new ServiceError('A reason is required to reject submissions', 400, 'REASON_REQUIRED');
+  }
+
+  const apply = decision === 'approve' ? approveOne : rejectOne;
+  const results = [];
+  for (const id of [...new Set(ids.map(String))]) {
+    try {
+      const { submission, balance, streak } = await apply(id, adminId, reason?.trim());
+      results.push({ id, outcome: submission.status, submission, balance, streak });
+    } catch (err) {
+      if (!(err instanceof ServiceError) && err.name !== 'CastError') throw err;
+      results.push({ id, outcome: 'skipped', error: err.name === 'CastError' ? 'Invalid id' : err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = { PROOF_KINDS, SCREENSHOT_TYPES, submit, list, review };
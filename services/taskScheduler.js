@@ -0,0 +1,62 @@
+// services/taskScheduler.js
+// Moves tasks through their schedule (scheduled -> active -> expired) and tells the
+// users a newly active task is meant for.
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { rewardFor } = require('./tasks');
+
+/**
+ * Activate scheduled tasks whose publish time has come. Returns the tasks this call published.
+ */
+async function publishDue(now = new Date()) {
+  const due = await Task.find({ status: 'scheduled', publishAt: { $lte: now } }).select('_id');
+
+  const published = [];
+  for (const { _id } of due) {
+    // Conditional so two instances never publish (and announce) the same task
+    const task = await Task.findOneAndUpdate(
+      { _id, status: 'scheduled', $or: [{ expireAt: null }, { expireAt: { $gt: now } }] },
+      { $set: { status: 'active' } },
+      { new: true }
+    ).select('-completions');
+    if (task) published.push(task);
+  }
+  return published;
+}
+
+/**
+ * Expire active or scheduled tasks whose expiry time has passed.
+ */
+async function expireDue(now = new Date()) {
+  const result = await Task.updateMany(
+    { status: { $in: ['scheduled', 'active'] }, expireAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Emit `new-task` to the rooms of users whose level the task targets.
+ */
+async function announce(io, task) {
+  if (!io || task.status !== 'active') return 0;
+
+  const users = await User.find({
+    isAdmin: { $ne: true },
+    ...(task.levels?.length && { level: { $in: task.levels } }),
+  }).select('_id level').lean();
+
+  users.forEach(user => {
+    io.to(user._id.toString()).emit('new-task', {
+      _id: task._id.toString(),
+      title: task.title,
+      link: task.link,
+      reward: rewardFor(task, user.level),
+      expireAt: task.expireAt,
+      status: task.status,
+    });
+  });
+  return users.length;
+}
+
+module.exports = { publishDue, expireDue, announce };
@@ -0,0 +1,108 @@
+// services/taskTemplates.js
+// Task templates hold the settings shared by a batch of tasks (reward, levels, schedule).
+// Instantiating one with a list of links goes through the all-or-nothing bulk import.
+const TaskTemplate = require('../models/TaskTemplate');
+const tasks = require('./tasks');
+const taskImport = require('./taskImport');
+const ServiceError = require('../utils/ServiceError');
+
+// Task settings a template carries over to the tasks created from it
+const TASK_FIELDS = [
+  'title', 'type', 'reward', 'rewardByLevel', 'levels', 'proof', 'questions',
+  'passMark', 'maxAttempts', 'maxCompletions', 'priority',
+];
+
+const invalid = message => new ServiceError(message, 400, 'INVALID_TEMPLATE');
+
+const toDuration = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!(Number.isFinite(number) && number >= 0)) throw invalid(`${field} must be zero or more`);
+  return number;
+};
+
+// Validate template input with the same rules as task input
+function parseTemplateInput(body) {
+  const input = {};
+  try {
+    Object.assign(input, tasks.parseTaskInput(body));
+  } catch (err) {
+    if (err instanceof ServiceError) throw invalid(err.message);
+    throw err;
+  }
+  delete input.link;
+  delete input.publishAt;
+  delete input.expireAt;
+
+  if (body.name !== undefined) {
+    input.name = String(body.name).trim();
+    if (!input.name) throw invalid('Name is required');
+  }
+  if (body.schedule !== undefined) {
+    input.schedule = {
+      publishDelayMinutes: toDuration(body.schedule?.publishDelayMinutes, 'publishDelayMinutes'),
+      activeHours: toDuration(body.schedule?.activeHours, 'activeHours'),
+    };
+  }
+  return input;
+}
+
+async function create(body, adminId) {
+  const input = parseTemplateInput(body);
+  if (!input.name) throw invalid('Name is required');
+  if (await TaskTemplate.exists({ name: input.name })) {
+    throw new ServiceError('A template with this name already exists', 409, 'TEMPLATE_EXISTS');
+  }
+  return TaskTemplate.create({ ...input, createdBy: adminId });
+}
+
+async function update(templateId, body) {
+  const template = await TaskTemplate.findById(templateId);
+  if (!template) throw new ServiceError('Template not found', 404, 'TEMPLATE_NOT_FOUND');
+
+  const input = parseTemplateInput({ type: template.type, ...body });
+  if (input.name && input.name !== template.name && await TaskTemplate.exists({ name: input.name })) {
+    throw new ServiceError('A template with this name already exists', 409, 'TEMPLATE_EXISTS');
+  }
+  template.set(input);
+  return template.save();
+}
+
+/**
+ * Create one task per link from a template. `links` holds URLs or { link, title } objects;
+ * `publishAt` overrides the template's publish delay. See taskImport.importTasks for errors.
+ */
+async function instantiate(templateId, { links, publishAt, dryRun } = {}) {
+  const template = await TaskTemplate.findById(templateId).lean();
+  if (!template) throw new ServiceError('Template not found', 404, 'TEMPLATE_NOT_FOUND');
+  if (!Array.isArray(links) || !links.length) throw new ServiceError('At least one link is required', 400, 'IMPORT_EMPTY');
+
+  const { publishDelayMinutes, activeHours } = template.schedule || {};
+  let publish = publishAt ? new Date(publishAt) : null;
+  if (publish && Number.isNaN(publish.getTime())) throw new ServiceError('publishAt must be a valid date', 400, 'INVALID_TASK');
+  if (!publish && publishDelayMinutes) publish = new Date(Date.now() + publishDelayMinutes * 60 * 1000);
+  const expire = activeHours ? new Date((publish || new Date()).getTime() + activeHours * 60 * 60 * 1000) : undefined;
+
+  const defaults = {};
+  TASK_FIELDS.forEach(field => {
+    const value = template[field];
+    if (value !== undefined && value !== null && !(Array.isArray(value) && !value.length)) defaults[field] = value;
+  });
+  if (defaults.proof && !defaults.proof.kind) delete defaults.proof;
+
+  const rows = links.map(entry => {
+    const { link, title } = typeof entry === 'string' ? { link: entry } : entry || {};
+    return {
+      ...defaults,
+      ...(title && { title }),
+      link,
+      ...(publish && { publishAt: publish }),
+      ...(expire && { expireAt: expire }),
+      template: template._id,
+    };
+  });
+
+  return taskImport.importTasks(rows, { dryRun });
+}
+
+module.exports = { parseTemplateInput, create, update, instantiate };
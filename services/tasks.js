@@ -0,0 +1,432 @@
+// services/tasks.js
+// Task feed and completion. Rewards always come from the Task document, never from the client.
+// Days run on the platform timezone, and each level may complete a set number of tasks per day.
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskCompletion = require('../models/TaskCompletion');
+const ledger = require('./ledger');
+const youtube = require('./youtube');
+const watchSessions = require('./watchSessions');
+const taskReviews = require('./taskReviews');
+const quizzes = require('./quizzes');
+const streaks = require('./streaks');
+const referrals = require('./referrals');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+const { TIMEZONE } = require('../config/platform');
+const { dailyTaskQuota, DEFAULT_TASK_REWARD } = require('../config/tasks');
+const { localDate, startOfNextDay } = require('../utils/time');
+const { watchUrl } = require('../utils/youtubeUrl');
+
+// Completions counted towards `day`; users from before per-day counting had done one
+const completedOn = (user, day) => (user.lastTaskDate === day ? (user.tasksToday ?? 1) : 0);
+
+/**
+ * Today's quota for a user: how many tasks they may still complete and when the day resets.
+ */
+function quotaFor(user, now = new Date()) {
+  const limit = dailyTaskQuota(user.level);
+  const used = completedOn(user, localDate(now));
+  return {
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    nextResetAt: startOfNextDay(now),
+    timezone: TIMEZONE,
+  };
+}
+
+// Mongo filter for tasks a user on `level` may complete at `now`
+const eligibleFilter = (level, now = new Date()) => ({
+  status: 'active',
+  $and: [
+    { $or: [{ levels: { $size: 0 } }, { levels: { $exists: false } }, { levels: level }] },
+    { $or: [{ expireAt: null }, { expireAt: { $gt: now } }] },
+    { $or: [{ maxCompletions: null }, { $expr: { $lt: [{ $size: { $ifNull: ['$completions', []] } }, '$maxCompletions'] } }] },
+  ],
+});
+
+const isFull = task => Boolean(task.maxCompletions) && (task.completions?.length || 0) >= task.maxCompletions;
+
+const isEligible = (task, level, now = new Date()) => task.status === 'active'
+  && (!task.levels?.length || task.levels.includes(level))
+  && (!task.expireAt || task.expireAt > now)
+  && !isFull(task);
+
+// Reward a user on `level` earns for the task
+const rewardFor = (task, level) => task.rewardByLevel?.find(r => r.level === level)?.reward ?? task.reward;
+
+/**
+ * Where a (non-archived) task belongs in its schedule at `now`.
+ */
+function statusFor(task, now = new Date()) {
+  if (task.publishAt && task.publishAt > now) return 'scheduled';
+  if ((task.expireAt && task.expireAt <= now) || isFull(task)) return 'expired';
+  return 'active';
+}
+
+const toDate = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ServiceError(`${field} must be a valid date`, 400, 'INVALID_TASK');
+  return date;
+};
+
+const toAmount = (value, field) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) throw new ServiceError(`${field} must be a positive number`, 400, 'INVALID_TASK');
+  return amount;
+};
+
+const toLevel = value => {
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 1) throw new ServiceError('Levels must be whole numbers from 1', 400, 'INVALID_TASK');
+  return level;
+};
+
+const TASK_TYPES = ['link', 'video', 'proof', 'quiz', 'survey'];
+const ANSWERED_IN_APP = ['quiz', 'survey'];
+
+// Validate the admin-editable task fields present in `body`; `type` is the task's type after the change
+function parseTaskInput(body, type = body.type) {
+  const input = {};
+  if (body.title !== undefined) input.title = String(body.title).trim();
+  if (body.link !== undefined) input.link = String(body.link).trim();
+  if (body.reward !== undefined) input.reward = toAmount(body.reward, 'Reward');
+  if (body.levels !== undefined) {
+    if (!Array.isArray(body.levels)) throw new ServiceError('Levels must be a list', 400, 'INVALID_TASK');
+    input.levels = [...new Set(body.levels.map(toLevel))];
+  }
+  if (body.rewardByLevel !== undefined) {
+    // Either [{ level, reward }] or { "<level>": reward }
+    const entries = Array.isArray(body.rewardByLevel)
+      ? body.rewardByLevel.map(r => [r.level, r.reward])
+      : Object.entries(body.rewardByLevel || {});
+    input.rewardByLevel = entries.map(([level, reward]) => ({ level: toLevel(level), reward: toAmount(reward, 'Level reward') }));
+  }
+  if (body.publishAt !== undefined) input.publishAt = toDate(body.publishAt, 'publishAt');
+  if (body.expireAt !== undefined) input.expireAt = toDate(body.expireAt, 'expireAt');
+  if (body.maxCompletions !== undefined) {
+    input.maxCompletions = body.maxCompletions === null || body.maxCompletions === '' ? null : Number(body.maxCompletions);
+    if (input.maxCompletions !== null && !(Number.isInteger(input.maxCompletions) && input.maxCompletions > 0)) {
+      throw new ServiceError('maxCompletions must be a positive whole number', 400, 'INVALID_TASK');
+    }
+  }
+  if (body.priority !== undefined) {
+    input.priority = Number(body.priority);
+    if (!Number.isFinite(input.priority)) throw new ServiceError('Priority must be a number', 400, 'INVALID_TASK');
+  }
+  // proof, quiz and survey are chosen explicitly; otherwise the link decides between a plain link and a video
+  if (body.type !== undefined) {
+    if (!TASK_TYPES.includes(body.type)) throw new ServiceError('Invalid task type', 400, 'INVALID_TASK');
+    input.type = body.type;
+  }
+  if (body.questions !== undefined) input.questions = quizzes.parseQuestions(type, body.questions);
+  if (body.passMark !== undefined) {
+    input.passMark = Number(body.passMark);
+    if (!(input.passMark >= 0 && input.passMark <= 100)) throw new ServiceError('passMark must be 0-100', 400, 'INVALID_TASK');
+  }
+  if (body.maxAttempts !== undefined) {
+    input.maxAttempts = Number(body.maxAttempts);
+    if (!(Number.isInteger(input.maxAttempts) && input.maxAttempts > 0)) {
+      throw new ServiceError('maxAttempts must be a positive whole number', 400, 'INVALID_TASK');
+    }
+  }
+  if (body.proof !== undefined) {
+    if (!taskReviews.PROOF_KINDS.includes(body.proof?.kind)) {
+      throw new ServiceError('Proof kind must be text, url or screenshot', 400, 'INVALID_TASK');
+    }
+    input.proof = { kind: body.proof.kind, instructions: body.proof.instructions?.trim() || undefined };
+  }
+  return input;
+}
+
+// Check the task has what its type needs; YouTube links become video tasks with the video's details
+async function applyType(task) {
+  if (ANSWERED_IN_APP.includes(task.type)) {
+    quizzes.checkTask(task);
+    task.video = undefined;
+    return;
+  }
+  if (task.type === 'proof') {
+    if (!task.proof?.kind) throw new ServiceError('Proof tasks need a proof kind', 400, 'INVALID_TASK');
+    task.video = undefined;
+    return;
+  }
+
+  const video = await youtube.resolveVideoLink(task.link);
+  if (!video) {
+    task.type = 'link';
+    task.video = undefined;
+    return;
+  }
+  task.type = 'video';
+  task.video = video;
+  task.link = watchUrl(video.id);
+  if (!task.title) task.title = video.title;
+}
+
+function checkSchedule(task) {
+  if (task.publishAt && task.expireAt && task.expireAt <= task.publishAt) {
+    throw new ServiceError('expireAt must be after publishAt', 400, 'INVALID_TASK');
+  }
+}
+
+/**
+ * Validate admin input into an unsaved task. Its status follows the schedule unless it is created archived.
+ */
+async function buildTask(body) {
+  const input = parseTaskInput(body);
+  if (!input.link && !ANSWERED_IN_APP.includes(input.type)) throw new ServiceError('Link is required', 400, 'INVALID_TASK');
+
+  const task = new Task({ reward: DEFAULT_TASK_REWARD, ...input, template: body.template });
+  await applyType(task);
+  if (!task.title) throw new ServiceError('Title is required', 400, 'INVALID_TASK');
+  checkSchedule(task);
+  task.status = body.status === 'archived' ? 'archived' : statusFor(task);
+
+  const invalid = task.validateSync();
+  if (invalid) throw new ServiceError(Object.values(invalid.errors)[0].message, 400, 'INVALID_TASK');
+  return task;
+}
+
+async function createTask(body) {
+  return (await buildTask(body)).save();
+}
+
+/**
+ * Update a task's content, targeting or schedule. Returns the task and whether this change published it.
+ */
+async function updateTask(taskId, body) {
+  const task = await Task.findById(taskId);
+  if (!task) throw new ServiceError('Task not found', 404, 'TASK_NOT_FOUND');
+
+  const wasActive = task.status === 'active';
+  const input = parseTaskInput(body, body.type ?? task.type);
+  task.set(input);
+  if (input.link !== undefined || input.type !== undefined || ANSWERED_IN_APP.includes(task.type)) await applyType(task);
+  checkSchedule(task);
+  if (task.status !== 'archived') task.status = statusFor(task);
+  await task.save();
+
+  return { task, published: !wasActive && task.status === 'active' };
+}
+
+/**
+ * Take a task out of the schedule, or put it back where the schedule says it belongs.
+ */
+async function setArchived(taskId, archived) {
+  const task = await Task.findById(taskId);
+  if (!task) throw new ServiceError('Task not found', 404, 'TASK_NOT_FOUND');
+
+  const wasActive = task.status === 'active';
+  task.status = archived ? 'archived' : statusFor(task);
+  await task.save();
+  return { task, published: !wasActive && task.status === 'active' };
+}
+
+/**
+ * Tasks available to the user today plus the ones they already completed.
+ */
+async function getFeed(userId) {
+  const user = await User.findById(userId).select('level lastTaskDate tasksToday');
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+
+  const now = new Date();
+  const day = localDate(now);
+  const quota = quotaFor(user, now);
+  const tasks = await Task.find(eligibleFilter(user.level, now))
+    .select('title link type video proof questions passMark maxAttempts reward rewardByLevel expireAt priority')
+    .sort({ priority: -1, createdAt: -1 })
+    .lean();
+  const completions = await TaskCompletion.find({ user: userId }).select('task reward day status completedAt').lean();
+  const done = new Set(completions.map(c => c.task.toString()));
+  const attemptsLeft = await quizzes.attemptsLeft(user._id, tasks);
+
+  return {
+    date: day,
+    canCompleteToday: quota.remaining > 0,
+    quota,
+    available: tasks
+      .filter(t => !done.has(t._id.toString()))
+      .map(t => ({
+        _id: t._id,
+        title: t.title,
+        link: t.link,
+        type: t.type || 'link',
+        video: t.type === 'video' ? t.video : undefined,
+        proof: t.type === 'proof' ? t.proof : undefined,
+        questions: ANSWERED_IN_APP.includes(t.type) ? quizzes.publicQuestions(t) : undefined,
+        passMark: t.type === 'quiz' ? t.passMark : undefined,
+        attemptsLeft: t.type === 'quiz' ? attemptsLeft.get(t._id.toString()) : undefined,
+        reward: rewardFor(t, user.level),
+        expireAt: t.expireAt,
+      })),
+    completed: completions
+      .filter(c => c.day === day)
+      .map(c => ({ task: c.task, reward: c.reward, status: c.status || 'credited', completedAt: c.completedAt })),
+  };
+}
+
+const dailyLimitError = (limit, now) => new ServiceError('Daily task limit reached', 400, 'DAILY_LIMIT_REACHED', {
+  limit,
+  remaining: 0,
+  nextResetAt: startOfNextDay(now),
+  timezone: TIMEZONE,
+});
+
+/**
+ * Start watching a video task. The returned session id must be sent back on completion.
+ */
+async function startWatch({ userId, taskId }) {
+  const user = await User.findById(userId).select('level');
+  if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+
+  const task = await Task.findById(taskId);
+  if (!task) throw new ServiceError('Task not found', 404, 'TASK_NOT_FOUND');
+  if (task.type !== 'video') throw new ServiceError('Task is not a video task', 400, 'NOT_A_VIDEO_TASK');
+  if (task.completions.some(id => id.equals(user._id))) {
+    throw new ServiceError('Task already completed', 409, 'TASK_ALREADY_COMPLETED');
+  }
+  if (!isEligible(task, user.level)) throw new ServiceError('Task is not available to you', 403, 'TASK_NOT_ELIGIBLE');
+
+  return watchSessions.start({ userId: user._id, task });
+}
+
+/**
+ * Complete a task for a user exactly once and credit the task's reward.
+ * The day's counter only moves if the user is still under their level's quota.
+ * Video tasks also need a watch session that has run long enough; proof tasks record the
+ * submission and hold the reward in balance.pending until an admin reviews it. Quizzes are
+ * scored first and only a pass completes the task; a fail returns `{ completed: false, quiz }`.
+ */
+async function complete({ userId, taskId, watchSessionId, proof, answers, ip }) {
+  return withTransaction(async session => {
+    const now = new Date();
+    const day = localDate(now);
+
+    const current = await User.findById(userId).session(session).select('level lastTaskDate tasksToday');
+    if (!current) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+    const limit = dailyTaskQuota(current.level);
+
+    // A failed quiz attempt is kept, so it is scored before anything else changes. The quota
+    // is checked first so that a user who is done for the day does not burn an attempt.
+    let quiz;
+    const target = await Task.findById(taskId).session(session);
+    if (target?.type === 'quiz' && isEligible(target, current.level, now)
+      && !target.completions.some(id => id.equals(current._id))) {
+      if (quotaFor(current, now).remaining <= 0) throw dailyLimitError(limit, now);
+      quiz = await quizzes.attempt({ task: target, userId: current._id, answers, session });
+      if (!quiz.passed) return { completed: false, quiz };
+    }
+
+    const sameDay = { $eq: ['$lastTaskDate', { $literal: day }] };
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        $expr: { $or: [{ $not: [sameDay] }, { $lt: [{ $ifNull: ['$tasksToday', 1] }, limit] }] },
+      },
+      [{
+        $set: {
+          tasksToday: { $cond: [sameDay, { $add: [{ $ifNull: ['$tasksToday', 1] }, 1] }, 1] },
+          lastTaskDate: { $literal: day },
+          tasksCompleted: { $add: [{ $ifNull: ['$tasksCompleted', 0] }, 1] },
+        },
+      }],
+      { new: true, session }
+    );
+    if (!user) throw dailyLimitError(limit, now);
+
+    const task = await Task.findOneAndUpdate(
+      { _id: taskId, ...eligibleFilter(user.level, now), completions: { $ne: user._id } },
+      { $push: { completions: user._id } },
+      { new: true, session }
+    );
+    if (!task) {
+      const existing = await Task.findById(taskId).session(session).select('status levels completions expireAt maxCompletions');
+      if (!existing) throw new ServiceError('Task not found', 404, 'TASK_NOT_FOUND');
+      if (existing.completions.some(id => id.equals(user._id))) {
+        throw new ServiceError('Task already completed', 409, 'TASK_ALREADY_COMPLETED');
+      }
+      if (existing.status !== 'active' || (existing.expireAt && existing.expireAt <= now)) {
+        throw new ServiceError('Task is no longer active', 400, 'TASK_INACTIVE');
+      }
+      if (isFull(existing)) throw new ServiceError('Task has reached its completion limit', 400, 'TASK_FULL');
+      throw new ServiceError('Task is not available for your level', 403, 'TASK_NOT_ELIGIBLE');
+    }
+    if (task.type === 'video') {
+      await watchSessions.consume({ sessionId: watchSessionId, userId: user._id, taskId: task._id, now, session });
+    }
+    if (task.type === 'survey') await quizzes.respond({ task, userId: user._id, answers, session });
+    if (isFull(task)) {
+      await Task.updateOne({ _id: task._id, status: 'active' }, { $set: { status: 'expired' } }, { session });
+    }
+
+    const reward = rewardFor(task, user.level);
+    const submission = task.type === 'proof'
+      && await taskReviews.submit({ task, userId: user._id, reward, proof, session });
+
+    await TaskCompletion.create([{
+      task: task._id,
+      user: user._id,
+      reward,
+      day,
+      status: submission ? 'pending_review' : 'credited',
+      level: user.level,
+      ip,
+    }], { session });
+
+    const { balance } = await ledger.post({
+      user: user._id,
+      type: 'task_reward',
+      changes: submission ? { pending: reward } : { available: reward },
+      reference: submission ? { kind: 'TaskSubmission', id: submission._id } : { kind: 'Task', id: task._id },
+      description: submission ? `Task reward (pending review): ${task.title}` : `Task reward: ${task.title}`,
+      session,
+    });
+    user.balance = balance;
+    if (!submission) {
+      await referrals.payTaskCommissions({
+        refereeId: user._id,
+        amount: reward,
+        reference: { kind: 'Task', id: task._id },
+        description: task.title,
+        session,
+      });
+    }
+
+    // Finishing the day's quota extends the streak; proofs only count once approved
+    const streak = user.tasksToday >= limit && !submission
+      ? await streaks.recordIfComplete({ user, day, limit, now, session })
+      : null;
+    if (streak?.balance) user.balance = streak.balance;
+
+    return {
+      completed: true,
+      user,
+      task,
+      reward,
+      quiz,
+      pendingReview: Boolean(submission),
+      quota: quotaFor(user, now),
+      streak: streak ? { ...streak.streak, bonus: streak.bonus, freezesUsed: streak.freezesUsed } : streaks.view(user, now),
+      streakUpdated: Boolean(streak),
+    };
+  });
+}
+
+module.exports = {
+  eligibleFilter,
+  isEligible,
+  rewardFor,
+  statusFor,
+  quotaFor,
+  parseTaskInput,
+  buildTask,
+  createTask,
+  updateTask,
+  setArchived,
+  getFeed,
+  startWatch,
+  complete,
+};
@@ -0,0 +1,73 @@
+// services/watchSessions.js
+// Watch sessions for video tasks. The clock starts on the server when the user opens the
+// video, so a completion cannot arrive before enough of the video could have been watched.
+const mongoose = require('mongoose');
+const WatchSession = require('../models/WatchSession');
+const ServiceError = require('../utils/ServiceError');
+const { MIN_WATCH_FRACTION, WATCH_SESSION_GRACE_MINUTES } = require('../config/tasks');
+
+const completableAt = session => new Date(session.startedAt.getTime() + session.minWatchSeconds * 1000);
+
+const format = session => ({
+  sessionId: session._id,
+  startedAt: session.startedAt,
+  minWatchSeconds: session.minWatchSeconds,
+  completableAt: completableAt(session),
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * Start (or resume) a watch session on a video task the user may complete.
+ * Reopening the video within an open session keeps the original start time.
+ */
+async function start({ userId, task }) {
+  const now = new Date();
+  const open = await WatchSession.findOne({
+    user: userId,
+    task: task._id,
+    completedAt: null,
+    expiresAt: { $gt: now },
+  }).sort({ startedAt: -1 });
+  if (open) return format(open);
+
+  const duration = task.video.durationSeconds;
+  const session = await WatchSession.create({
+    user: userId,
+    task: task._id,
+    videoId: task.video.id,
+    startedAt: now,
+    minWatchSeconds: Math.ceil(duration * MIN_WATCH_FRACTION),
+    expiresAt: new Date(now.getTime() + (duration + WATCH_SESSION_GRACE_MINUTES * 60) * 1000),
+  });
+  return format(session);
+}
+
+/**
+ * Use up a watch session as proof for completing a video task. Runs inside the completion's
+ * transaction so a session can back exactly one completion.
+ */
+async function consume({ sessionId, userId, taskId, now = new Date(), session }) {
+  if (!sessionId) throw new ServiceError('Watch the video before completing this task', 400, 'WATCH_SESSION_REQUIRED');
+  if (!mongoose.isValidObjectId(sessionId)) throw new ServiceError('Invalid watch session', 400, 'WATCH_SESSION_INVALID');
+
+  const watch = await WatchSession.findOne({ _id: sessionId, user: userId, task: taskId }).session(session);
+  if (!watch || watch.completedAt) throw new ServiceError('Invalid watch session', 400, 'WATCH_SESSION_INVALID');
+  if (watch.expiresAt <= now) {
+    throw new ServiceError('Watch session expired, please watch the video again', 400, 'WATCH_SESSION_EXPIRED');
+  }
+  if (completableAt(watch) > now) {
+    throw new ServiceError('Keep watching, the video has not played long enough yet', 400, 'WATCH_TOO_SHORT', {
+      completableAt: completableAt(watch),
+    });
+  }
+
+  const used = await WatchSession.findOneAndUpdate(
+    { _id: watch._id, completedAt: null },
+    { $set: { completedAt: now } },
+    { new: true, session }
+  );
+  if (!used) throw new ServiceError('Invalid watch session', 400, 'WATCH_SESSION_INVALID');
+  return used;
+}
+
+module.exports = { start, consume };
@@ -0,0 +1,105 @@
+// services/withdrawalPolicy.js
+// Evaluates a withdrawal request against the policy for the user's level and returns every
+// rule it breaks as a machine-readable reason, plus the processing fee it would be charged.
+const Withdrawal = require('../models/Withdrawal');
+const WithdrawalPolicy = require('../models/WithdrawalPolicy');
+const { zonedParts, startOfDay, startOfWeek } = require('../utils/time');
+
+// Used for levels without a configured policy
+const DEFAULT_POLICY = {
+  minAmount: 0,
+  cooldownMinutes: 0,
+  feeSchedule: [],
+  window: { days: [0, 1, 2, 3, 4, 5, 6], startHour: 0, endHour: 24 },
+  requireActive: true,
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const naira = value => `₦${Number(value).toLocaleString()}`;
+const isSet = value => value !== undefined && value !== null;
+
+async function getPolicy(level, session) {
+  const policy = await WithdrawalPolicy.findOne({ level }).session(session || null).lean();
+  return { ...DEFAULT_POLICY, ...policy, level };
+}
+
+function computeFee(policy, amount) {
+  const brackets = [...(policy.feeSchedule || [])]
+    .sort((a, b) => (isSet(a.upTo) ? a.upTo : Infinity) - (isSet(b.upTo) ? b.upTo : Infinity));
+  const bracket = brackets.find(b => !isSet(b.upTo) || amount <= b.upTo);
+  if (!bracket) return 0;
+  return Math.round(((bracket.flat || 0) + (amount * (bracket.percent || 0)) / 100) * 100) / 100;
+}
+
+/**
+ * @param {Object} user - User document (needs level, status, balance)
+ * @param {number} amount
+ * @param {Object} [options] - { now, session }
+ * @returns {Promise<{ allowed, reasons: Array<{ code, message }>, fee, netAmount, policy }>}
+ */
+async function evaluate(user, amount, { now = new Date(), session } = {}) {
+  const policy = await getPolicy(user.level, session);
+  const reasons = [];
+  const reject = (code, message) => reasons.push({ code, message });
+
+  if (policy.requireActive && user.status !== 'active') {
+    reject('ACCOUNT_NOT_ACTIVE', 'Your account must be active to withdraw');
+  }
+  if (amount > user.balance.available) {
+    reject('INSUFFICIENT_BALANCE', 'Amount is more than your available balance');
+  }
+  if (amount < policy.minAmount) {
+    reject('BELOW_MINIMUM', `Minimum withdrawal is ${naira(policy.minAmount)}`);
+  }
+  if (isSet(policy.maxAmount) && amount > policy.maxAmount) {
+    reject('ABOVE_MAXIMUM', `Maximum withdrawal is ${naira(policy.maxAmount)}`);
+  }
+
+  const { weekday, hour } = zonedParts(now);
+  const window = policy.window || DEFAULT_POLICY.window;
+  if (!window.days.includes(weekday) || hour < window.startHour || hour >= window.endHour) {
+    const days = window.days.map(d => WEEKDAY_NAMES[d]).join(', ');
+    reject('OUTSIDE_WINDOW', `Withdrawals are open ${days}, ${window.startHour}:00–${window.endHour}:00`);
+  }
+
+  // Declined and failed withdrawals don't count towards limits
+  const counted = { user: user._id, status: { $nin: ['declined', 'failed'] } };
+  const weekStart = startOfWeek(now);
+  const recent = await Withdrawal.find({ ...counted, createdAt: { $gte: weekStart } })
+    .session(session || null)
+    .select('amount createdAt')
+    .lean();
+  const dayStart = startOfDay(now);
+  const today = recent.filter(w => w.createdAt >= dayStart);
+  const sum = list => list.reduce((total, w) => total + w.amount, 0);
+
+  if (isSet(policy.dailyAmountLimit) && sum(today) + amount > policy.dailyAmountLimit) {
+    reject('DAILY_AMOUNT_LIMIT', `Daily withdrawal limit is ${naira(policy.dailyAmountLimit)}`);
+  }
+  if (isSet(policy.weeklyAmountLimit) && sum(recent) + amount > policy.weeklyAmountLimit) {
+    reject('WEEKLY_AMOUNT_LIMIT', `Weekly withdrawal limit is ${naira(policy.weeklyAmountLimit)}`);
+  }
+  if (isSet(policy.dailyCountLimit) && today.length >= policy.dailyCountLimit) {
+    reject('DAILY_COUNT_LIMIT', `You can make ${policy.dailyCountLimit} withdrawal(s) per day`);
+  }
+  if (isSet(policy.weeklyCountLimit) && recent.length >= policy.weeklyCountLimit) {
+    reject('WEEKLY_COUNT_LIMIT', `You can make ${policy.weeklyCountLimit} withdrawal(s) per week`);
+  }
+
+  if (policy.cooldownMinutes > 0) {
+    const last = await Withdrawal.findOne(counted).session(session || null).sort({ createdAt: -1 }).select('createdAt').lean();
+    const nextAllowed = last && new Date(last.createdAt.getTime() + policy.cooldownMinutes * 60 * 1000);
+    if (nextAllowed && nextAllowed > now) {
+      reject('COOLDOWN_ACTIVE', `You can request another withdrawal after ${nextAllowed.toISOString()}`);
+    }
+  }
+
+  const fee = computeFee(policy, amount);
+  if (fee >= amount) {
+    reject('FEE_EXCEEDS_AMOUNT', `Processing fee of ${naira(fee)} is more than the amount`);
+  }
+
+  return { allowed: reasons.length === 0, reasons, fee, netAmount: Math.max(amount - fee, 0), policy };
+}
+
+module.exports = { DEFAULT_POLICY, getPolicy, computeFee, evaluate };
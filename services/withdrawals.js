@@ -0,0 +1,170 @@
+// services/withdrawals.js
+// Withdrawal state machine. Every transition runs in a Mongo transaction and only
+// applies if the withdrawal is still in a state the transition is legal from, so two
+// admins (or an admin and a retry) acting at once cannot double-refund or double-pay.
+//
+//   pending -> approved -> paid
+//   pending | approved -> declined
+//   approved -> failed (automated payout rejected by the bank)
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const ledger = require('./ledger');
+const withdrawalPolicy = require('./withdrawalPolicy');
+const withTransaction = require('../utils/withTransaction');
+const ServiceError = require('../utils/ServiceError');
+
+const TRANSITIONS = {
+  pending: ['approved', 'declined'],
+  approved: ['paid', 'declined', 'failed'],
+  declined: [],
+  paid: [],
+  failed: [],
+};
+
+const sourcesFor = to => Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(to));
+
+// Conditionally move a withdrawal to `to`; throws 404/409 if it is missing or no longer eligible
+async function transition(withdrawalId, to, { by, session, extra, where } = {}) {
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: { $in: sourcesFor(to) }, ...where },
+    {
+      $set: { status: to, ...extra },
+      $push: { history: { status: to, by, at: new Date() } },
+    },
+    { new: true, session }
+  );
+
+  if (!withdrawal) {
+    const existing = await Withdrawal.findById(withdrawalId).session(session || null).select('status');
+    if (!existing) throw new ServiceError('Withdrawal not found', 404, 'NOT_FOUND');
+    if (sourcesFor(to).includes(existing.status)) {
+      throw new ServiceError('Withdrawal payout is in progress', 409, 'PAYOUT_IN_PROGRESS');
+    }
+    throw new ServiceError(
+      `Withdrawal is ${existing.status} and cannot be ${to}`,
+      409,
+      'INVALID_TRANSITION'
+    );
+  }
+
+  return withdrawal;
+}
+
+/**
+ * Create a pending withdrawal and move the amount from available to pending.
+ * The policy is evaluated inside the transaction; because the ledger writes the User document,
+ * concurrent requests for one user conflict and the retry re-evaluates against fresh data.
+ */
+async function request({ userId, amount, paymentMethod }) {
+  return withTransaction(async session => {
+    const user = await User.findById(userId).session(session);
+    if (!user) throw new ServiceError('User not found', 404, 'USER_NOT_FOUND');
+
+    const verdict = await withdrawalPolicy.evaluate(user, amount, { session });
+    if (!verdict.allowed) {
+      throw new ServiceError('Withdrawal not allowed', 422, 'POLICY_VIOLATION', verdict.reasons);
+    }
+
+    const withdrawal = new Withdrawal({
+      user: userId,
+      amount,
+      fee: verdict.fee,
+      netAmount: verdict.netAmount,
+      paymentMethod,
+      status: 'pending',
+      history: [{ status: 'pending', by: userId }],
+    });
+
+    const { balance } = await ledger.post({
+      user: userId,
+      type: 'withdrawal_hold',
+      changes: { available: -amount, pending: amount },
+      reference: { kind: 'Withdrawal', id: withdrawal._id },
+      description: 'Withdrawal request',
+      session,
+    });
+    await withdrawal.save({ session });
+
+    return { withdrawal, balance };
+  });
+}
+
+async function approve(withdrawalId, adminId, extra) {
+  return withTransaction(session => transition(withdrawalId, 'approved', { by: adminId, session, extra }));
+}
+
+/**
+ * Decline a pending or approved withdrawal and release the held amount.
+ */
+async function decline(withdrawalId, adminId) {
+  return withTransaction(async session => {
+    // Once a bank transfer is in flight only the provider's outcome may settle the withdrawal
+    const withdrawal = await transition(withdrawalId, 'declined', {
+      by: adminId,
+      session,
+      where: { 'transfer.status': { $nin: ['processing', 'success'] } },
+    });
+    const { balance } = await ledger.post({
+      user: withdrawal.user,
+      type: 'withdrawal_release',
+      changes: { available: withdrawal.amount, pending: -withdrawal.amount },
+      reference: { kind: 'Withdrawal', id: withdrawal._id },
+      description: 'Withdrawal declined',
+      session,
+    });
+    return { withdrawal, balance };
+  });
+}
+
+/**
+ * Mark an approved withdrawal as paid out and take it off the pending balance. An admin
+ * (adminId set) cannot do so while a bank transfer is in flight; its outcome settles it.
+ */
+async function markPaid(withdrawalId, adminId, extra) {
+  return withTransaction(async session => {
+    const withdrawal = await transition(withdrawalId, 'paid', {
+      by: adminId,
+      session,
+      extra,
+      where: adminId ? { 'transfer.status': { $ne: 'processing' } } : undefined,
+    });
+    const fee = withdrawal.fee || 0;
+    const { balance } = await ledger.post({
+      user: withdrawal.user,
+      type: 'payout',
+      changes: { pending: -withdrawal.amount },
+      contra: [
+        { account: 'external:payouts', amount: withdrawal.amount - fee },
+        ...(fee ? [{ account: 'platform:fees', amount: fee }] : []),
+      ],
+      reference: { kind: 'Withdrawal', id: withdrawal._id },
+      description: 'Withdrawal paid',
+      session,
+    });
+    return { withdrawal, balance };
+  });
+}
+
+/**
+ * Mark an approved withdrawal whose payout failed and release the held amount.
+ */
+async function fail(withdrawalId, reason, by) {
+  return withTransaction(async session => {
+    const withdrawal = await transition(withdrawalId, 'failed', {
+      by,
+      session,
+      extra: { 'transfer.status': 'failed', 'transfer.lastError': reason },
+    });
+    const { balance } = await ledger.post({
+      user: withdrawal.user,
+      type: 'withdrawal_release',
+      changes: { available: withdrawal.amount, pending: -withdrawal.amount },
+      reference: { kind: 'Withdrawal', id: withdrawal._id },
+      description: 'Withdrawal payout failed',
+      session,
+    });
+    return { withdrawal, balance };
+  });
+}
+
+module.exports = { TRANSITIONS, transition, request, approve, decline, markPaid, fail };
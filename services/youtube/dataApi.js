@@ -0,0 +1,36 @@
+// services/youtube/dataApi.js
+// YouTube Data API v3 client. Needs YOUTUBE_API_KEY.
+const axios = require('axios');
+
+const api = axios.create({
+  baseURL: 'https://www.googleapis.com/youtube/v3',
+  timeout: 10000,
+});
+
+// ISO 8601 duration (e.g. PT1H2M3S) in seconds
+function parseDuration(iso) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(iso || '');
+  if (!match) return 0;
+  const [, days, hours, minutes, seconds] = match.map(Number);
+  return (days || 0) * 86400 + (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+}
+
+// Returns the video, or null if YouTube does not know it (deleted or never existed)
+async function getVideo(videoId) {
+  const { data } = await api.get('/videos', {
+    params: { part: 'snippet,contentDetails,status', id: videoId, key: process.env.YOUTUBE_API_KEY },
+  });
+  const item = data.items?.[0];
+  if (!item) return null;
+
+  return {
+    id: item.id,
+    title: item.snippet?.title,
+    durationSeconds: parseDuration(item.contentDetails?.duration),
+    privacyStatus: item.status?.privacyStatus,
+    uploadStatus: item.status?.uploadStatus,
+    embeddable: item.status?.embeddable !== false,
+  };
+}
+
+module.exports = { name: 'api', getVideo, parseDuration };
@@ -0,0 +1,31 @@
+// services/youtube/fake.js
+// Local YouTube client: videos registered with `register` return their details, any other
+// well-formed id is a public 3-minute video. Register `{ privacyStatus: 'private' }` or
+// `null` to exercise private and deleted videos.
+const videos = new Map();
+
+function register(videoId, video) {
+  videos.set(videoId, video && {
+    id: videoId,
+    title: `Fake video ${videoId}`,
+    durationSeconds: 180,
+    privacyStatus: 'public',
+    uploadStatus: 'processed',
+    embeddable: true,
+    ...video,
+  });
+}
+
+async function getVideo(videoId) {
+  if (videos.has(videoId)) return videos.get(videoId);
+  return {
+    id: videoId,
+    title: `Fake video ${videoId}`,
+    durationSeconds: 180,
+    privacyStatus: 'public',
+    uploadStatus: 'processed',
+    embeddable: true,
+  };
+}
+
+module.exports = { name: 'fake', getVideo, register };
@@ -0,0 +1,76 @@
+// services/youtube/index.js
+// Video lookups for YouTube tasks. The client is chosen with YOUTUBE_CLIENT (api | fake) and
+// defaults to `api`, which calls the YouTube Data API with YOUTUBE_API_KEY. The fake client
+// accepts any video, so the server refuses to start with it in production.
+const ServiceError = require('../../utils/ServiceError');
+const { parseYouTubeUrl } = require('../../utils/youtubeUrl');
+
+const clients = {
+  api: require('./dataApi'),
+  fake: require('./fake'),
+};
+
+function getClient(name = process.env.YOUTUBE_CLIENT || 'api') {
+  const client = clients[name];
+  if (!client) throw new ServiceError(`Unknown YouTube client: ${name}`, 500, 'YOUTUBE_CLIENT_ERROR');
+  return client;
+}
+
+/**
+ * Check the YouTube configuration at startup; throws if the server must not start.
+ */
+function assertConfigured() {
+  const client = getClient();
+  if (client.name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new ServiceError('The fake YouTube client cannot be used in production', 500, 'YOUTUBE_CLIENT_ERROR');
+  }
+  return client;
+}
+
+/**
+ * Look up a public, playable video. Throws if it is private, deleted or still processing.
+ *
+ * @returns {Promise<{ id, title, durationSeconds }>}
+ */
+async function getPlayableVideo(videoId) {
+  let video;
+  try {
+    video = await getClient().getVideo(videoId);
+  } catch (err) {
+    if (err instanceof ServiceError) throw err;
+    console.error('YouTube API error:', err.message);
+    throw new ServiceError('Could not check the video with YouTube, please try again', 502, 'YOUTUBE_UNAVAILABLE');
+  }
+
+  if (!video) throw new ServiceError('Video does not exist or was deleted', 400, 'VIDEO_UNAVAILABLE');
+  if (video.privacyStatus === 'private') throw new ServiceError('Video is private', 400, 'VIDEO_UNAVAILABLE');
+  if (video.uploadStatus && video.uploadStatus !== 'processed') {
+    throw new ServiceError('Video is not available to watch', 400, 'VIDEO_UNAVAILABLE');
+  }
+  if (!video.embeddable) throw new ServiceError('Video cannot be played outside YouTube', 400, 'VIDEO_UNAVAILABLE');
+  if (!video.durationSeconds) throw new ServiceError('Live streams cannot be used as tasks', 400, 'VIDEO_UNAVAILABLE');
+
+  return { id: video.id, title: video.title, durationSeconds: video.durationSeconds };
+}
+
+/**
+ * Resolve a task link. Non-YouTube links come back as null; YouTube links must point at a playable video.
+ */
+async function resolveVideoLink(link) {
+  const { isYouTube, videoId } = parseYouTubeUrl(link);
+  if (!isYouTube) return null;
+  if (!videoId) throw new ServiceError('Link is not a valid YouTube video URL', 400, 'INVALID_VIDEO_URL');
+  return getPlayableVideo(videoId);
+}
+
+async function validateYouTubeVideo(videoId) {
+  try {
+    await getPlayableVideo(videoId);
+    return true;
+  } catch (err) {
+    if (err.code === 'VIDEO_UNAVAILABLE') return false;
+    throw err;
+  }
+}
+
+module.exports = { getClient, assertConfigured, getPlayableVideo, resolveVideoLink, validateYouTubeVideo };
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const User = require('../models/User');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const ledger = require('../services/ledger');
+const adjustments = require('../services/adjustments');
+
+const [maker, checker] = [objectId(), objectId()];
+
+test('a proposal needs a non-zero amount, a reason and an attachment', async t => {
+  t.mock.method(User, 'exists', async () => ({ _id: objectId() }));
+  const create = t.mock.method(BalanceAdjustment, 'create', async doc => doc);
+  const base = { adminId: maker, userId: objectId(), reason: 'Missed task reward', attachment: 'TKT-12' };
+
+  await assert.rejects(adjustments.propose({ ...base, amount: 0 }), { code: 'INVALID_AMOUNT' });
+  await assert.rejects(adjustments.propose({ ...base, amount: 100, reason: ' ' }), { code: 'REASON_REQUIRED' });
+  await assert.rejects(adjustments.propose({ ...base, amount: 100, attachment: '' }), { code: 'ATTACHMENT_REQUIRED' });
+
+  const proposal = await adjustments.propose({ ...base, amount: '-250.456' });
+  assert.equal(proposal.amount, -250.46);
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('another admin approves and the amount is posted in the same transaction', async t => {
+  const sessions = stubTransactions(t);
+  const adjustment = { _id: objectId(), user: objectId(), amount: 300, reason: 'Missed task reward', save: async () => {} };
+  const claim = t.mock.method(BalanceAdjustment, 'findOneAndUpdate', async () => adjustment);
+  const post = t.mock.method(ledger, 'post', async () => ({ transaction: { _id: objectId() }, balance: { available: 800 } }));
+  const save = t.mock.method(adjustment, 'save', async () => adjustment);
+
+  const { balance } = await adjustments.approve(adjustment._id, checker, 'Checked');
+
+  assert.deepEqual(claim.mock.calls[0].arguments[0].proposedBy, { $ne: checker });
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { available: 300 });
+  assert.equal(post.mock.calls[0].arguments[0].session, sessions[0]);
+  assert.equal(save.mock.calls[0].arguments[0].session, sessions[0]);
+  assert.deepEqual(balance, { available: 800 });
+});
+
+test('the proposer cannot approve their own adjustment', async t => {
+  stubTransactions(t);
+  t.mock.method(BalanceAdjustment, 'findOneAndUpdate', async () => null);
+  t.mock.method(BalanceAdjustment, 'findById', () => query({ status: 'pending', proposedBy: maker }));
+  const post = t.mock.method(ledger, 'post', async () => ({}));
+
+  await assert.rejects(adjustments.approve(objectId(), maker), { status: 403, code: 'SELF_APPROVAL' });
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('a reviewed adjustment cannot be reviewed again', async t => {
+  t.mock.method(BalanceAdjustment, 'findOneAndUpdate', async () => null);
+  t.mock.method(BalanceAdjustment, 'findById', () => query({ status: 'approved', proposedBy: maker }));
+
+  await assert.rejects(adjustments.reject(objectId(), checker), { status: 409, message: 'Adjustment is already approved' });
+});
@@ -0,0 +1,51 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bankAccounts = require('../services/bankAccounts');
+const fake = require('../services/bankAccounts/fake');
+
+const env = { ...process.env };
+beforeEach(() => {
+  delete process.env.ACCOUNT_RESOLVER;
+  delete process.env.NODE_ENV;
+});
+afterEach(() => {
+  process.env = { ...env };
+});
+
+const account = { bank: 'First Bank of Nigeria', accountNumber: '0000014579', accountName: 'Ada Obi', fullName: 'Ada Obi' };
+
+test('no account can be verified without a configured resolver', async () => {
+  await assert.rejects(bankAccounts.verifyBankAccount(account), { status: 503, code: 'RESOLVER_NOT_CONFIGURED' });
+});
+
+test('the fake resolver is refused in production', async () => {
+  process.env.ACCOUNT_RESOLVER = 'fake';
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => bankAccounts.getResolver(), { code: 'RESOLVER_NOT_CONFIGURED' });
+});
+
+test('the fake resolver does not echo the typed name outside development', async () => {
+  process.env.ACCOUNT_RESOLVER = 'fake';
+  await assert.rejects(bankAccounts.verifyBankAccount(account), { code: 'ACCOUNT_NOT_FOUND' });
+
+  process.env.NODE_ENV = 'development';
+  const { verification } = await bankAccounts.verifyBankAccount(account);
+  assert.equal(verification.status, 'verified');
+});
+
+test('a resolved name that does not match the profile is not verified', async () => {
+  process.env.ACCOUNT_RESOLVER = 'fake';
+  fake.register('011', '0000014579', 'CHUKWUEMEKA NWOSU');
+
+  const { details, verification } = await bankAccounts.verifyBankAccount(account);
+  assert.equal(details.accountName, 'CHUKWUEMEKA NWOSU');
+  assert.equal(verification.status, 'name_mismatch');
+});
+
+test('account numbers failing the NUBAN check are rejected before resolution', async () => {
+  process.env.ACCOUNT_RESOLVER = 'fake';
+  await assert.rejects(
+    bankAccounts.verifyBankAccount({ ...account, accountNumber: '0000014578' }),
+    { code: 'INVALID_ACCOUNT_NUMBER' }
+  );
+});
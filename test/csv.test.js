@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+test('toCsv quotes cells with commas, quotes and line breaks', () => {
+  const csv = toCsv([{ a: 'x,y', b: 'say "hi"', c: 'one\ntwo' }, { a: null, b: 3, c: undefined }], ['a', { key: 'b', header: 'B' }, 'c']);
+  assert.equal(csv, 'a,B,c\r\n"x,y","say ""hi""","one\ntwo"\r\n,3,\r\n');
+});
+
+test('parseCsv round-trips toCsv output', () => {
+  const rows = [{ name: 'Ada, Obi', note: 'said "ok"' }, { name: 'Chi', note: 'line\r\nbreak' }];
+  assert.deepEqual(parseCsv(toCsv(rows, ['name', 'note'])), rows);
+});
+
+test('parseCsv normalizes headers and skips blank lines and a BOM', () => {
+  assert.deepEqual(parseCsv('﻿ Reference ,STATUS\n\nW1, paid \r\n'), [{ reference: 'W1', status: 'paid' }]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('cells a spreadsheet would run as formulas are prefixed with a quote', () => {
+  const answers = ['=HYPERLINK("http://x.example","win")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'];
+  const csv = toCsv(answers.map(answer => ({ answer })), ['answer']);
+  assert.deepEqual(parseCsv(csv).map(r => r.answer), [
+    '\'=HYPERLINK("http://x.example","win")', '\'+1+1', '\'-2+3', '\'@SUM(A1)', '\'\tcmd', '\'\rcmd',
+  ]);
+});
+
+test('negative numbers and ordinary text are written unchanged', () => {
+  assert.equal(toCsv([{ a: -500, b: '-12.50', c: 'a-b', d: 'x=y' }], ['a', 'b', 'c', 'd']), 'a,b,c,d\r\n-500,-12.50,a-b,x=y\r\n');
+});
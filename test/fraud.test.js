@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const PaymentMethod = require('../models/PaymentMethod');
+const fraud = require('../services/fraud');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+// Stubs the referee, their referrer, the referrer's other referees and saved bank accounts,
+// then scores the referee. Returns the result with the updates made along the way.
+async function assess(t, { referee, referrer, peers = [], accounts = [], referral = {} }) {
+  const users = new Map([referee, referrer, ...peers].map(u => [u._id.toString(), u]));
+  t.mock.method(User, 'findById', id => query(users.get(id.toString())));
+  t.mock.method(User, 'find', () => query([referee, ...peers]));
+  t.mock.method(PaymentMethod, 'find', () => query(accounts));
+
+  const saved = [];
+  t.mock.method(Referral, 'findOne', filter => query({
+    referredUser: filter.referredUser,
+    suspicious: false,
+    ...referral,
+    save: async function () { saved.push(this); return this; },
+  }));
+  const updates = t.mock.method(User, 'updateOne', async () => ({}));
+
+  const result = await fraud.assessReferee(referee._id, { now });
+  return { result, saved, updates: updates.mock.calls.map(c => c.arguments) };
+}
+
+const person = (fields = {}) => ({ _id: objectId(), createdAt: hoursAgo(48), ...fields });
+
+test('an unrelated referee is not flagged', async t => {
+  const referrer = person({ signupIP: '1.1.1.1', phone: '0801' });
+  const referee = person({ referredBy: referrer._id, signupIP: '2.2.2.2', phone: '0802' });
+
+  const { result, updates } = await assess(t, { referee, referrer });
+
+  assert.deepEqual(result, { score: 0, reasons: [], suspicious: false });
+  assert.ok(!updates.some(([, update]) => update.$set.referralsOnHold));
+});
+
+test('a referee on the referrer\'s device and bank account is suspicious and holds the referrer', async t => {
+  const referrer = person({ deviceFingerprint: 'fp-1' });
+  const referee = person({ referredBy: referrer._id, deviceFingerprint: 'fp-1' });
+  const account = { details: { bankCode: '058', accountNumber: '0123456789' } };
+
+  const { result, saved, updates } = await assess(t, {
+    referee,
+    referrer,
+    accounts: [{ user: referrer._id, ...account }, { user: referee._id, ...account }],
+  });
+
+  assert.deepEqual(result.reasons.sort(), ['shared_bank_with_referrer', 'shared_device_with_referrer']);
+  assert.equal(result.score, 100);
+  assert.equal(result.suspicious, true);
+  assert.deepEqual(saved[0].review, { status: 'pending' });
+  assert.deepEqual(updates.find(([filter]) => filter._id === referrer._id)[1], { $set: { referralsOnHold: true } });
+});
+
+test('a shared signup IP alone stays under the threshold', async t => {
+  const referrer = person({ signupIP: '1.1.1.1' });
+  const referee = person({ referredBy: referrer._id, signupIP: '1.1.1.1' });
+
+  const { result } = await assess(t, { referee, referrer });
+
+  assert.equal(result.score, fraud.SIGNALS.shared_ip_with_referrer);
+  assert.ok(result.score < fraud.SUSPICIOUS_SCORE);
+  assert.equal(result.suspicious, false);
+});
+
+test('a burst of signups sharing a phone flags the ring', async t => {
+  const referrer = person();
+  const referee = person({ referredBy: referrer._id, phone: '0809', createdAt: hoursAgo(0.1) });
+  const peers = [1, 2, 3, 4].map(i => person({ referredBy: referrer._id, phone: i === 1 ? '0809' : `08${i}`, createdAt: hoursAgo(i * 0.1) }));
+
+  const { result, saved } = await assess(t, { referee, referrer, peers });
+
+  assert.deepEqual(result.reasons.sort(), ['shared_phone_among_referees', 'signup_burst']);
+  assert.equal(result.score, 70);
+  // The matching peer is rescored too
+  assert.equal(saved.length, 2);
+  assert.ok(saved.every(r => r.suspicious));
+});
+
+test('a reviewed referral keeps its verdict when rescored', async t => {
+  const referrer = person({ deviceFingerprint: 'fp-1' });
+  const referee = person({ referredBy: referrer._id, deviceFingerprint: 'fp-1' });
+
+  const { result, updates } = await assess(t, { referee, referrer, referral: { review: { status: 'cleared' } } });
+
+  assert.equal(result.score, 50);
+  assert.equal(result.suspicious, false);
+  assert.ok(!updates.some(([, update]) => update.$set.referralsOnHold));
+});
@@ -0,0 +1,42 @@
+// test/helpers.js
+// Shared stubs for service tests. Nothing here talks to MongoDB: model methods are replaced
+// per test with t.mock.method, and commands are never buffered so a missing stub fails fast.
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+/**
+ * A stand-in for a Mongoose query resolving to `value`; chain methods are accepted and ignored.
+ */
+function query(value) {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(typeof value === 'function' ? value() : value).then(resolve, reject),
+    catch: reject => q.then(undefined, reject),
+  };
+  ['session', 'select', 'populate', 'sort', 'limit', 'skip', 'lean'].forEach(name => {
+    q[name] = () => q;
+  });
+  return q;
+}
+
+/**
+ * Make mongoose.startSession hand out a session that simply runs the transaction body.
+ * Returns the sessions started, so tests can check work ran inside one.
+ */
+function stubTransactions(t) {
+  const sessions = [];
+  t.mock.method(mongoose, 'startSession', async () => {
+    const session = {
+      id: sessions.length + 1,
+      withTransaction: async fn => fn(),
+      endSession: async () => {},
+    };
+    sessions.push(session);
+    return session;
+  });
+  return sessions;
+}
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = { query, stubTransactions, objectId };
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { objectId } = require('./helpers');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+
+const userId = objectId();
+
+// Runs `handler` behind the middleware and makes one request with an Idempotency-Key
+async function call(t, handler, { body = { amount: 100 } } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.post('/withdrawals', (req, res, next) => { req.user = { id: userId }; next(); }, idempotency, handler);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/withdrawals`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'idempotency-key': 'k-1' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.text(), headers: response.headers };
+}
+
+function stubStore(t) {
+  const store = {
+    create: t.mock.method(IdempotencyKey, 'create', async doc => ({ _id: objectId(), ...doc })),
+    update: t.mock.method(IdempotencyKey, 'updateOne', async () => ({})),
+    remove: t.mock.method(IdempotencyKey, 'deleteOne', async () => ({})),
+  };
+  return store;
+}
+
+test('a final JSON response is stored before it is sent', async t => {
+  const store = stubStore(t);
+  const res = await call(t, (req, res) => res.status(201).json({ withdrawalId: 'w1' }));
+
+  assert.equal(res.status, 201);
+  assert.equal(store.update.mock.callCount(), 1);
+  assert.deepEqual(store.update.mock.calls[0].arguments[1].$set, {
+    status: 'completed',
+    response: { statusCode: 201, body: { withdrawalId: 'w1' } },
+  });
+  assert.equal(store.remove.mock.callCount(), 0);
+});
+
+test('server errors and conflicts release the key', async t => {
+  for (const status of [500, 409, 429]) {
+    const store = stubStore(t);
+    await call(t, (req, res) => res.status(status).json({ message: 'nope' }));
+    assert.equal(store.remove.mock.callCount(), 1, `status ${status}`);
+    assert.equal(store.update.mock.callCount(), 0);
+    t.mock.restoreAll();
+  }
+});
+
+test('responses sent without res.json still settle the key', async t => {
+  const store = stubStore(t);
+  const res = await call(t, (req, res) => res.status(204).end());
+  assert.equal(res.status, 204);
+  assert.equal(store.remove.mock.callCount(), 1);
+
+  const sent = stubStore(t);
+  await call(t, (req, res) => res.send({ ok: true }));
+  assert.deepEqual(sent.update.mock.calls[0].arguments[1].$set.response, { statusCode: 200, body: { ok: true } });
+});
+
+test('a request the client abandoned is settled once the handler finishes', async t => {
+  const store = stubStore(t);
+  const app = express();
+  app.use(express.json());
+  let finished;
+  const done = new Promise(resolve => { finished = resolve; });
+  app.post('/withdrawals', (req, res, next) => { req.user = { id: userId }; next(); }, idempotency, (req, res) => {
+    res.on('close', () => setImmediate(() => {
+      res.status(201).json({ withdrawalId: 'w1' });
+      finished();
+    }));
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const controller = new AbortController();
+  const request = fetch(`http://127.0.0.1:${server.address().port}/withdrawals`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'idempotency-key': 'k-1' },
+    body: '{}',
+    signal: controller.signal,
+  });
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(request);
+  await done;
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(store.update.mock.callCount(), 1);
+  assert.equal(store.remove.mock.callCount(), 0);
+});
+
+test('a completed key is replayed without running the handler again', async t => {
+  t.mock.method(IdempotencyKey, 'create', async () => { throw Object.assign(new Error('dup'), { code: 11000 }); });
+  const body = { amount: 100 };
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(['POST', '/withdrawals', body])).digest('hex');
+  t.mock.method(IdempotencyKey, 'findOne', async () => ({
+    requestHash,
+    status: 'completed',
+    response: { statusCode: 201, body: { withdrawalId: 'w1' } },
+  }));
+
+  let ran = false;
+  const res = await call(t, (req, res) => { ran = true; res.json({}); }, { body });
+
+  assert.equal(ran, false);
+  assert.equal(res.status, 201);
+  assert.equal(res.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(JSON.parse(res.body), { withdrawalId: 'w1' });
+});
+
+test('a key reused for a different request is rejected', async t => {
+  t.mock.method(IdempotencyKey, 'create', async () => { throw Object.assign(new Error('dup'), { code: 11000 }); });
+  t.mock.method(IdempotencyKey, 'findOne', async () => ({ requestHash: 'other', status: 'completed' }));
+  const res = await call(t, (req, res) => res.json({}));
+  assert.equal(res.status, 422);
+  assert.equal(JSON.parse(res.body).code, 'IDEMPOTENCY_KEY_REUSED');
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledger = require('../services/ledger');
+
+const balances = (available = 0, pending = 0, referralBonus = 0) => ({ balance: { available, pending }, referralBonus });
+
+test('post writes balanced postings against the type\'s contra account', async t => {
+  const session = {};
+  const update = t.mock.method(User, 'findOneAndUpdate', () => query(balances(500)));
+  const create = t.mock.method(Transaction, 'create', async docs => docs);
+  const user = objectId();
+
+  const result = await ledger.post({ user, type: 'task_reward', changes: { available: 500 }, session });
+
+  const [doc] = create.mock.calls[0].arguments[0];
+  assert.deepEqual(doc.postings, [
+    { account: 'user:available', amount: 500 },
+    { account: 'platform:rewards', amount: -500 },
+  ]);
+  assert.equal(doc.postings.reduce((sum, p) => sum + p.amount, 0), 0);
+  assert.equal(doc.amount, 500);
+  assert.deepEqual(update.mock.calls[0].arguments[1], { $inc: { 'balance.available': 500 } });
+  assert.equal(update.mock.calls[0].arguments[2].session, session);
+  assert.equal(create.mock.calls[0].arguments[1].session, session);
+  assert.equal(result.balance.available, 500);
+});
+
+test('post guards debits so a balance never goes negative', async t => {
+  const update = t.mock.method(User, 'findOneAndUpdate', () => query(null));
+  t.mock.method(User, 'exists', () => query(true));
+  const create = t.mock.method(Transaction, 'create', async docs => docs);
+  const user = objectId();
+
+  await assert.rejects(
+    ledger.post({ user, type: 'withdrawal_hold', changes: { available: -300, pending: 300 }, session: {} }),
+    { code: 'INSUFFICIENT_FUNDS' }
+  );
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: user, 'balance.available': { $gte: 300 } });
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('transfers between user accounts net to zero without a contra posting', async t => {
+  t.mock.method(User, 'findOneAndUpdate', () => query(balances(0, 300)));
+  const create = t.mock.method(Transaction, 'create', async docs => docs);
+
+  await ledger.post({ user: objectId(), type: 'withdrawal_hold', changes: { available: -300, pending: 300 }, session: {} });
+
+  const [doc] = create.mock.calls[0].arguments[0];
+  assert.deepEqual(doc.postings.map(p => p.account), ['user:available', 'user:pending']);
+});
+
+test('post without a session runs both writes in one transaction', async t => {
+  const sessions = stubTransactions(t);
+  const update = t.mock.method(User, 'findOneAndUpdate', () => query(balances(100)));
+  const create = t.mock.method(Transaction, 'create', async docs => docs);
+
+  await ledger.post({ user: objectId(), type: 'adjustment', changes: { available: 100 } });
+
+  assert.equal(sessions.length, 1);
+  assert.equal(update.mock.calls[0].arguments[2].session, sessions[0]);
+  assert.equal(create.mock.calls[0].arguments[1].session, sessions[0]);
+});
+
+test('post rejects unknown entry types and empty changes', async () => {
+  await assert.rejects(ledger.post({ user: objectId(), type: 'gift', changes: { available: 1 }, session: {} }), { code: 'LEDGER_ERROR' });
+  await assert.rejects(ledger.post({ user: objectId(), type: 'adjustment', changes: { available: 0 }, session: {} }), { code: 'INVALID_AMOUNT' });
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareNames } = require('../utils/nameMatch');
+
+test('matches reordered names with an extra middle name', () => {
+  assert.deepEqual(compareNames('Adaeze Obi', 'OBI CHIOMA ADAEZE'), { score: 1, matches: true });
+});
+
+test('tolerates a one-letter difference in longer names', () => {
+  assert.equal(compareNames('Oluwaseun Adeyemi', 'OLUWASEUN ADEYEMY').matches, true);
+  assert.equal(compareNames('Ada Obi', 'ADE OBI').matches, false);
+});
+
+test('needs two matching tokens, or all of a one-word name', () => {
+  assert.equal(compareNames('Adaeze Obi Okafor', 'ADAEZE NWOSU').matches, false);
+  assert.equal(compareNames('Adaeze', 'ADAEZE NWOSU').matches, true);
+});
+
+test('never matches an empty name', () => {
+  assert.deepEqual(compareNames('', 'ADAEZE OBI'), { score: 0, matches: false });
+  assert.deepEqual(compareNames('Adaeze Obi', null), { score: 0, matches: false });
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDigit, isValidNuban } = require('../utils/nuban');
+
+test('checkDigit matches the CBN worked example', () => {
+  // First Bank (011), serial 000001457 -> check digit 9
+  assert.equal(checkDigit('011', '000001457'), 9);
+  assert.equal(checkDigit('000011', '000001457'), 9);
+});
+
+test('isValidNuban accepts only the account number with the right check digit', () => {
+  assert.equal(isValidNuban('0000014579', '011'), true);
+  const valid = Array.from({ length: 10 }, (_, d) => `000001457${d}`).filter(n => isValidNuban(n, '011'));
+  assert.deepEqual(valid, ['0000014579']);
+});
+
+test('isValidNuban rejects malformed input', () => {
+  assert.equal(isValidNuban('000001457', '011'), false);
+  assert.equal(isValidNuban('00000145791', '011'), false);
+  assert.equal(isValidNuban('00000A4579', '011'), false);
+  assert.equal(isValidNuban('0000014579', ''), false);
+  assert.equal(isValidNuban(undefined, '011'), false);
+});
@@ -0,0 +1,148 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const Upgrade = require('../models/Upgrade');
+const ledger = require('../services/ledger');
+const referrals = require('../services/referrals');
+const payments = require('../services/payments');
+const fake = require('../services/payments/fake');
+
+const env = { ...process.env };
+beforeEach(() => {
+  process.env.PAYMENT_PROVIDER = 'fake';
+  delete process.env.NODE_ENV;
+});
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test('there is no default payment provider', () => {
+  delete process.env.PAYMENT_PROVIDER;
+  assert.throws(() => payments.getProvider(), { code: 'PAYMENT_PROVIDER_ERROR' });
+  assert.throws(() => payments.assertConfigured(), { code: 'PAYMENT_PROVIDER_ERROR' });
+  assert.equal(payments.fakeCheckoutEnabled(), false);
+});
+
+test('the fake provider is refused in production', () => {
+  assert.equal(payments.assertConfigured().name, 'fake');
+  assert.equal(payments.fakeCheckoutEnabled(), true);
+
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => payments.assertConfigured(), /production/);
+  assert.equal(payments.fakeCheckoutEnabled(), false);
+});
+
+test('webhooks are only accepted from the configured provider', async () => {
+  process.env.PAYMENT_PROVIDER = 'paystack';
+  await assert.rejects(payments.handleWebhook('fake', Buffer.from('{}'), {}, {}), { status: 404 });
+});
+
+function webhookFor(t, existing, verified) {
+  stubTransactions(t);
+  t.mock.method(fake, 'verifyWebhook', () => true);
+  t.mock.method(fake, 'verifyTransaction', async () => verified);
+  t.mock.method(Payment, 'findOne', async () => existing);
+  const update = t.mock.method(Payment, 'findOneAndUpdate', (filter, change) => query({ ...existing, ...change.$set }));
+  const post = t.mock.method(ledger, 'post', async () => ({}));
+  return { update, post };
+}
+
+test('a payment in another currency is not honored', async t => {
+  const existing = { _id: objectId(), user: objectId(), purpose: 'registration', amount: 15000, currency: 'NGN', status: 'pending' };
+  const { update, post } = webhookFor(t, existing, { status: 'success', amount: 15000, currency: 'USD' });
+
+  const payment = await payments.handleWebhook('fake', Buffer.from('{}'), {}, { reference: 'DTA-1' });
+
+  assert.equal(payment.status, 'failed');
+  assert.match(update.mock.calls[0].arguments[1].$set.failureReason, /currency/);
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('a registration fee goes to platform revenue, not the withdrawable balance', async t => {
+  const existing = { _id: objectId(), user: objectId(), purpose: 'registration', amount: 15000, currency: 'NGN', status: 'pending' };
+  const { post } = webhookFor(t, existing, { status: 'success', amount: 15000, currency: 'NGN' });
+  t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const activate = t.mock.method(referrals, 'activate', async () => []);
+
+  const payment = await payments.handleWebhook('fake', Buffer.from('{}'), {}, { reference: 'DTA-1' });
+
+  assert.equal(payment.status, 'success');
+  const entries = post.mock.calls.map(call => call.arguments[0]);
+  assert.deepEqual(entries.map(e => [e.type, e.changes.available]), [['deposit', 15000], ['account_fee', -15000]]);
+  assert.equal(entries.reduce((sum, e) => sum + e.changes.available, 0), 0);
+  assert.equal(activate.mock.callCount(), 1);
+});
+
+test('an upgrade cannot be approved before its payment is confirmed', async t => {
+  t.mock.method(Upgrade, 'findById', async () => ({ _id: objectId(), status: 'pending' }));
+  t.mock.method(Payment, 'findOne', async () => null);
+  const update = t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(payments.approveUpgrade(objectId()), { status: 409, code: 'PAYMENT_NOT_CONFIRMED' });
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('approving a paid upgrade applies the payment only once', async t => {
+  stubTransactions(t);
+  const upgrade = { _id: objectId(), status: 'approved' };
+  t.mock.method(Upgrade, 'findById', async () => upgrade);
+  t.mock.method(Payment, 'findOne', async () => ({ _id: objectId(), user: objectId(), purpose: 'upgrade', level: 2, amount: 15000, upgrade: upgrade._id }));
+  const claim = t.mock.method(Upgrade, 'updateOne', async () => ({ modifiedCount: 0 }));
+  const post = t.mock.method(ledger, 'post', async () => ({}));
+
+  const result = await payments.approveUpgrade(upgrade._id);
+
+  assert.equal(result.upgrade, upgrade);
+  assert.equal(claim.mock.callCount(), 0);
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('a rejected upgrade cannot be approved', async t => {
+  t.mock.method(Upgrade, 'findById', async () => ({ _id: objectId(), status: 'rejected' }));
+  t.mock.method(Payment, 'findOne', async () => ({ _id: objectId(), status: 'success' }));
+  await assert.rejects(payments.approveUpgrade(objectId()), { status: 409, code: 'UPGRADE_REJECTED' });
+});
+
+// A verified payment whose account or upgrade moved on before the webhook arrived
+function latePayment(t, existing) {
+  const { post } = webhookFor(t, existing, { status: 'success', amount: existing.amount, currency: 'NGN' });
+  const users = t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+  t.mock.method(Upgrade, 'updateOne', async () => ({ modifiedCount: 0 }));
+  const refund = t.mock.method(Payment, 'updateOne', async () => ({}));
+  const activate = t.mock.method(referrals, 'activate', async () => []);
+  t.mock.method(console, 'warn', () => {});
+  return { post, users, refund, activate };
+}
+
+test('a late payment for a rejected upgrade raises no level and is marked for refund', async t => {
+  const existing = { _id: objectId(), user: objectId(), purpose: 'upgrade', level: 3, amount: 45000, currency: 'NGN', upgrade: objectId(), status: 'pending' };
+  const { post, users, refund } = latePayment(t, existing);
+
+  await payments.handleWebhook('fake', Buffer.from('{}'), {}, { reference: 'DTA-1' });
+
+  assert.equal(users.mock.callCount(), 0);
+  assert.equal(post.mock.callCount(), 0);
+  assert.deepEqual(refund.mock.calls[0].arguments[1], { $set: { refund: { status: 'due', reason: 'Upgrade was no longer pending' } } });
+});
+
+test('a second registration payment books no second fee', async t => {
+  const existing = { _id: objectId(), user: objectId(), purpose: 'registration', level: 1, amount: 15000, currency: 'NGN', status: 'pending' };
+  const { post, refund, activate } = latePayment(t, existing);
+
+  await payments.handleWebhook('fake', Buffer.from('{}'), {}, { reference: 'DTA-2' });
+
+  assert.equal(post.mock.callCount(), 0);
+  assert.equal(activate.mock.callCount(), 0);
+  assert.equal(refund.mock.calls[0].arguments[1].$set.refund.reason, 'Account was already active');
+});
+
+test('upgrades stop at the highest configured level', async t => {
+  t.mock.method(User, 'findById', async () => ({ _id: objectId(), level: 2, upgrades: [] }));
+  const create = t.mock.method(Upgrade, 'create', async doc => doc);
+
+  await assert.rejects(payments.startUpgrade(objectId(), 99), { status: 400, code: 'INVALID_LEVEL', message: 'Level must be at most 6' });
+  await assert.rejects(payments.startUpgrade(objectId(), 2), { code: 'INVALID_LEVEL' });
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const Withdrawal = require('../models/Withdrawal');
+const PayoutBatch = require('../models/PayoutBatch');
+const withdrawalService = require('../services/withdrawals');
+const payoutBatches = require('../services/payoutBatches');
+
+const bank = (overrides = {}) => ({
+  type: 'Bank Account',
+  verification: { status: 'verified' },
+  details: { bankCode: '011', bank: 'First Bank of Nigeria', accountNumber: '0000014579', accountName: 'ADA OBI' },
+  ...overrides,
+});
+
+test('create only batches withdrawals to verified bank accounts', async t => {
+  stubTransactions(t);
+  const eligible = { _id: objectId(), amount: 5000, netAmount: 4900, paymentMethod: bank() };
+  t.mock.method(Withdrawal, 'find', () => query([
+    { _id: objectId(), amount: 1000, paymentMethod: bank({ verification: { status: 'name_mismatch' } }) },
+    { _id: objectId(), amount: 1000, paymentMethod: { type: 'PayPal', details: { email: 'a@b.c' } } },
+    { _id: objectId(), amount: 1000, paymentMethod: bank({ details: { bankCode: '011', accountNumber: '' } }) },
+    { _id: objectId(), amount: 1000, paymentMethod: null },
+    eligible,
+  ]));
+  const claim = t.mock.method(Withdrawal, 'updateMany', async () => ({}));
+  t.mock.method(PayoutBatch.prototype, 'save', async function () { return this; });
+
+  const batch = await payoutBatches.create({ adminId: objectId() });
+
+  assert.deepEqual(batch.items.map(i => i.withdrawal.toString()), [eligible._id.toString()]);
+  assert.deepEqual(claim.mock.calls[0].arguments[0]._id.$in, [eligible._id]);
+});
+
+test('create refuses a batch with nothing payable', async t => {
+  stubTransactions(t);
+  t.mock.method(Withdrawal, 'find', () => query([{ _id: objectId(), amount: 1000, paymentMethod: { type: 'PayPal' } }]));
+  await assert.rejects(payoutBatches.create({ adminId: objectId() }), { code: 'EMPTY_BATCH' });
+});
+
+test('approve runs every item in one transaction and drops items that moved on', async t => {
+  const sessions = stubTransactions(t);
+  const [kept, gone] = [objectId(), objectId()];
+  const batch = new PayoutBatch({
+    reference: 'PB-1',
+    createdBy: objectId(),
+    items: [{ withdrawal: kept, amount: 10, netAmount: 10 }, { withdrawal: gone, amount: 20, netAmount: 20 }],
+  });
+  t.mock.method(PayoutBatch, 'findOneAndUpdate', () => query(batch));
+  const save = t.mock.method(batch, 'save', async () => batch);
+  const transition = t.mock.method(withdrawalService, 'transition', async id => {
+    if (id === gone) throw new (require('../utils/ServiceError'))('Withdrawal is declined and cannot be approved', 409, 'INVALID_TRANSITION');
+  });
+  const release = t.mock.method(Withdrawal, 'updateOne', async () => ({}));
+
+  await payoutBatches.approve(batch._id, objectId());
+
+  assert.deepEqual(batch.items.map(i => i.status), ['approved', 'removed']);
+  assert.ok(transition.mock.calls.every(call => call.arguments[2].session === sessions[0]));
+  assert.equal(release.mock.calls[0].arguments[2].session, sessions[0]);
+  assert.equal(save.mock.calls[0].arguments[0].session, sessions[0]);
+});
+
+function approvedBatch(t, accountNumber = '0000014579') {
+  const withdrawal = { _id: objectId(), user: { fullName: 'Ada Obi' }, paymentMethod: bank({ details: { bankCode: '011', accountNumber, accountName: 'ADA OBI' } }) };
+  const batch = {
+    _id: objectId(),
+    reference: 'PB-20261019-ABC123',
+    status: 'approved',
+    items: [{ withdrawal, status: 'approved', netAmount: 4900.5 }],
+    populate: async () => {},
+  };
+  t.mock.method(PayoutBatch, 'findById', async () => batch);
+  return { batch, withdrawal, stamp: t.mock.method(PayoutBatch, 'updateOne', async () => ({})) };
+}
+
+test('the NIBSS file has fixed-width header, detail and trailer records in kobo', async t => {
+  const { withdrawal } = approvedBatch(t);
+
+  const { content, filename } = await payoutBatches.exportFile('x', 'nibss');
+  const [header, detail, trailer] = content.split('\r\n');
+
+  assert.equal(filename, 'PB-20261019-ABC123.txt');
+  assert.equal(header.length, 1 + 20 + 8 + 6 + 15);
+  assert.ok(header.endsWith('000001000000000490050'));
+  assert.equal(detail.length, 1 + 6 + 6 + 10 + 35 + 15 + 30 + 30);
+  assert.equal(detail.slice(0, 23), 'D0000010000110000014579');
+  assert.equal(detail.slice(23, 58).trimEnd(), 'ADA OBI');
+  assert.equal(detail.slice(58, 73), '000000000490050');
+  assert.equal(detail.slice(73, 103).trimEnd(), withdrawal._id.toString().toUpperCase());
+  assert.equal(trailer, 'T000001000000000490050');
+});
+
+test('a row without a valid account number is never written to the NIBSS file', async t => {
+  const { stamp } = approvedBatch(t, '');
+  await assert.rejects(payoutBatches.exportFile('x', 'nibss'), { status: 422, code: 'INVALID_ACCOUNT' });
+  assert.equal(stamp.mock.callCount(), 0);
+});
+
+test('the CSV export lists one row per approved item', async t => {
+  const { withdrawal } = approvedBatch(t);
+  const { content } = await payoutBatches.exportFile('x', 'csv');
+  assert.equal(content, 'reference,account_number,bank_code,bank_name,account_name,amount,narration\r\n'
+    + `${withdrawal._id},0000014579,011,First Bank of Nigeria,ADA OBI,4900.50,DailyTask Academy withdrawal\r\n`);
+});
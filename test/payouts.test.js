@@ -0,0 +1,149 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const Withdrawal = require('../models/Withdrawal');
+const withdrawalService = require('../services/withdrawals');
+const ledger = require('../services/ledger');
+const payouts = require('../services/payouts');
+const stub = require('../services/payouts/stub');
+
+const env = { ...process.env };
+beforeEach(() => {
+  process.env.PAYOUT_PROVIDER = 'stub';
+});
+afterEach(() => {
+  process.env = { ...env };
+});
+
+function queuedWithdrawal(attempts) {
+  return {
+    _id: objectId(),
+    user: objectId(),
+    amount: 5000,
+    status: 'approved',
+    transfer: { reference: `PO-${attempts}`, status: 'processing', attempts },
+    paymentMethod: { type: 'Bank Account', details: { bankCode: '058', accountNumber: '0123456789', accountName: 'ADA OBI' } },
+  };
+}
+
+function stubSettlement(t, withdrawal) {
+  t.mock.method(Withdrawal, 'findOne', () => query({ _id: withdrawal._id }));
+  const paid = t.mock.method(withdrawalService, 'markPaid', async () => ({ withdrawal }));
+  const failed = t.mock.method(withdrawalService, 'fail', async () => ({ withdrawal }));
+  const update = t.mock.method(Withdrawal, 'updateOne', async () => ({ modifiedCount: 1 }));
+  return { paid, failed, update };
+}
+
+test('a duplicate-reference rejection after a timed-out attempt is checked with the provider, not failed', async t => {
+  const withdrawal = queuedWithdrawal(2);
+  t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(withdrawal));
+  t.mock.method(stub, 'initiateTransfer', async () => {
+    throw Object.assign(new Error('Duplicate transfer reference'), { transient: false });
+  });
+  t.mock.method(stub, 'verifyTransfer', async reference => ({ reference, status: 'success' }));
+  const { paid, failed } = stubSettlement(t, withdrawal);
+
+  const result = await payouts.dispatch(withdrawal._id);
+
+  assert.equal(result.outcome, 'paid');
+  assert.equal(paid.mock.callCount(), 1);
+  assert.equal(failed.mock.callCount(), 0);
+});
+
+test('a transfer the provider still has in flight stays processing', async t => {
+  const withdrawal = queuedWithdrawal(2);
+  t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(withdrawal));
+  t.mock.method(stub, 'initiateTransfer', async () => {
+    throw Object.assign(new Error('Duplicate transfer reference'), { transient: false });
+  });
+  t.mock.method(stub, 'verifyTransfer', async reference => ({ reference, status: 'pending' }));
+  const { paid, failed } = stubSettlement(t, withdrawal);
+
+  const result = await payouts.dispatch(withdrawal._id);
+
+  assert.equal(result.outcome, 'processing');
+  assert.equal(paid.mock.callCount() + failed.mock.callCount(), 0);
+});
+
+test('a first attempt rejected outright fails without asking the provider', async t => {
+  const withdrawal = queuedWithdrawal(1);
+  t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(withdrawal));
+  t.mock.method(stub, 'initiateTransfer', async () => {
+    throw Object.assign(new Error('Invalid account'), { transient: false });
+  });
+  const verify = t.mock.method(stub, 'verifyTransfer', async reference => ({ reference, status: 'not_found' }));
+  const { failed } = stubSettlement(t, withdrawal);
+
+  assert.equal((await payouts.dispatch(withdrawal._id)).outcome, 'failed');
+  assert.equal(failed.mock.callCount(), 1);
+  assert.equal(verify.mock.callCount(), 0);
+});
+
+test('transient errors requeue the transfer while attempts remain', async t => {
+  const withdrawal = queuedWithdrawal(1);
+  t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(withdrawal));
+  t.mock.method(stub, 'initiateTransfer', async () => {
+    throw Object.assign(new Error('Timeout'), { transient: true });
+  });
+  const { update, failed } = stubSettlement(t, withdrawal);
+
+  assert.equal((await payouts.dispatch(withdrawal._id)).outcome, 'retrying');
+  assert.equal(update.mock.calls[0].arguments[1].$set['transfer.status'], 'queued');
+  assert.equal(failed.mock.callCount(), 0);
+});
+
+test('recoverStuck settles, requeues or leaves transfers by what the provider reports', async t => {
+  const done = queuedWithdrawal(1);
+  const lost = queuedWithdrawal(2);
+  const flying = queuedWithdrawal(3);
+  t.mock.method(Withdrawal, 'find', () => query([done, lost, flying]));
+  const statuses = { [done.transfer.reference]: 'success', [lost.transfer.reference]: 'not_found', [flying.transfer.reference]: 'pending' };
+  t.mock.method(stub, 'verifyTransfer', async reference => ({ reference, status: statuses[reference] }));
+  const { paid, failed, update } = stubSettlement(t, done);
+
+  const results = await payouts.recoverStuck();
+
+  assert.deepEqual(results.map(r => r.outcome), ['paid', 'retrying', 'processing']);
+  assert.equal(paid.mock.callCount(), 1);
+  assert.equal(failed.mock.callCount(), 0);
+  assert.equal(update.mock.calls[0].arguments[1].$set['transfer.status'], 'queued');
+});
+
+test('an admin cannot mark a withdrawal paid while its transfer is processing', async t => {
+  stubTransactions(t);
+  const update = t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Withdrawal, 'findById', () => query({ status: 'approved' }));
+  const post = t.mock.method(ledger, 'post', async () => ({}));
+
+  await assert.rejects(withdrawalService.markPaid(objectId(), objectId()), { code: 'PAYOUT_IN_PROGRESS' });
+  assert.deepEqual(update.mock.calls[0].arguments[0]['transfer.status'], { $ne: 'processing' });
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('a bank account without a resolved bank code is failed, not sent with the bank name', async t => {
+  const withdrawal = queuedWithdrawal(1);
+  withdrawal.paymentMethod.details = { bank: 'GTBank', accountNumber: '0123456789', accountName: 'ADA OBI' };
+  t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(withdrawal));
+  const send = t.mock.method(stub, 'initiateTransfer', async () => ({ status: 'pending' }));
+  const { failed } = stubSettlement(t, withdrawal);
+
+  assert.equal((await payouts.dispatch(withdrawal._id)).outcome, 'failed');
+  assert.equal(failed.mock.calls[0].arguments[1], 'Bank account has no verified bank code');
+  assert.equal(send.mock.callCount(), 0);
+});
+
+test('the stub provider needs its own webhook secret and is refused in production', () => {
+  delete process.env.STUB_PAYOUT_SECRET;
+  assert.throws(() => payouts.assertConfigured(), { code: 'PAYOUT_PROVIDER_ERROR' });
+  const rawBody = Buffer.from('{"reference":"PO-1","status":"success"}');
+  const forged = require('crypto').createHmac('sha256', 'stub-payout-secret').update(rawBody).digest('hex');
+  assert.equal(stub.verifyWebhook(rawBody, { 'x-stub-signature': forged }), false);
+
+  process.env.STUB_PAYOUT_SECRET = 'local-secret';
+  assert.equal(payouts.assertConfigured().name, 'stub');
+
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => payouts.getProvider(), { code: 'PAYOUT_PROVIDER_ERROR' });
+  delete process.env.PAYOUT_PROVIDER;
+  assert.equal(payouts.assertConfigured(), null);
+});
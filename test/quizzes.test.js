@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const QuizAttempt = require('../models/QuizAttempt');
+const SurveyResponse = require('../models/SurveyResponse');
+const quizzes = require('../services/quizzes');
+
+function quizTask(overrides = {}) {
+  return {
+    _id: objectId(),
+    type: 'quiz',
+    passMark: 70,
+    maxAttempts: 3,
+    questions: [
+      { _id: objectId(), prompt: 'Capital of Nigeria?', kind: 'choice', options: ['Lagos', 'Abuja'], correct: [1], required: true },
+      { _id: objectId(), prompt: 'Even numbers?', kind: 'choice', options: ['1', '2', '4'], correct: [1, 2], multiple: true, required: true },
+    ],
+    ...overrides,
+  };
+}
+
+const answersFor = (task, ...choices) => task.questions.map((q, i) => ({ question: q._id.toString(), choices: choices[i] }));
+
+test('quiz questions need a valid answer key, which is never shown to users', () => {
+  const [question] = quizzes.parseQuestions('quiz', [{ prompt: ' Capital? ', options: ['Lagos', 'Abuja', ''], correct: 1 }]);
+  assert.deepEqual(question, { prompt: 'Capital?', kind: 'choice', options: ['Lagos', 'Abuja'], multiple: false, correct: [1], required: true });
+
+  assert.throws(() => quizzes.parseQuestions('quiz', [{ prompt: 'Capital?', options: ['Lagos', 'Abuja'], correct: 2 }]), { code: 'INVALID_TASK' });
+  assert.throws(() => quizzes.parseQuestions('quiz', []), { code: 'INVALID_TASK' });
+  assert.equal('correct' in quizzes.publicQuestions(quizTask())[0], false);
+});
+
+test('a quiz attempt is scored and recorded, passing only at the pass mark', async t => {
+  const task = quizTask();
+  t.mock.method(QuizAttempt, 'countDocuments', () => query(1));
+  const create = t.mock.method(QuizAttempt, 'create', async docs => docs);
+  const session = { id: 1 };
+
+  const pass = await quizzes.attempt({ task, userId: objectId(), answers: answersFor(task, [1], [2, 1]), session });
+  assert.deepEqual(pass, { score: 100, passed: true, passMark: 70, attemptsLeft: 1 });
+
+  const fail = await quizzes.attempt({ task, userId: objectId(), answers: answersFor(task, [1], [1]), session });
+  assert.deepEqual(fail, { score: 50, passed: false, passMark: 70, attemptsLeft: 1 });
+
+  const [[recorded], options] = create.mock.calls[1].arguments;
+  assert.equal(recorded.attempt, 2);
+  assert.equal(recorded.correctCount, 1);
+  assert.equal(options.session, session);
+});
+
+test('a quiz refuses attempts once they are used up, and malformed answers', async t => {
+  const task = quizTask();
+  const create = t.mock.method(QuizAttempt, 'create', async docs => docs);
+
+  t.mock.method(QuizAttempt, 'countDocuments', () => query(3));
+  await assert.rejects(
+    quizzes.attempt({ task, userId: objectId(), answers: answersFor(task, [1], [1, 2]) }),
+    { code: 'ATTEMPTS_EXHAUSTED', details: { attemptsLeft: 0 } }
+  );
+
+  QuizAttempt.countDocuments.mock.mockImplementation(() => query(0));
+  await assert.rejects(quizzes.attempt({ task, userId: objectId(), answers: answersFor(task, [0, 1], [1]) }), { code: 'INVALID_ANSWERS' });
+  await assert.rejects(quizzes.attempt({ task, userId: objectId(), answers: answersFor(task, [5], [1]) }), { code: 'INVALID_ANSWERS' });
+  await assert.rejects(quizzes.attempt({ task, userId: objectId(), answers: answersFor(task, [], [1]) }), { code: 'ANSWERS_REQUIRED' });
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('attempts left are counted per quiz task', async t => {
+  const [used, fresh] = [quizTask(), quizTask({ maxAttempts: 2 })];
+  t.mock.method(QuizAttempt, 'aggregate', async () => [{ _id: used._id, count: 5 }]);
+
+  const left = await quizzes.attemptsLeft(objectId(), [used, fresh, { _id: objectId(), type: 'link' }]);
+
+  assert.deepEqual([...left.values()], [0, 2]);
+});
+
+test('survey responses are stored and exported with option labels', async t => {
+  const [question] = quizzes.parseQuestions('survey', [{ prompt: 'How did you hear about us?', options: ['Friend', 'Ad'], multiple: true }]);
+  const task = {
+    _id: objectId(),
+    type: 'survey',
+    questions: [{ _id: objectId(), ...question }, { _id: objectId(), prompt: 'Anything else?', kind: 'text', options: [], required: false }],
+  };
+  const create = t.mock.method(SurveyResponse, 'create', async docs => docs);
+
+  const response = await quizzes.respond({ task, userId: objectId(), answers: [{ question: task.questions[0]._id.toString(), choices: [0, 1] }] });
+  assert.deepEqual(response.answers[0].choices, [0, 1]);
+  assert.equal(response.answers[1].text, undefined);
+  await assert.rejects(quizzes.respond({ task, userId: objectId(), answers: [] }), { code: 'ANSWERS_REQUIRED' });
+  assert.equal(create.mock.callCount(), 1);
+
+  t.mock.method(SurveyResponse, 'find', () => query([{
+    createdAt: new Date('2026-10-19T10:00:00Z'),
+    user: { username: 'ada', fullName: 'Ada Obi' },
+    answers: [{ question: task.questions[0]._id, choices: [0, 1] }, { question: task.questions[1]._id, text: '=HYPERLINK("x")' }],
+  }]));
+  const csv = await quizzes.surveyCsv(task);
+  assert.match(csv, /^submitted_at,username,full_name,How did you hear about us\?,Anything else\?/);
+  assert.match(csv, /ada,Ada Obi,Friend; Ad,"'=HYPERLINK\(""x""\)"/);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { objectId } = require('./helpers');
+const ReferralClick = require('../models/ReferralClick');
+
+// IP_SALT is read when the module loads, so load a fresh copy for each configuration
+function load(salt) {
+  const path = require.resolve('../services/referralTracking');
+  delete require.cache[path];
+  const saved = { salt: process.env.REFERRAL_IP_SALT, jwt: process.env.JWT_SECRET };
+  if (salt === undefined) delete process.env.REFERRAL_IP_SALT;
+  else process.env.REFERRAL_IP_SALT = salt;
+  process.env.JWT_SECRET = 'jwt-secret';
+  try {
+    return require(path);
+  } finally {
+    if (saved.salt === undefined) delete process.env.REFERRAL_IP_SALT;
+    else process.env.REFERRAL_IP_SALT = saved.salt;
+    if (saved.jwt === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = saved.jwt;
+  }
+}
+
+const req = { ip: '102.89.1.1', query: { utm_source: 'whatsapp' }, get: () => undefined };
+
+async function click(t, tracking) {
+  t.mock.method(ReferralClick, 'create', async doc => doc);
+  return tracking.trackClick({ referrer: { _id: objectId() }, code: 'ada', req });
+}
+
+test('click IPs are hashed with REFERRAL_IP_SALT', async t => {
+  const clicked = await click(t, load('ip-salt'));
+  assert.equal(clicked.ipHash, crypto.createHmac('sha256', 'ip-salt').update(req.ip).digest('hex'));
+  assert.deepEqual(clicked.utm, { source: 'whatsapp' });
+  assert.match(clicked.token, /^[a-f0-9]{32}$/);
+});
+
+test('without REFERRAL_IP_SALT no IP hash is kept, and the JWT secret is not used', async t => {
+  const clicked = await click(t, load(undefined));
+  assert.equal(clicked.ipHash, undefined);
+});
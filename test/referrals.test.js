@@ -0,0 +1,194 @@
+// Task commissions are off unless configured, so turn them on before config/referrals.js loads
+process.env.REFERRAL_TASK_COMMISSIONS = '10,5';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const ledger = require('../services/ledger');
+const referrals = require('../services/referrals');
+
+const session = { id: 'outer' };
+const referral = (tier, overrides = {}) => ({ _id: objectId(), referrer: objectId(), tier, bonusStatus: 'credited', ...overrides });
+
+function stubPosting(t) {
+  return {
+    post: t.mock.method(ledger, 'post', async entry => entry),
+    earnings: t.mock.method(Referral, 'updateOne', async () => ({})),
+  };
+}
+
+test('task commissions are paid per tier in the caller\'s session', async t => {
+  const chain = [referral(1), referral(2)];
+  const find = t.mock.method(Referral, 'find', () => query(chain));
+  t.mock.method(User, 'find', () => query([]));
+  const { post, earnings } = stubPosting(t);
+
+  const paid = await referrals.payTaskCommissions({
+    refereeId: objectId(), amount: 200, reference: { kind: 'Task', id: objectId() }, description: 'Task approved', session,
+  });
+
+  assert.deepEqual(paid.map(p => [p.tier, p.amount]), [[1, 20], [2, 10]]);
+  assert.deepEqual(post.mock.calls.map(c => c.arguments[0].changes), [{ referralBonus: 20 }, { referralBonus: 10 }]);
+  assert.ok(post.mock.calls.every(c => c.arguments[0].session === session));
+  assert.deepEqual(earnings.mock.calls[0].arguments[1], { $inc: { earnings: 20 } });
+
+  const filter = find.mock.calls[0].arguments[0];
+  assert.deepEqual(filter.bonusStatus, { $nin: ['void', 'held'] });
+  assert.deepEqual(filter.suspicious, { $ne: true });
+});
+
+test('referrers on hold earn no task commission', async t => {
+  const [direct, upline] = [referral(1), referral(2)];
+  t.mock.method(Referral, 'find', () => query([direct, upline]));
+  const users = t.mock.method(User, 'find', () => query([{ _id: direct.referrer }]));
+  const { post } = stubPosting(t);
+
+  const paid = await referrals.payTaskCommissions({ refereeId: objectId(), amount: 200, description: 'Task approved', session });
+
+  assert.deepEqual(users.mock.calls[0].arguments[0].referralsOnHold, true);
+  assert.deepEqual(paid.map(p => p.referrer), [upline.referrer]);
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('no commission is paid without an open referral', async t => {
+  t.mock.method(Referral, 'find', () => query([]));
+  const users = t.mock.method(User, 'find', () => query([]));
+  const { post } = stubPosting(t);
+
+  assert.deepEqual(await referrals.payTaskCommissions({ refereeId: objectId(), amount: 200, session }), []);
+  assert.deepEqual(await referrals.payTaskCommissions({ refereeId: objectId(), amount: 0, session }), []);
+  assert.equal(users.mock.callCount(), 0);
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('a signup records one referral per tier up the chain, stopping at a cycle', async t => {
+  stubTransactions(t);
+  const referee = { _id: objectId() };
+  const direct = { _id: objectId(), referredBy: objectId() };
+  const upline = { _id: direct.referredBy, referredBy: referee._id };
+  referee.referredBy = direct._id;
+  t.mock.method(User, 'findOneAndUpdate', async () => direct);
+  t.mock.method(User, 'findById', () => query(upline));
+  const inserted = t.mock.method(Referral, 'insertMany', async docs => docs);
+
+  assert.equal(await referrals.record(referee), direct);
+
+  const docs = inserted.mock.calls[0].arguments[0];
+  assert.deepEqual(docs.map(d => [d.referrer, d.tier, d.bonus, d.bonusStatus]), [
+    [direct._id, 1, 1000, 'pending'],
+    [upline._id, 2, 0, 'pending'],
+  ]);
+});
+
+// Referral.findOneAndUpdate for activate() and credit(): applies $set and $inc to the stored referral
+function stubReferralUpdates(t, stored) {
+  const byId = new Map(stored.map(r => [r._id.toString(), r]));
+  return t.mock.method(Referral, 'findOneAndUpdate', async (filter, update) => {
+    const referral = byId.get(filter._id.toString());
+    if (referral.bonusStatus !== filter.bonusStatus) return null;
+    Object.assign(referral, update.$set);
+    if (update.$inc?.bonus) referral.bonus = Math.round((referral.bonus + update.$inc.bonus) * 100) / 100;
+    return referral;
+  });
+}
+
+test('activation adds each tier\'s commission on the fee and credits it', async t => {
+  const chain = [referral(1, { bonus: 1000, bonusStatus: 'pending' }), referral(2, { bonus: 0, bonusStatus: 'pending' }), referral(3, { bonus: 0, bonusStatus: 'pending' })];
+  t.mock.method(Referral, 'find', () => query(chain));
+  t.mock.method(User, 'findById', () => query({ level: 1, referralsOnHold: false }));
+  t.mock.method(require('../services/referralCampaigns'), 'activeFor', async () => []);
+  stubReferralUpdates(t, chain);
+  const post = t.mock.method(ledger, 'post', async entry => entry);
+
+  const results = await referrals.activate({ refereeId: objectId(), amount: 5000, session });
+
+  // 10%, 5% and 2% of 5000, with the signup bonus on tier 1
+  assert.deepEqual(results.map(r => [r.tier, r.amount, r.held]), [[1, 1500, false], [2, 250, false], [3, 100, false]]);
+  assert.deepEqual(post.mock.calls.map(c => c.arguments[0].changes.referralBonus), [1500, 250, 100]);
+  assert.ok(chain.every(r => r.bonusStatus === 'credited' && r.clawbackUntil > new Date()));
+});
+
+test('activation holds bonuses of suspicious referrals and referrers on hold', async t => {
+  const chain = [referral(1, { bonus: 1000, bonusStatus: 'pending', suspicious: true }), referral(2, { bonus: 0, bonusStatus: 'pending' })];
+  t.mock.method(Referral, 'find', () => query(chain));
+  t.mock.method(User, 'findById', id => query({ level: 1, referralsOnHold: id.equals(chain[1].referrer) }));
+  t.mock.method(require('../services/referralCampaigns'), 'activeFor', async () => []);
+  stubReferralUpdates(t, chain);
+  const post = t.mock.method(ledger, 'post', async entry => entry);
+
+  const results = await referrals.activate({ refereeId: objectId(), amount: 5000, session });
+
+  assert.deepEqual(results.map(r => r.held), [true, true]);
+  assert.deepEqual(chain.map(r => r.bonusStatus), ['held', 'held']);
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('voiding a credited bonus claws back no more than the referrer still holds', async t => {
+  const credited = referral(1, { bonus: 1500 });
+  t.mock.method(Referral, 'findOneAndUpdate', async (filter, update) => ({ ...credited, ...update.$set }));
+  t.mock.method(User, 'findById', () => query({ referralBonus: 400 }));
+  const post = t.mock.method(ledger, 'post', async entry => entry);
+
+  const voided = await referrals.voidReferral(credited, 'referee suspended', { session });
+
+  assert.equal(voided.bonusStatus, 'void');
+  assert.equal(post.mock.calls[0].arguments[0].type, 'referral_clawback');
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { referralBonus: -400 });
+});
+
+test('voiding a pending bonus posts nothing', async t => {
+  const pending = referral(1, { bonus: 1000, bonusStatus: 'pending' });
+  const claim = t.mock.method(Referral, 'findOneAndUpdate', async () => ({ ...pending, bonusStatus: 'void' }));
+  const post = t.mock.method(ledger, 'post', async entry => entry);
+
+  await referrals.voidReferral(pending, 'referee deleted', { session });
+
+  assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: pending._id, bonusStatus: 'pending' });
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('suspending a referee voids open bonuses and those still inside the clawback window', async t => {
+  stubTransactions(t);
+  const find = t.mock.method(Referral, 'find', () => query([referral(1, { bonus: 0, bonusStatus: 'held' })]));
+  t.mock.method(Referral, 'findOneAndUpdate', async (filter, update) => ({ _id: filter._id, ...update.$set }));
+
+  const voided = await referrals.voidForReferee(objectId(), 'suspended');
+
+  const { $or } = find.mock.calls[0].arguments[0];
+  assert.deepEqual($or[0], { bonusStatus: { $in: ['pending', 'held'] } });
+  assert.equal($or[1].bonusStatus, 'credited');
+  assert.ok($or[1].clawbackUntil.$gt instanceof Date);
+  assert.equal(voided[0].voidReason, 'referee suspended');
+});
+
+// summary() reads the user, then the pending/held/locked totals, then the active referral count
+function stubSummary(t, { status = 'active', referralBonus, locked = 0, activeReferrals = 0 }) {
+  stubTransactions(t);
+  const user = { _id: objectId(), status, referralBonus };
+  t.mock.method(User, 'findById', () => query(user));
+  t.mock.method(Referral, 'aggregate', () => query([{ pending: 0, held: 0, locked }]));
+  t.mock.method(Referral, 'countDocuments', () => query(activeReferrals));
+  return { user, post: t.mock.method(ledger, 'post', async entry => entry) };
+}
+
+test('only earnings outside the clawback window can be transferred', async t => {
+  const { user, post } = stubSummary(t, { referralBonus: 5000, locked: 3500 });
+
+  const summary = await referrals.summary(user._id);
+  assert.equal(summary.locked, 3500);
+  assert.equal(summary.transferable, 1500);
+
+  await assert.rejects(referrals.transfer(user._id, 2000), { code: 'INSUFFICIENT_FUNDS' });
+  await assert.rejects(referrals.transfer(user._id, 500), { code: 'BELOW_MINIMUM' });
+  await referrals.transfer(user._id, 1500);
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { referralBonus: -1500, available: 1500 });
+});
+
+test('inactive accounts cannot transfer referral earnings', async t => {
+  const { user, post } = stubSummary(t, { status: 'suspended', referralBonus: 5000 });
+  await assert.rejects(referrals.transfer(user._id, 1000), { code: 'ACCOUNT_INACTIVE' });
+  await assert.rejects(referrals.transfer(user._id, -5), { code: 'INVALID_AMOUNT' });
+  assert.equal(post.mock.callCount(), 0);
+});
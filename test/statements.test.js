@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Statement = require('../models/Statement');
+const statements = require('../services/statements');
+
+const entry = (date, type, change, balanceAfter, description) => ({
+  date: new Date(date),
+  type,
+  description,
+  postings: [{ account: 'user:available', amount: change }, { account: 'platform:cash', amount: -change }],
+  balanceAfter,
+});
+
+test('periods are platform-local calendar months', () => {
+  const { start, end } = statements.periodRange('2026-10');
+  assert.equal(start.toISOString(), '2026-09-30T23:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-10-31T23:00:00.000Z');
+  assert.throws(() => statements.periodRange('2026-13'), { code: 'INVALID_PERIOD' });
+  assert.equal(statements.previousPeriod(new Date('2026-10-01T00:30:00+01:00')), '2026-09');
+});
+
+test('a statement opens where the last month closed and sums its movements by category', async t => {
+  t.mock.method(User, 'findById', () => query({ fullName: 'Ada <Obi>', username: 'ada', email: 'ada@example.com' }));
+  t.mock.method(Transaction, 'findOne', () => query({ balanceAfter: { available: 1000, pending: 200, referralBonus: 0 } }));
+  t.mock.method(Transaction, 'find', () => query([
+    entry('2026-09-03T09:00:00Z', 'task_reward', 300, { available: 1300, pending: 200, referralBonus: 0 }, 'Task reward: Follow us'),
+    entry('2026-09-10T09:00:00Z', 'payout', -1000, { available: 300, pending: 200, referralBonus: 0 }, 'Withdrawal paid'),
+    entry('2026-09-20T09:00:00Z', 'adjustment', 50, { available: 350, pending: 200, referralBonus: 0 }, 'Manual adjustment'),
+  ]));
+
+  const statement = await statements.build(objectId(), '2026-09');
+
+  assert.equal(statement.openingBalance, 1200);
+  assert.deepEqual(
+    [statement.taskEarnings, statement.withdrawals, statement.adjustments, statement.closingBalance],
+    [300, -1000, 50, 550]
+  );
+  assert.equal(statement.openingBalance + statement.taskEarnings + statement.withdrawals + statement.adjustments, statement.closingBalance);
+
+  const html = statements.renderHtml(statement);
+  assert.match(html, /September 2026/);
+  assert.match(html, /Ada &lt;Obi&gt;/);
+  assert.match(html, /-₦1,000\.00/);
+
+  const pdf = await statements.renderPdf(statement);
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('statements are refused for months that have not started, and for unknown users', async t => {
+  await assert.rejects(statements.build(objectId(), '2999-01'), { code: 'INVALID_PERIOD' });
+
+  t.mock.method(User, 'findById', () => query(null));
+  await assert.rejects(statements.build(objectId(), '2026-09'), { status: 404, code: 'USER_NOT_FOUND' });
+});
+
+test('a statement already sent this month is not emailed again', async t => {
+  t.mock.method(Statement, 'create', async () => { throw Object.assign(new Error('dup'), { code: 11000 }); });
+  const retry = t.mock.method(Statement, 'findOneAndUpdate', async () => null);
+  const lookup = t.mock.method(User, 'findById', () => query(null));
+
+  assert.equal(await statements.emailStatement(objectId(), '2026-09'), false);
+  assert.deepEqual(retry.mock.calls[0].arguments[0].status, 'failed');
+  assert.equal(lookup.mock.callCount(), 0);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const User = require('../models/User');
+const TaskCompletion = require('../models/TaskCompletion');
+const ledger = require('../services/ledger');
+const streaks = require('../services/streaks');
+
+const now = new Date('2026-10-19T10:00:00Z');
+const session = { id: 'outer' };
+
+// User.findOneAndUpdate applies the streak $set to a copy of the user
+function stubSave(t) {
+  return t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    const streak = {};
+    Object.entries(update.$set).forEach(([key, value]) => { streak[key.slice('streak.'.length)] = value; });
+    return { _id: filter._id, streak };
+  });
+}
+
+test('the next day extends a streak and a milestone pays its bonus once', async t => {
+  stubSave(t);
+  const post = t.mock.method(ledger, 'post', async () => ({ balance: { available: 1500 } }));
+  const user = { _id: objectId(), streak: { current: 6, longest: 6, lastDay: '2026-10-18', freezes: 2 } };
+
+  const result = await streaks.record({ user, day: '2026-10-19', now, session });
+
+  assert.equal(result.streak.current, 7);
+  assert.deepEqual(result.bonus, { days: 7, amount: 500 });
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { available: 500 });
+  assert.equal(await streaks.record({ user: { ...user, streak: { lastDay: '2026-10-19' } }, day: '2026-10-19', session }), null);
+});
+
+test('missed days use freezes, and a streak without enough starts again', async t => {
+  stubSave(t);
+  const user = { _id: objectId(), streak: { current: 3, longest: 5, lastDay: '2026-10-16', freezes: 2 } };
+
+  const covered = await streaks.record({ user, day: '2026-10-19', now, session });
+  assert.equal(covered.streak.current, 4);
+  assert.equal(covered.freezesUsed, 2);
+  assert.equal(covered.streak.freezes, 0);
+
+  const broken = await streaks.record({ user: { ...user, streak: { ...user.streak, freezes: 1 } }, day: '2026-10-19', now, session });
+  assert.equal(broken.streak.current, 1);
+  assert.equal(broken.streak.longest, 5);
+});
+
+test('only credited completions fill the day for a streak', async t => {
+  const count = t.mock.method(TaskCompletion, 'countDocuments', () => query(1));
+  const save = stubSave(t);
+  const user = { _id: objectId(), streak: { current: 1, lastDay: '2026-10-18' } };
+
+  assert.equal(await streaks.recordIfComplete({ user, day: '2026-10-19', limit: 2, now, session }), null);
+  assert.deepEqual(count.mock.calls[0].arguments[0], { user: user._id, day: '2026-10-19', status: 'credited' });
+  assert.equal(save.mock.callCount(), 0);
+
+  count.mock.mockImplementation(() => query(2));
+  const result = await streaks.recordIfComplete({ user, day: '2026-10-19', limit: 2, now, session });
+  assert.equal(result.streak.current, 2);
+});
+
+test('an approval for a day before the last counted one leaves the streak alone', async t => {
+  const count = t.mock.method(TaskCompletion, 'countDocuments', () => query(5));
+  const user = { _id: objectId(), streak: { current: 4, lastDay: '2026-10-19' } };
+
+  assert.equal(await streaks.recordIfComplete({ user, day: '2026-10-17', limit: 1, now, session }), null);
+  assert.equal(count.mock.callCount(), 0);
+});
+
+test('the streak view shows the next milestone, and a streak past its freezes as 0', () => {
+  const streak = { current: 5, longest: 12, lastDay: '2026-10-18', freezes: 1 };
+
+  const live = streaks.view({ streak }, now);
+  assert.equal(live.current, 5);
+  assert.equal(live.countedToday, false);
+  assert.deepEqual(live.nextMilestone, { days: 7, bonus: 500, daysLeft: 2 });
+
+  assert.equal(streaks.view({ streak: { ...streak, lastDay: '2026-10-19' } }, now).countedToday, true);
+  assert.equal(streaks.view({ streak: { ...streak, lastDay: '2026-10-17' } }, now).current, 5);
+
+  const lapsed = streaks.view({ streak: { ...streak, lastDay: '2026-10-16' } }, now);
+  assert.equal(lapsed.current, 0);
+  assert.equal(lapsed.longest, 12);
+  assert.deepEqual(streaks.view({}, now).nextMilestone, { days: 7, bonus: 500, daysLeft: 7 });
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskCompletion = require('../models/TaskCompletion');
+const taskAnalytics = require('../services/taskAnalytics');
+
+const publishAt = new Date('2026-10-18T09:00:00Z');
+const minutesAfter = n => new Date(publishAt.getTime() + n * 60 * 1000);
+
+function completion(overrides) {
+  return { user: objectId(), reward: 200, status: 'credited', level: 2, day: '2026-10-18', completedAt: minutesAfter(10), ...overrides };
+}
+
+function stubData(t, task, completions) {
+  t.mock.method(User, 'aggregate', async () => [{ _id: 1, users: 10 }, { _id: 2, users: 4 }]);
+  t.mock.method(TaskCompletion, 'aggregate', async () => completions.map(c => ({ task: task._id, ...c })));
+  t.mock.method(Task, 'findById', () => query(task));
+  return t.mock.method(Task, 'find', () => query([task]));
+}
+
+test('a task report adds up completions, rates, rewards and shared IPs per level and day', async t => {
+  const task = { _id: objectId(), title: 'Watch', type: 'youtube', status: 'active', levels: [2], publishAt };
+  const shared = [objectId(), objectId()];
+  stubData(t, task, [
+    completion({ user: shared[0], ip: '10.0.0.1', completedAt: minutesAfter(5) }),
+    completion({ user: shared[1], ip: '10.0.0.1', completedAt: minutesAfter(15) }),
+    completion({ status: 'pending_review', day: '2026-10-19', completedAt: minutesAfter(30) }),
+  ]);
+
+  const report = await taskAnalytics.forTask(task._id, { from: '2026-10-18', to: '2026-10-19' });
+
+  assert.equal(report.completions, 3);
+  assert.deepEqual(report.byLevel, [{ level: 2, completions: 3, eligibleUsers: 4, completionRate: 0.75 }]);
+  assert.equal(report.medianSecondsToComplete, 900);
+  assert.equal(report.rewardPaid, 400);
+  assert.equal(report.rewardPending, 200);
+  assert.deepEqual(report.sharedIps, [{ ip: '10.0.0.1', users: 2, completions: 2 }]);
+  assert.deepEqual(report.daily.map(d => [d.day, d.completions]), [['2026-10-18', 2], ['2026-10-19', 1]]);
+  assert.deepEqual(TaskCompletion.aggregate.mock.calls[0].arguments[0][0].$match.day, { $gte: '2026-10-18', $lte: '2026-10-19' });
+  assert.equal(taskAnalytics.taskCsv(report), 'day,completions,reward\r\n2026-10-18,2,400\r\n2026-10-19,1,200\r\n');
+});
+
+test('the overview covers only tasks with completions in a range and exports as CSV', async t => {
+  const task = { _id: objectId(), title: 'Follow', status: 'expired', levels: [], publishAt };
+  const find = stubData(t, task, [completion({ level: 1 })]);
+
+  const report = await taskAnalytics.overview({ from: '2026-10-18' });
+
+  assert.deepEqual(find.mock.calls[0].arguments[0]._id.$in, [task._id.toString()]);
+  assert.equal(report.tasks[0].type, 'link');
+  assert.equal(report.tasks[0].eligibleUsers, 14);
+  assert.equal(report.tasks[0].completionRate, 0.07);
+  assert.match(taskAnalytics.overviewCsv(report).split('\r\n')[1], new RegExp(`^${task._id},Follow,link,expired,`));
+});
+
+test('bad ranges and unknown tasks are refused', async t => {
+  assert.throws(() => taskAnalytics.parseRange({ from: '18/10/2026' }), { code: 'INVALID_RANGE' });
+  assert.throws(() => taskAnalytics.parseRange({ from: '2026-10-19', to: '2026-10-18' }), { code: 'INVALID_RANGE' });
+  assert.deepEqual(taskAnalytics.parseRange({}), { from: null, to: null });
+
+  t.mock.method(Task, 'findById', () => query(null));
+  await assert.rejects(taskAnalytics.forTask(objectId()), { status: 404, code: 'TASK_NOT_FOUND' });
+});
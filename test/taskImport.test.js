@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubTransactions } = require('./helpers');
+const Task = require('../models/Task');
+const { DEFAULT_TASK_REWARD } = require('../config/tasks');
+const taskImport = require('../services/taskImport');
+const { parseCsv } = require('../utils/csv');
+
+test('CSV rows become tasks, created together in one transaction', async t => {
+  const sessions = stubTransactions(t);
+  const insert = t.mock.method(Task, 'insertMany', async docs => docs);
+  const rows = taskImport.fromCsv(parseCsv([
+    'title,link,reward,levels,publish_at',
+    'Follow us,https://example.com/follow,250,1;3,',
+    'Like our page,https://example.com/like,,2,2099-01-01T09:00:00Z',
+  ].join('\n')));
+
+  const created = await taskImport.importTasks(rows);
+
+  assert.deepEqual(created.map(task => [task.title, task.reward, [...task.levels], task.status]), [
+    ['Follow us', 250, [1, 3], 'active'],
+    ['Like our page', DEFAULT_TASK_REWARD, [2], 'scheduled'],
+  ]);
+  assert.equal(insert.mock.callCount(), 1);
+  assert.equal(insert.mock.calls[0].arguments[0].length, 2);
+  assert.equal(insert.mock.calls[0].arguments[1].session, sessions[0]);
+});
+
+test('a dry run only validates', async t => {
+  const insert = t.mock.method(Task, 'insertMany', async docs => docs);
+  const built = await taskImport.importTasks([{ title: 'Follow us', link: 'https://example.com/follow' }], { dryRun: true });
+  assert.equal(built.length, 1);
+  assert.equal(insert.mock.callCount(), 0);
+});
+
+test('one bad row imports nothing and every error is reported by row', async t => {
+  const insert = t.mock.method(Task, 'insertMany', async docs => docs);
+  const rows = [
+    { title: 'Follow us', link: 'https://example.com/follow' },
+    { title: 'Follow us again', link: 'https://example.com/follow' },
+    { title: 'Free money', link: 'https://example.com/free', reward: 0 },
+  ];
+
+  await assert.rejects(taskImport.importTasks(rows), err => {
+    assert.equal(err.status, 422);
+    assert.equal(err.code, 'IMPORT_INVALID');
+    assert.deepEqual(err.details.map(e => [e.row, e.code]), [[2, 'DUPLICATE_LINK'], [3, 'INVALID_TASK']]);
+    return true;
+  });
+  await assert.rejects(taskImport.importTasks([]), { code: 'IMPORT_EMPTY' });
+  assert.equal(insert.mock.callCount(), 0);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskCompletion = require('../models/TaskCompletion');
+const TaskSubmission = require('../models/TaskSubmission');
+const ledger = require('../services/ledger');
+const referrals = require('../services/referrals');
+const streaks = require('../services/streaks');
+const taskReviews = require('../services/taskReviews');
+
+const adminId = objectId();
+
+function stubReview(t, { status = 'pending', completion = { day: '2026-10-19', level: 1 } } = {}) {
+  stubTransactions(t);
+  const submission = { _id: objectId(), task: objectId(), user: objectId(), reward: 500 };
+  t.mock.method(TaskSubmission, 'findOneAndUpdate', async (filter, update) => (status === 'pending'
+    ? { ...submission, ...update.$set }
+    : null));
+  t.mock.method(TaskSubmission, 'exists', () => query({ _id: submission._id }));
+  return {
+    submission,
+    post: t.mock.method(ledger, 'post', async () => ({ balance: { available: 500, pending: 0 } })),
+    credit: t.mock.method(TaskCompletion, 'findOneAndUpdate', async () => completion),
+    remove: t.mock.method(TaskCompletion, 'findOneAndDelete', async () => completion),
+    reopen: t.mock.method(Task, 'updateOne', async () => ({})),
+    users: t.mock.method(User, 'updateOne', async () => ({})),
+    commissions: t.mock.method(referrals, 'payTaskCommissions', async () => []),
+  };
+}
+
+test('approving a proof releases its reward and can complete the day\'s streak', async t => {
+  const { submission, post, commissions } = stubReview(t);
+  t.mock.method(User, 'findById', () => query({ _id: submission.user, level: 1, streak: {} }));
+  const streak = t.mock.method(streaks, 'recordIfComplete', async () => ({ streak: { current: 1 }, bonus: null, balance: undefined }));
+
+  const [result] = await taskReviews.review({ ids: [submission._id], adminId, decision: 'approve' });
+
+  assert.equal(result.outcome, 'approved');
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { pending: -500, available: 500 });
+  assert.equal(commissions.mock.calls[0].arguments[0].amount, 500);
+  assert.deepEqual(streak.mock.calls[0].arguments[0].day, '2026-10-19');
+  assert.equal(streak.mock.calls[0].arguments[0].limit, 1);
+  assert.deepEqual(result.streak.streak, { current: 1 });
+});
+
+test('rejecting a proof reverses the reward and gives back the quota it used', async t => {
+  const { submission, post, remove, reopen, users } = stubReview(t);
+
+  const [result] = await taskReviews.review({ ids: [submission._id], adminId, decision: 'reject', reason: 'Blurry screenshot' });
+
+  assert.equal(result.outcome, 'rejected');
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { pending: -500 });
+  assert.deepEqual(remove.mock.calls[0].arguments[0], { task: submission.task, user: submission.user });
+  assert.deepEqual(reopen.mock.calls[0].arguments[1], { $pull: { completions: submission.user } });
+  assert.deepEqual(users.mock.calls.map(c => c.arguments.slice(0, 2)), [
+    [{ _id: submission.user, lastTaskDate: '2026-10-19', tasksToday: { $gt: 0 } }, { $inc: { tasksToday: -1 } }],
+    [{ _id: submission.user, tasksCompleted: { $gt: 0 } }, { $inc: { tasksCompleted: -1 } }],
+  ]);
+});
+
+test('reviewed submissions are skipped and rejections need a reason', async t => {
+  const { submission, post } = stubReview(t, { status: 'approved' });
+
+  const [result] = await taskReviews.review({ ids: [submission._id], adminId, decision: 'approve' });
+
+  assert.deepEqual(result, { id: submission._id.toString(), outcome: 'skipped', error: 'Submission was already reviewed' });
+  assert.equal(post.mock.callCount(), 0);
+  await assert.rejects(taskReviews.review({ ids: [submission._id], adminId, decision: 'reject', reason: ' ' }), { code: 'REASON_REQUIRED' });
+});
+
+test('proof must match the kind the task asks for', async t => {
+  const task = { _id: objectId(), proof: { kind: 'url' } };
+  await assert.rejects(taskReviews.submit({ task, userId: objectId(), reward: 500, proof: { url: 'javascript:alert(1)' } }), { code: 'INVALID_PROOF' });
+
+  const create = t.mock.method(TaskSubmission, 'create', async docs => docs);
+  const submission = await taskReviews.submit({ task, userId: objectId(), reward: 500, proof: { url: ' https://x.com/post/1 ' } });
+  assert.equal(submission.url, 'https://x.com/post/1');
+  assert.equal(create.mock.callCount(), 1);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const tasks = require('../services/tasks');
+const taskScheduler = require('../services/taskScheduler');
+
+const now = new Date('2026-10-19T10:00:00Z');
+const hours = n => new Date(now.getTime() + n * 60 * 60 * 1000);
+
+test('a task with a future publishAt is created scheduled, and its window must be the right way round', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const scheduled = await tasks.buildTask({ title: 'Follow us', link: 'https://example.com/follow', reward: 200, publishAt: hours(2) });
+  assert.equal(scheduled.status, 'scheduled');
+  assert.equal(scheduled.type, 'link');
+  assert.equal(tasks.statusFor(scheduled, hours(3)), 'active');
+
+  await assert.rejects(
+    tasks.buildTask({ title: 'Follow us', link: 'https://example.com/follow', publishAt: hours(2), expireAt: hours(1) }),
+    { code: 'INVALID_TASK', message: 'expireAt must be after publishAt' }
+  );
+});
+
+test('tasks are shown only to targeted levels, with level-specific rewards', () => {
+  const task = { status: 'active', levels: [2, 3], reward: 200, rewardByLevel: [{ level: 3, reward: 350 }], completions: [] };
+  assert.equal(tasks.isEligible(task, 1, now), false);
+  assert.equal(tasks.isEligible(task, 2, now), true);
+  assert.equal(tasks.isEligible({ ...task, expireAt: hours(-1) }, 2, now), false);
+  assert.equal(tasks.isEligible({ ...task, maxCompletions: 1, completions: [objectId()] }, 2, now), false);
+  assert.deepEqual([2, 3].map(level => tasks.rewardFor(task, level)), [200, 350]);
+});
+
+test('due tasks are published once, skipping any that expired while scheduled', async t => {
+  const [fresh, stale] = [{ _id: objectId() }, { _id: objectId() }];
+  t.mock.method(Task, 'find', () => query([fresh, stale]));
+  const claim = t.mock.method(Task, 'findOneAndUpdate', filter => query(filter._id === fresh._id ? { ...fresh, status: 'active' } : null));
+
+  const published = await taskScheduler.publishDue(now);
+
+  assert.deepEqual(published.map(p => p._id), [fresh._id]);
+  assert.equal(claim.mock.calls[0].arguments[0].status, 'scheduled');
+  assert.deepEqual(claim.mock.calls[0].arguments[0].$or, [{ expireAt: null }, { expireAt: { $gt: now } }]);
+});
+
+test('new tasks are announced only to targeted users, and never while not active', async t => {
+  const users = [{ _id: objectId(), level: 3 }];
+  const find = t.mock.method(User, 'find', () => query(users));
+  const emitted = [];
+  const io = { to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+  const task = { _id: objectId(), title: 'Watch', status: 'active', levels: [3], reward: 200, rewardByLevel: [{ level: 3, reward: 350 }] };
+
+  assert.equal(await taskScheduler.announce(io, task), 1);
+  assert.deepEqual(find.mock.calls[0].arguments[0].level, { $in: [3] });
+  assert.equal(emitted[0].room, users[0]._id.toString());
+  assert.equal(emitted[0].payload.reward, 350);
+
+  assert.equal(await taskScheduler.announce(io, { ...task, status: 'scheduled' }), 0);
+  assert.equal(find.mock.callCount(), 1);
+});
+
+test('expired tasks are closed in one update', async t => {
+  const update = t.mock.method(Task, 'updateMany', async () => ({ modifiedCount: 2 }));
+  assert.equal(await taskScheduler.expireDue(now), 2);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { status: { $in: ['scheduled', 'active'] }, expireAt: { $lte: now } });
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId, stubTransactions } = require('./helpers');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const taskTemplates = require('../services/taskTemplates');
+
+const now = new Date('2026-10-19T10:00:00Z');
+
+test('a template is created from task settings, without a link or fixed dates', async t => {
+  t.mock.method(TaskTemplate, 'exists', () => query(null));
+  const create = t.mock.method(TaskTemplate, 'create', async doc => doc);
+  const adminId = objectId();
+
+  const template = await taskTemplates.create({
+    name: ' Weekly follows ',
+    reward: 300,
+    levels: [2],
+    link: 'https://example.com/ignored',
+    publishAt: now,
+    schedule: { publishDelayMinutes: 30, activeHours: 24 },
+  }, adminId);
+
+  assert.deepEqual(template, {
+    name: 'Weekly follows',
+    reward: 300,
+    levels: [2],
+    schedule: { publishDelayMinutes: 30, activeHours: 24 },
+    createdBy: adminId,
+  });
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('templates need a unique name and valid settings', async t => {
+  t.mock.method(TaskTemplate, 'exists', () => query({ _id: objectId() }));
+  const create = t.mock.method(TaskTemplate, 'create', async doc => doc);
+
+  await assert.rejects(taskTemplates.create({ name: 'Weekly follows' }), { status: 409, code: 'TEMPLATE_EXISTS' });
+  await assert.rejects(taskTemplates.create({ reward: 300 }), { code: 'INVALID_TEMPLATE' });
+  await assert.rejects(taskTemplates.create({ name: 'Daily', reward: -5 }), { code: 'INVALID_TEMPLATE' });
+  await assert.rejects(
+    taskTemplates.create({ name: 'Daily', schedule: { activeHours: -1 } }),
+    { code: 'INVALID_TEMPLATE', message: 'activeHours must be zero or more' }
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('instantiating a template creates one scheduled task per link', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now });
+  stubTransactions(t);
+  const insert = t.mock.method(Task, 'insertMany', async docs => docs);
+  const template = { _id: objectId(), name: 'Weekly follows', title: 'Follow us', reward: 300, levels: [2], schedule: { publishDelayMinutes: 30, activeHours: 24 } };
+  t.mock.method(TaskTemplate, 'findById', () => query(template));
+
+  const created = await taskTemplates.instantiate(template._id, {
+    links: ['https://example.com/a', { link: 'https://example.com/b', title: 'Follow our partner' }],
+  });
+
+  assert.deepEqual(created.map(task => task.title), ['Follow us', 'Follow our partner']);
+  assert.ok(created.every(task => task.status === 'scheduled' && task.reward === 300 && task.template.equals(template._id)));
+  assert.deepEqual(created[0].publishAt, new Date('2026-10-19T10:30:00Z'));
+  assert.deepEqual(created[0].expireAt, new Date('2026-10-20T10:30:00Z'));
+  assert.equal(insert.mock.callCount(), 1);
+});
+
+test('instantiating refuses a missing template, no links or a bad publish date', async t => {
+  const insert = t.mock.method(Task, 'insertMany', async docs => docs);
+  const template = { _id: objectId(), name: 'Weekly follows', title: 'Follow us' };
+  const findById = t.mock.method(TaskTemplate, 'findById', () => query(template));
+
+  await assert.rejects(taskTemplates.instantiate(template._id, { links: [] }), { code: 'IMPORT_EMPTY' });
+  await assert.rejects(
+    taskTemplates.instantiate(template._id, { links: ['https://example.com/a'], publishAt: 'soon' }),
+    { code: 'INVALID_TASK', message: 'publishAt must be a valid date' }
+  );
+  findById.mock.mockImplementation(() => query(null));
+  await assert.rejects(taskTemplates.instantiate(objectId(), { links: ['https://example.com/a'] }), { status: 404, code: 'TEMPLATE_NOT_FOUND' });
+  assert.equal(insert.mock.callCount(), 0);
+});
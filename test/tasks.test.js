@@ -0,0 +1,95 @@
+// Levels 1-3 get 2, 3 and 5 tasks a day; set before config/tasks.js loads
+process.env.TASK_DAILY_QUOTAS = '2,3,5';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskCompletion = require('../models/TaskCompletion');
+const ledger = require('../services/ledger');
+const referrals = require('../services/referrals');
+const streaks = require('../services/streaks');
+const tasks = require('../services/tasks');
+const { dailyTaskQuota } = require('../config/tasks');
+const { localDate } = require('../utils/time');
+
+const now = new Date('2026-10-19T10:00:00Z');
+const today = localDate(now);
+
+test('daily quotas come from TASK_DAILY_QUOTAS, with the last value for higher levels', () => {
+  assert.deepEqual([1, 2, 3, 4, 9].map(dailyTaskQuota), [2, 3, 5, 5, 5]);
+  assert.equal(dailyTaskQuota(undefined), 2);
+});
+
+test('quotaFor counts only completions on the current platform day', () => {
+  assert.deepEqual(
+    tasks.quotaFor({ level: 2, lastTaskDate: today, tasksToday: 2 }, now),
+    { limit: 3, used: 2, remaining: 1, nextResetAt: new Date('2026-10-19T23:00:00Z'), timezone: 'Africa/Lagos' }
+  );
+  assert.equal(tasks.quotaFor({ level: 2, lastTaskDate: '2026-10-18', tasksToday: 3 }, now).remaining, 3);
+  assert.equal(tasks.quotaFor({ level: 1, lastTaskDate: today, tasksToday: 7 }, now).remaining, 0);
+  // Users from before per-day counting have done one task on their last day
+  assert.equal(tasks.quotaFor({ level: 1, lastTaskDate: today }, now).used, 1);
+});
+
+function stubCompletion(t, { counted }) {
+  stubTransactions(t);
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const userId = objectId();
+  const task = { _id: objectId(), type: 'link', title: 'Follow us', reward: 300, completions: [] };
+  t.mock.method(User, 'findById', () => query({ _id: userId, level: 1, lastTaskDate: today, tasksToday: 1 }));
+  t.mock.method(Task, 'findById', () => query(task));
+  const counter = t.mock.method(User, 'findOneAndUpdate', async () => (counted
+    ? { _id: userId, level: 1, lastTaskDate: today, tasksToday: 2, streak: {} }
+    : null));
+  const claim = t.mock.method(Task, 'findOneAndUpdate', async () => task);
+  t.mock.method(TaskCompletion, 'create', async docs => docs);
+  const post = t.mock.method(ledger, 'post', async () => ({ balance: { available: 300, pending: 0 } }));
+  t.mock.method(referrals, 'payTaskCommissions', async () => []);
+  const streak = t.mock.method(streaks, 'recordIfComplete', async () => null);
+  return { userId, task, counter, claim, post, streak };
+}
+
+test('a completion is refused once the day\'s quota is used, before the task is touched', async t => {
+  const { userId, task, counter, claim, post } = stubCompletion(t, { counted: false });
+
+  await assert.rejects(tasks.complete({ userId, taskId: task._id }), err => {
+    assert.equal(err.code, 'DAILY_LIMIT_REACHED');
+    assert.deepEqual(err.details, { limit: 2, remaining: 0, nextResetAt: new Date('2026-10-19T23:00:00Z'), timezone: 'Africa/Lagos' });
+    return true;
+  });
+
+  // The counter only moves while the user is under their limit for today
+  const [filter, pipeline] = counter.mock.calls[0].arguments;
+  assert.deepEqual(filter.$expr.$or[1], { $lt: [{ $ifNull: ['$tasksToday', 1] }, 2] });
+  assert.deepEqual(pipeline[0].$set.lastTaskDate, { $literal: today });
+  assert.equal(claim.mock.callCount(), 0);
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('the completion that fills the quota credits the reward and extends the streak', async t => {
+  const { userId, task, post, streak } = stubCompletion(t, { counted: true });
+
+  const result = await tasks.complete({ userId, taskId: task._id });
+
+  assert.equal(result.completed, true);
+  assert.equal(result.quota.remaining, 0);
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { available: 300 });
+  assert.equal(streak.mock.calls[0].arguments[0].day, today);
+  assert.equal(streak.mock.calls[0].arguments[0].limit, 2);
+});
+
+test('tasks must pay a reward, since every completion posts it to the ledger', () => {
+  assert.throws(() => tasks.parseTaskInput({ reward: 0 }), { status: 400, code: 'INVALID_TASK' });
+  assert.throws(() => tasks.parseTaskInput({ rewardByLevel: { 2: 0 } }), { code: 'INVALID_TASK' });
+  assert.deepEqual(tasks.parseTaskInput({ reward: '150', rewardByLevel: { 2: 200 } }), {
+    reward: 150,
+    rewardByLevel: [{ level: 2, reward: 200 }],
+  });
+
+  const task = new Task({ title: 'Follow us', link: 'https://example.com', reward: 0, rewardByLevel: [{ level: 2, reward: 0 }] });
+  const { errors } = task.validateSync();
+  assert.equal(errors.reward.message, 'Reward must be more than zero');
+  assert.ok(errors['rewardByLevel.0.reward']);
+});
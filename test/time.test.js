@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const time = require('../utils/time');
+
+const at = iso => new Date(iso);
+
+test('local dates follow the platform timezone, not UTC', () => {
+  // 23:30 UTC is already the next day in Lagos (UTC+1)
+  assert.equal(time.localDate(at('2026-10-18T23:30:00Z'), 'Africa/Lagos'), '2026-10-19');
+  assert.equal(time.localDate(at('2026-10-18T22:59:59Z'), 'Africa/Lagos'), '2026-10-18');
+  assert.equal(time.localMonth(at('2026-10-31T23:30:00Z'), 'Africa/Lagos'), '2026-11');
+});
+
+test('day boundaries are local midnights', () => {
+  const now = at('2026-10-19T10:00:00Z');
+  assert.equal(time.startOfDay(now, 'Africa/Lagos').toISOString(), '2026-10-18T23:00:00.000Z');
+  assert.equal(time.startOfNextDay(now, 'Africa/Lagos').toISOString(), '2026-10-19T23:00:00.000Z');
+  assert.equal(time.startOfLocalDay('2026-10-19', 'Africa/Lagos').toISOString(), '2026-10-18T23:00:00.000Z');
+});
+
+test('a day that changes offset still ends at the next local midnight', () => {
+  // Clocks go back in London on 2026-10-25, making that day 25 hours long
+  const start = time.startOfLocalDay('2026-10-25', 'Europe/London');
+  assert.equal(start.toISOString(), '2026-10-24T23:00:00.000Z');
+  assert.equal(time.startOfNextDay(start, 'Europe/London').toISOString(), '2026-10-26T00:00:00.000Z');
+
+  // and go forward on 2026-03-29, when local midnight is still GMT
+  assert.equal(time.startOfDay(at('2026-03-29T12:00:00Z'), 'Europe/London').toISOString(), '2026-03-29T00:00:00.000Z');
+});
+
+test('weeks start on Monday and months on the 1st', () => {
+  // 2026-10-19 is a Monday; 2026-10-25 a Sunday
+  assert.equal(time.startOfWeek(at('2026-10-25T20:00:00Z'), 'Africa/Lagos').toISOString(), '2026-10-18T23:00:00.000Z');
+  assert.equal(time.startOfWeek(at('2026-10-18T23:00:00Z'), 'Africa/Lagos').toISOString(), '2026-10-18T23:00:00.000Z');
+  assert.equal(time.startOfMonth(at('2026-10-19T10:00:00Z'), 'Africa/Lagos').toISOString(), '2026-09-30T23:00:00.000Z');
+});
+
+test('zonedParts reports wall-clock fields and the weekday', () => {
+  assert.deepEqual(time.zonedParts(at('2026-10-18T23:30:05Z'), 'Africa/Lagos'), {
+    year: 2026, month: 10, day: 19, hour: 0, minute: 30, second: 5, weekday: 1,
+  });
+});
+
+test('daysBetween counts calendar days across months and years', () => {
+  assert.equal(time.daysBetween('2026-10-19', '2026-10-19'), 0);
+  assert.equal(time.daysBetween('2026-12-31', '2027-01-01'), 1);
+  assert.equal(time.daysBetween('2026-03-01', '2026-02-27'), -2);
+});
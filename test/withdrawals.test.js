@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubTransactions, objectId } = require('./helpers');
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const ledger = require('../services/ledger');
+const withdrawalPolicy = require('../services/withdrawalPolicy');
+const withdrawals = require('../services/withdrawals');
+
+const balance = { available: 0, pending: 0 };
+
+test('request holds the amount in pending and saves the withdrawal in the same transaction', async t => {
+  const sessions = stubTransactions(t);
+  const userId = objectId();
+  t.mock.method(User, 'findById', () => query({ _id: userId }));
+  t.mock.method(withdrawalPolicy, 'evaluate', async () => ({ allowed: true, fee: 50, netAmount: 950 }));
+  const post = t.mock.method(ledger, 'post', async () => ({ balance }));
+  const save = t.mock.method(Withdrawal.prototype, 'save', async function () { return this; });
+
+  const { withdrawal } = await withdrawals.request({ userId, amount: 1000 });
+
+  const entry = post.mock.calls[0].arguments[0];
+  assert.equal(entry.type, 'withdrawal_hold');
+  assert.deepEqual(entry.changes, { available: -1000, pending: 1000 });
+  assert.equal(entry.session, sessions[0]);
+  assert.equal(save.mock.calls[0].arguments[0].session, sessions[0]);
+  assert.equal(withdrawal.status, 'pending');
+  assert.equal(withdrawal.netAmount, 950);
+});
+
+test('request refuses what the policy does not allow', async t => {
+  stubTransactions(t);
+  t.mock.method(User, 'findById', () => query({ _id: objectId() }));
+  t.mock.method(withdrawalPolicy, 'evaluate', async () => ({ allowed: false, reasons: [{ code: 'DAILY_LIMIT' }] }));
+  const post = t.mock.method(ledger, 'post', async () => ({ balance }));
+
+  await assert.rejects(withdrawals.request({ userId: objectId(), amount: 1000 }), { status: 422, code: 'POLICY_VIOLATION' });
+  assert.equal(post.mock.callCount(), 0);
+});
+
+test('transitions only apply from the states they are legal from', async t => {
+  const update = t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Withdrawal, 'findById', () => query({ status: 'paid' }));
+
+  await assert.rejects(withdrawals.transition(objectId(), 'declined'), { status: 409, code: 'INVALID_TRANSITION' });
+  assert.deepEqual(update.mock.calls[0].arguments[0].status, { $in: ['pending', 'approved'] });
+  assert.deepEqual(withdrawals.TRANSITIONS.paid, []);
+});
+
+test('decline releases the hold but not while a transfer is in flight', async t => {
+  stubTransactions(t);
+  const withdrawal = { _id: objectId(), user: objectId(), amount: 700 };
+  const update = t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(withdrawal));
+  const post = t.mock.method(ledger, 'post', async () => ({ balance }));
+
+  await withdrawals.decline(withdrawal._id, objectId());
+  assert.deepEqual(update.mock.calls[0].arguments[0]['transfer.status'], { $nin: ['processing', 'success'] });
+  assert.deepEqual(post.mock.calls[0].arguments[0].changes, { available: 700, pending: -700 });
+
+  update.mock.mockImplementation(() => query(null));
+  t.mock.method(Withdrawal, 'findById', () => query({ status: 'approved' }));
+  await assert.rejects(withdrawals.decline(withdrawal._id, objectId()), { code: 'PAYOUT_IN_PROGRESS' });
+  assert.equal(post.mock.callCount(), 1);
+});
+
+test('markPaid takes the amount off pending, splitting the fee from the payout', async t => {
+  stubTransactions(t);
+  const withdrawal = { _id: objectId(), user: objectId(), amount: 1000, fee: 50 };
+  t.mock.method(Withdrawal, 'findOneAndUpdate', () => query(withdrawal));
+  const post = t.mock.method(ledger, 'post', async () => ({ balance }));
+
+  await withdrawals.markPaid(withdrawal._id, objectId());
+
+  const entry = post.mock.calls[0].arguments[0];
+  assert.equal(entry.type, 'payout');
+  assert.deepEqual(entry.changes, { pending: -1000 });
+  assert.deepEqual(entry.contra, [
+    { account: 'external:payouts', amount: 950 },
+    { account: 'platform:fees', amount: 50 },
+  ]);
+});
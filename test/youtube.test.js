@@ -0,0 +1,38 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const youtube = require('../services/youtube');
+const dataApi = require('../services/youtube/dataApi');
+const fake = require('../services/youtube/fake');
+
+const env = { ...process.env };
+beforeEach(() => {
+  delete process.env.YOUTUBE_CLIENT;
+  delete process.env.NODE_ENV;
+});
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test('the Data API client is used unless another is configured', async t => {
+  assert.equal(youtube.getClient().name, 'api');
+  const lookup = t.mock.method(dataApi, 'getVideo', async () => null);
+
+  await assert.rejects(youtube.getPlayableVideo('dQw4w9WgXcQ'), { code: 'VIDEO_UNAVAILABLE' });
+  assert.equal(lookup.mock.callCount(), 1);
+});
+
+test('the fake client is refused in production', () => {
+  process.env.YOUTUBE_CLIENT = 'fake';
+  assert.equal(youtube.assertConfigured().name, 'fake');
+
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => youtube.assertConfigured(), { status: 500, code: 'YOUTUBE_CLIENT_ERROR' });
+});
+
+test('private videos cannot back a task', async () => {
+  process.env.YOUTUBE_CLIENT = 'fake';
+  fake.register('privateVid1', { privacyStatus: 'private' });
+
+  await assert.rejects(youtube.resolveVideoLink('https://youtu.be/privateVid1'), { message: 'Video is private' });
+  assert.equal(await youtube.resolveVideoLink('https://example.com/page'), null);
+});
@@ -0,0 +1,14 @@
+// utils/ServiceError.js
+// Error thrown by services for expected failures (bad input, insufficient funds, conflicts).
+// Routes map it straight onto an HTTP response using `status` and the machine-readable `code`.
+class ServiceError extends Error {
+  constructor(message, status = 400, code = 'BAD_REQUEST', details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+module.exports = ServiceError;
@@ -0,0 +1,73 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV helpers for exports and uploads.
+
+// Cells a spreadsheet would run as a formula; plain numbers such as -500 are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+const escapeCell = value => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<string|{ key, header }>} columns
+ */
+function toCsv(rows, columns) {
+  const cols = columns.map(c => (typeof c === 'string' ? { key: c, header: c } : c));
+  const lines = [cols.map(c => escapeCell(c.header)).join(',')];
+  rows.forEach(row => lines.push(cols.map(c => escapeCell(row[c.key])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by (trimmed, lower-cased) header.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(r => r.some(c => c.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] || '').trim()])));
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,28 @@
+// utils/destination.js
+// Where a withdrawal is going, safe to show in transaction lists.
+
+const maskAccountNumber = accountNumber => (accountNumber
+  ? `${'*'.repeat(Math.max(accountNumber.length - 4, 0))}${accountNumber.slice(-4)}`
+  : undefined);
+
+function describeDestination(method) {
+  if (!method) return null;
+  if (method.type === 'PayPal') {
+    return { type: method.type, email: method.details?.email };
+  }
+  return {
+    type: method.type,
+    bank: method.details?.bank,
+    accountNumber: maskAccountNumber(method.details?.accountNumber),
+    accountName: method.details?.accountName,
+  };
+}
+
+const destinationLabel = method => {
+  const destination = describeDestination(method);
+  if (!destination) return 'Unknown method';
+  if (destination.type === 'PayPal') return `PayPal (${destination.email})`;
+  return `${destination.bank || destination.type} ${destination.accountNumber || ''}`.trim();
+};
+
+module.exports = { maskAccountNumber, describeDestination, destinationLabel };
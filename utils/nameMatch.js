@@ -0,0 +1,42 @@
+// utils/nameMatch.js
+// Compare a registered full name with a bank account name. Bank names often add middle
+// names, reorder surname/first name or shorten a name by a letter, so we compare tokens.
+const tokens = name => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(t => t.length > 1);
+
+// Levenshtein distance, capped at 2 because we only care about near-misses
+function distance(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return 2;
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return Math.min(row[b.length], 2);
+}
+
+const sameToken = (a, b) => a === b || (a.length >= 5 && b.length >= 5 && distance(a, b) <= 1);
+
+/**
+ * @returns {{ score: number, matches: boolean }} score is the share of the registered
+ * name's tokens found in the account name; two tokens (or all, for one-word names) must match.
+ */
+function compareNames(registeredName, accountName) {
+  const wanted = tokens(registeredName);
+  const actual = tokens(accountName);
+  if (!wanted.length || !actual.length) return { score: 0, matches: false };
+
+  const found = wanted.filter(w => actual.some(a => sameToken(w, a))).length;
+  const score = Math.round((found / wanted.length) * 100) / 100;
+  return { score, matches: found >= Math.min(2, wanted.length) && score >= 0.5 };
+}
+
+module.exports = { compareNames };
@@ -0,0 +1,17 @@
+// utils/nuban.js
+// NUBAN check-digit validation (CBN revised standard). The institution code is left-padded
+// to 6 digits, so 3-digit deposit money bank codes give the same result as the original scheme.
+const WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+
+function checkDigit(institutionCode, serial) {
+  const digits = (institutionCode.padStart(6, '0') + serial).split('').map(Number);
+  const sum = digits.reduce((total, digit, i) => total + digit * WEIGHTS[i], 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+function isValidNuban(accountNumber, institutionCode) {
+  if (!/^\d{10}$/.test(accountNumber || '') || !/^\d{3,6}$/.test(institutionCode || '')) return false;
+  return checkDigit(institutionCode, accountNumber.slice(0, 9)) === Number(accountNumber[9]);
+}
+
+module.exports = { checkDigit, isValidNuban };
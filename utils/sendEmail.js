@@ -1,7 +1,8 @@
 // utils/sendEmail.js
 const nodemailer = require('nodemailer');
 
-const sendEmail = async (to, subject, html) => {
+// `attachments` is passed through to nodemailer, e.g. [{ filename, content, contentType }]
+const sendEmail = async (to, subject, html, attachments) => {
   try {
     const transporter = nodemailer.createTransport({
       service: 'gmail',
@@ -25,6 +26,7 @@ const sendEmail = async (to, subject, html) => {
       to,
       subject,
       html,
+      attachments,
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -0,0 +1,119 @@
+// utils/time.js
+// Calendar helpers in the platform timezone (see config/platform.js).
+const { TIMEZONE } = require('../config/platform');
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock parts of `date` in `timeZone`.
+ */
+function zonedParts(date = new Date(), timeZone = TIMEZONE) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ */
+function localDate(date = new Date(), timeZone = TIMEZONE) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * The instant local midnight began on the day containing `date`.
+ */
+function startOfDay(date = new Date(), timeZone = TIMEZONE) {
+  const p = zonedParts(date, timeZone);
+  const midnightUtc = Date.UTC(p.year, p.month - 1, p.day);
+  // The offset at `date` may differ from the one at midnight on days the clocks change
+  const guess = new Date(midnightUtc - offsetMs(date, timeZone));
+  return new Date(midnightUtc - offsetMs(guess, timeZone));
+}
+
+/**
+ * The instant the local day after the one containing `date` begins.
+ */
+function startOfNextDay(date = new Date(), timeZone = TIMEZONE) {
+  return startOfDay(new Date(startOfDay(date, timeZone).getTime() + 36 * 60 * 60 * 1000), timeZone);
+}
+
+/**
+ * The instant the local week (starting Monday) containing `date` began.
+ */
+function startOfWeek(date = new Date(), timeZone = TIMEZONE) {
+  const daysSinceMonday = (zonedParts(date, timeZone).weekday + 6) % 7;
+  const dayStart = startOfDay(date, timeZone);
+  return startOfDay(new Date(dayStart.getTime() - daysSinceMonday * 24 * 60 * 60 * 1000 + 12 * 60 * 60 * 1000), timeZone);
+}
+
+/**
+ * The instant the local calendar month containing `date` began.
+ */
+function startOfMonth(date = new Date(), timeZone = TIMEZONE) {
+  const p = zonedParts(date, timeZone);
+  return startOfDay(new Date(Date.UTC(p.year, p.month - 1, 1, 12)), timeZone);
+}
+
+/**
+ * Local calendar month as YYYY-MM.
+ */
+function localMonth(date = new Date(), timeZone = TIMEZONE) {
+  return localDate(date, timeZone).slice(0, 7);
+}
+
+/**
+ * The instant local midnight began on a YYYY-MM-DD date.
+ */
+function startOfLocalDay(day, timeZone = TIMEZONE) {
+  return startOfDay(new Date(`${day}T12:00:00Z`), timeZone);
+}
+
+/**
+ * Whole calendar days from one YYYY-MM-DD date to another (negative if `to` is earlier).
+ */
+function daysBetween(from, to) {
+  const toUtc = day => Date.UTC(Number(day.slice(0, 4)), Number(day.slice(5, 7)) - 1, Number(day.slice(8, 10)));
+  return Math.round((toUtc(to) - toUtc(from)) / (24 * 60 * 60 * 1000));
+}
+
+module.exports = {
+  zonedParts,
+  localDate,
+  localMonth,
+  startOfDay,
+  startOfLocalDay,
+  startOfNextDay,
+  startOfWeek,
+  startOfMonth,
+  daysBetween,
+};
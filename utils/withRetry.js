@@ -0,0 +1,20 @@
+// utils/withRetry.js
+// Retry a database call with exponential backoff, but only on connection-level errors.
+// Validation errors, duplicate keys and the like are thrown straight away: repeating the
+// call cannot fix them and, for writes, could apply the same change twice.
+const TRANSIENT_ERRORS = ['MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError'];
+
+const isTransient = err => TRANSIENT_ERRORS.includes(err?.name) || Boolean(err?.hasErrorLabel?.('RetryableWriteError'));
+
+async function withRetry(fn, retries = 3, delay = 1000) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (i === retries - 1 || !isTransient(err)) throw err;
+      await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i))); // Exponential backoff
+    }
+  }
+}
+
+module.exports = withRetry;
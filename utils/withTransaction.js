@@ -0,0 +1,25 @@
+// utils/withTransaction.js
+const mongoose = require('mongoose');
+const ServiceError = require('./ServiceError');
+
+// Run `fn(session)` inside a multi-document transaction. Mongo retries transient
+// write conflicts itself; if they still fail we surface them as a 409 to the caller.
+async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (typeof err.hasErrorLabel === 'function' && err.hasErrorLabel('TransientTransactionError')) {
+      throw new ServiceError('Conflicting request in progress, please retry', 409, 'CONFLICT');
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = withTransaction;
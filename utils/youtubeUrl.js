@@ -0,0 +1,37 @@
+// utils/youtubeUrl.js
+// Recognize YouTube links and pull out the 11-character video id.
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const PATH_PREFIXES = ['embed', 'shorts', 'live', 'v'];
+
+/**
+ * @returns {{ isYouTube: boolean, videoId: string|null }} videoId is null for YouTube links
+ * that don't point at a single video (channels, playlists, malformed ids).
+ */
+function parseYouTubeUrl(link) {
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(link) ? link : `https://${link}`);
+  } catch (err) {
+    return { isYouTube: false, videoId: null };
+  }
+
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean);
+  let candidate = null;
+
+  if (host === 'youtu.be') {
+    candidate = segments[0];
+  } else if (HOSTS.includes(host)) {
+    if (segments[0] === 'watch') candidate = url.searchParams.get('v');
+    else if (PATH_PREFIXES.includes(segments[0])) candidate = segments[1];
+  } else {
+    return { isYouTube: false, videoId: null };
+  }
+
+  return { isYouTube: true, videoId: candidate && VIDEO_ID.test(candidate) ? candidate : null };
+}
+
+const watchUrl = videoId => `https://www.youtube.com/watch?v=${videoId}`;
+
+module.exports = { parseYouTubeUrl, watchUrl };